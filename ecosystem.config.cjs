@@ -2,7 +2,7 @@ module.exports = {
   apps : [{
     name: 'gemini-bot',       // Имя процесса в PM2
     script: 'index.js',         // Имя вашего файла с кодом бота
-    instances: 1,             // Запускать один экземпляр
+    instances: 1,             // Запускать один экземпляр (для нескольких нужен общий STORAGE_BACKEND=redis)
     autorestart: true,        // Автоматически перезапускать при падении (exit code != 0)
     watch: false,             // Не перезапускать при изменении файлов (можно включить для разработки: true)
     max_memory_restart: '512M', // Перезапуск, если процесс съест > 512MB RAM
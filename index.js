@@ -1,31 +1,640 @@
-import { Telegraf } from 'telegraf';
+import { Telegraf, Markup } from 'telegraf';
 import { GoogleGenerativeAI, HarmBlockThreshold, HarmCategory } from "@google/generative-ai";
+import { GoogleAIFileManager } from "@google/generative-ai/server";
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import util from 'util';
+import { pathToFileURL } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 dotenv.config();
 
-// --- Constants ---
-
-// Define the available models. Keys are the command names (without '/'), values are the actual Model IDs for the API.
-// WARNING: Ensure these Model IDs are valid and accessible with your API Key.
-// Using the exact names provided, but some might be experimental or non-existent.
-const ALLOWED_MODELS = {
-    // Command Key             ->  Model ID for Google API
-    "gemini15flash":         "gemini-1.5-flash",         // Stable Flash model
-    "gemini20flash":         "gemini-2.0-flash",
-    "gemini20flashlite":    "gemini-2.0-flash-lite",
-    "gemini25proexp0325": "gemini-2.5-pro-exp-03-25",
+// --- Logging ---
+
+// Structured logs: one JSON object per line (LOG_FORMAT=text for a readable line instead), at LOG_LEVEL and above.
+// Entries written while an update (or a scheduled job) is handled carry its requestId, userId and chatId (see withLogContext),
+// so everything one request caused can be found by requestId: handlers, the model calls, the streamed edits.
+// LOG_REDACT=true hides the fields below: message contents and user-chosen names never go into the message text itself.
+// With LOG_FILE the logs go to that file instead of stdout/stderr, rotated at LOG_FILE_MAX_BYTES, keeping LOG_FILE_MAX_FILES old ones.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const LOG_REDACT = /^(1|true|yes|on)$/i.test(process.env.LOG_REDACT || '');
+const LOG_FILE = process.env.LOG_FILE || '';
+const LOG_FILE_MAX_BYTES = Number(process.env.LOG_FILE_MAX_BYTES) || 10 * 1024 * 1024;
+const LOG_FILE_MAX_FILES = parseInt(process.env.LOG_FILE_MAX_FILES, 10) >= 0 ? parseInt(process.env.LOG_FILE_MAX_FILES, 10) : 5;
+// Fields with message contents and names people chose (usernames, conversation and file names). `reason` is for
+// error messages that may quote what the user sent, e.g. a link fetch_url couldn't read or a broken JSON file.
+const REDACTED_LOG_FIELDS = new Set(['username', 'text', 'conversation', 'fileName', 'args', 'query', 'reason']);
+const REDACTED_VALUE = '[скрыто]';
+
+const logContext = new AsyncLocalStorage();
+let logFile = null; // { fd, size } while LOG_FILE is open
+
+// Run `fn` with fields added to every entry logged from it, including from the async work it starts
+function withLogContext(fields, fn) {
+    return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        status: error.status ?? error.response?.error_code,
+        code: error.code,
+        stack: error.stack,
+    };
+}
+
+function openLogFile() {
+    fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+    const fd = fs.openSync(LOG_FILE, 'a');
+    logFile = { fd, size: fs.fstatSync(fd).size };
+}
+
+// bot.log -> bot.log.1 -> ... -> bot.log.<LOG_FILE_MAX_FILES>, the oldest one is overwritten
+function rotateLogFile() {
+    fs.closeSync(logFile.fd);
+    logFile = null;
+    if (LOG_FILE_MAX_FILES === 0) {
+        fs.rmSync(LOG_FILE, { force: true });
+    }
+    for (let index = LOG_FILE_MAX_FILES; index >= 1; index--) {
+        const source = index === 1 ? LOG_FILE : `${LOG_FILE}.${index - 1}`;
+        if (fs.existsSync(source)) {
+            fs.renameSync(source, `${LOG_FILE}.${index}`);
+        }
+    }
+    openLogFile();
+}
+
+// Synchronous, so nothing is lost when the process exits right after logging (see handleCriticalError)
+function writeLogLine(line, level) {
+    if (!LOG_FILE) {
+        (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+        return;
+    }
+    const data = Buffer.from(`${line}\n`);
+    try {
+        if (!logFile) {
+            openLogFile();
+        }
+        if (logFile.size > 0 && logFile.size + data.length > LOG_FILE_MAX_BYTES) {
+            rotateLogFile();
+        }
+        fs.writeSync(logFile.fd, data);
+        logFile.size += data.length;
+    } catch (error) {
+        process.stderr.write(`Не удалось записать лог в ${LOG_FILE}: ${error.message}\n${line}\n`);
+    }
+}
+
+// "2025-04-01T10:00:00.000Z INFO  [upd-42] Message key=value", the stack of an error on the next lines
+function formatTextLogEntry(entry) {
+    const { time, level, msg, requestId, ...fields } = entry;
+    const stacks = [];
+    const pairs = Object.entries(fields).map(([key, value]) => {
+        if (value?.stack) {
+            stacks.push(value.stack);
+            return `${key}=${JSON.stringify(value.message)}`;
+        }
+        return `${key}=${JSON.stringify(value)}`;
+    });
+    const head = `${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}`;
+    return [[head, ...pairs].join(' '), ...stacks].join('\n');
+}
+
+function writeLog(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const entry = { time: new Date().toISOString(), level, msg: message, ...logContext.getStore(), ...fields };
+    for (const [key, value] of Object.entries(entry)) {
+        if (value === undefined) {
+            delete entry[key];
+        } else if (LOG_REDACT && REDACTED_LOG_FIELDS.has(key)) {
+            entry[key] = REDACTED_VALUE;
+        } else if (value instanceof Error) {
+            entry[key] = serializeError(value);
+        }
+    }
+    let line;
+    try {
+        line = LOG_FORMAT === 'text' ? formatTextLogEntry(entry) : JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message }); // E.g. a circular field
+    }
+    writeLogLine(line, level);
+}
+
+// log.info('Message', { userId, error, ... }): the message is a sentence in Russian, details go to the fields
+const log = {
+    debug: (message, fields) => writeLog('debug', message, fields),
+    info: (message, fields) => writeLog('info', message, fields),
+    warn: (message, fields) => writeLog('warn', message, fields),
+    error: (message, fields) => writeLog('error', message, fields),
+};
+
+if (process.env.LOG_LEVEL && !LOG_LEVELS[process.env.LOG_LEVEL]) {
+    log.warn(`Неизвестный LOG_LEVEL "${process.env.LOG_LEVEL}", используется ${LOG_LEVEL}. Допустимо: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+}
+
+// --- Configuration ---
+
+// Models, the allow-list and other bot settings are read from CONFIG_FILE (JSON, or YAML for .yaml/.yml).
+// The file is validated on startup and re-read when it changes or on SIGHUP, user state is kept as is.
+// Keys missing from the file take the values below (the allow-lists and the fallback chain can still come from .env).
+const CONFIG_FILE = process.env.CONFIG_FILE || './config.json';
+const CONFIG_WATCH_INTERVAL_MS = 2000;
+
+// Reads a comma separated list of Telegram user IDs from .env
+function parseUserIdList(value) {
+    return (value || '')
+        .split(',') // Разделяем по запятой
+        .map(id => id.trim()) // Убираем лишние пробелы вокруг ID
+        .filter(id => id.length > 0) // Убираем пустые строки (если были двойные запятые)
+        .map(id => parseInt(id, 10)) // Преобразуем строки в числа
+        .filter(id => !isNaN(id)); // Убираем значения, которые не удалось преобразовать в число
+}
+
+const DEFAULT_CONFIG = {
+    // Keys are the command names (without '/'), ids are the actual Model IDs for the API.
+    // WARNING: Ensure these Model IDs are valid and accessible with your API Key.
+    // contextWindow is the input token limit of the model (see getContextBudget).
+    models: {
+        "gemini15flash":      { id: "gemini-1.5-flash", contextWindow: 1048576 }, // Stable Flash model
+        "gemini20flash":      { id: "gemini-2.0-flash", contextWindow: 1048576 },
+        "gemini20flashlite":  { id: "gemini-2.0-flash-lite", contextWindow: 1048576 },
+        "gemini25proexp0325": { id: "gemini-2.5-pro-exp-03-25", contextWindow: 1048576 },
+    },
+    // Key (from models) of the model for new users and conversations
+    defaultModel: "gemini20flash",
+    // Models that can output images, used by /image (see Image Generation). Keys are commands like the ones of `models`.
+    imageModels: {
+        "gemini20flashimage": { id: "gemini-2.0-flash-preview-image-generation" },
+    },
+    defaultImageModel: "gemini20flashimage",
+    // When the conversation's model fails, the request moves down this chain (see generateWithFallback)
+    fallbackChain: (process.env.MODEL_FALLBACK_CHAIN || 'gemini20flash,gemini15flash,gemini20flashlite')
+        .split(',').map(key => key.trim()).filter(Boolean),
+    editThrottleMs: 1500, // Throttle edits to avoid Telegram limits
+    // MIME types of documents the bot accepts, as detected from the file contents (Gemini must read them,
+    // or they must be converted to text, see Document Text Extraction)
+    supportedMimeTypes: [
+        'text/plain', 'application/pdf', 'image/png', 'image/jpeg', 'text/csv', 'text/html', 'application/json',
+        // Converted to text locally (see Document Text Extraction): docx, xlsx, zip
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/zip',
+        'audio/mpeg', 'audio/ogg', 'audio/wav', // Common audio formats
+        'video/mp4', 'video/mpeg', 'video/quicktime', 'video/webm', // Videos and video notes (mp4)
+    ],
+    // Initial users and admins. Admins grant everyone else access with /allow, /promote and invite links (see Access Control).
+    allowedUserIds: parseUserIdList(process.env.ALLOWED_USER_IDS),
+    adminUserIds: parseUserIdList(process.env.ADMIN_USER_IDS),
+    // Model keys and document MIME types each role may use, "*" for all of them
+    roles: {
+        admin: { models: '*', fileTypes: '*' },
+        user:  { models: '*', fileTypes: '*' },
+        guest: { models: ['gemini20flashlite', 'gemini15flash'], fileTypes: ['image/jpeg', 'image/png', 'text/plain'] },
+    },
+};
+
+// Roles from the most to the least privileged
+const ROLE_LABELS = {
+    admin: 'Администратор',
+    user: 'Пользователь',
+    guest: 'Гость',
+};
+
+// Built-in commands, shown in the Telegram command menu before the model commands. Model keys must not clash with them.
+const BOT_COMMANDS = [
+    { command: 'start', description: 'Приветствие' },
+    { command: 'help', description: 'Список команд и текущие настройки' },
+    { command: 'clear', description: 'Очистить историю текущего диалога' },
+    { command: 'new', description: 'Начать новый диалог' },
+    { command: 'list', description: 'Список диалогов' },
+    { command: 'switch', description: 'Переключиться на другой диалог' },
+    { command: 'rename', description: 'Переименовать текущий диалог' },
+    { command: 'delete', description: 'Удалить диалог' },
+    { command: 'context', description: 'Заполненность контекста модели' },
+    { command: 'export', description: 'Скачать текущий диалог (Markdown, JSON, HTML)' },
+    { command: 'import', description: 'Восстановить диалог из JSON-файла' },
+    { command: 'system', description: 'Системный промпт диалога' },
+    { command: 'persona', description: 'Выбрать персону' },
+    { command: 'settings', description: 'Настройки генерации' },
+    { command: 'ask', description: 'Задать вопрос (в группах)' },
+    { command: 'batch', description: 'Несколько файлов в одном вопросе' },
+    { command: 'image', description: 'Нарисовать или изменить изображение' },
+    { command: 'voice', description: 'Голосовые ответы (вкл/выкл)' },
+    { command: 'tools', description: 'Инструменты модели' },
+    { command: 'transcribe', description: 'Расшифровка голосовых сообщений (вкл/выкл)' },
+    { command: 'remind', description: 'Задать вопрос позже, один раз' },
+    { command: 'every', description: 'Задавать вопрос по расписанию' },
+    { command: 'jobs', description: 'Задания по расписанию в этом чате' },
+    { command: 'timezone', description: 'Часовой пояс для расписаний' },
+    { command: 'group', description: 'Модели и функции бота в группе (для админов группы)' },
+    { command: 'usage', description: 'Потраченные запросы и токены' },
+    { command: 'defaults', description: 'Настройки по умолчанию (для администраторов)' },
+    { command: 'users', description: 'Пользователи и приглашения (для администраторов)' },
+    { command: 'allow', description: 'Открыть доступ пользователю (для администраторов)' },
+    { command: 'deny', description: 'Закрыть доступ пользователю (для администраторов)' },
+    { command: 'promote', description: 'Сменить роль пользователя (для администраторов)' },
+    { command: 'invite', description: 'Создать ссылку-приглашение (для администраторов)' },
+    { command: 'limits', description: 'Лимиты использования (для администраторов)' },
+];
+const MAX_TELEGRAM_COMMANDS = 100; // setMyCommands limit
+
+// The current configuration, reassigned by applyConfig on every (re)load. Read them at call time, never cache.
+let ALLOWED_MODELS;        // { [key]: modelId }
+let MODEL_CONTEXT_WINDOWS; // { [key]: tokens }, models without a limit get DEFAULT_CONTEXT_WINDOW
+let DEFAULT_MODEL_KEY;
+let DEFAULT_MODEL_ID;
+let MODEL_COMMANDS;        // ['/gemini20flash', ...] for help text and the command menu
+let IMAGE_MODELS;          // { [key]: modelId } of the image models, empty if /image is off
+let DEFAULT_IMAGE_MODEL_KEY;
+let IMAGE_MODEL_COMMANDS;  // ['/gemini20flashimage', ...]
+let MODEL_FALLBACK_CHAIN;
+let EDIT_THROTTLE_MS;
+let supportedMimeTypes;
+let allowedUserIdsSet;
+let ADMIN_USER_IDS;
+let ROLE_PERMISSIONS;      // { [role]: { models: '*' | string[], fileTypes: '*' | string[] } }, models include image models
+
+const MIME_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+$/;
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Checks the parsed config file against the schema and merges it over DEFAULT_CONFIG.
+// Returns { config, errors }, every error names the offending entry.
+function validateConfig(raw) {
+    const errors = [];
+    if (!isPlainObject(raw)) {
+        return { config: null, errors: ['ожидается объект с настройками на верхнем уровне'] };
+    }
+    for (const key of Object.keys(raw)) {
+        if (!(key in DEFAULT_CONFIG)) {
+            errors.push(`${key}: неизвестный параметр (допустимы: ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+        }
+    }
+    const config = { ...DEFAULT_CONFIG };
+
+    if (raw.models !== undefined) {
+        if (!isPlainObject(raw.models) || Object.keys(raw.models).length === 0) {
+            errors.push('models: ожидается непустой объект { ключ: { id, contextWindow } }');
+        } else {
+            config.models = {};
+            const builtInCommands = BOT_COMMANDS.map(item => item.command);
+            for (const [key, entry] of Object.entries(raw.models)) {
+                // The key becomes a slash command, so it has to follow Telegram's rules for command names
+                if (!/^[a-z0-9_]{1,32}$/.test(key)) {
+                    errors.push(`models.${key}: ключ должен состоять из строчных латинских букв, цифр и "_" (до 32 символов)`);
+                    continue;
+                }
+                if (builtInCommands.includes(key)) {
+                    errors.push(`models.${key}: ключ совпадает со встроенной командой /${key}`);
+                    continue;
+                }
+                // A bare string is a shorthand for { id }
+                const model = typeof entry === 'string' ? { id: entry } : entry;
+                if (!isPlainObject(model) || typeof model.id !== 'string' || !model.id.trim()) {
+                    errors.push(`models.${key}: ожидается строка с ID модели или объект с непустым полем "id"`);
+                    continue;
+                }
+                if (model.contextWindow !== undefined && (!Number.isInteger(model.contextWindow) || model.contextWindow <= 0)) {
+                    errors.push(`models.${key}.contextWindow: ожидается целое число больше 0`);
+                    continue;
+                }
+                config.models[key] = { id: model.id.trim(), contextWindow: model.contextWindow };
+            }
+        }
+    }
+
+    if (raw.defaultModel !== undefined) {
+        config.defaultModel = raw.defaultModel;
+    }
+    if (!config.models[config.defaultModel]) {
+        errors.push(`defaultModel: модель "${config.defaultModel}" не описана в models`);
+    }
+
+    // An empty object switches /image off
+    if (raw.imageModels !== undefined) {
+        if (!isPlainObject(raw.imageModels)) {
+            errors.push('imageModels: ожидается объект { ключ: { id } }');
+        } else {
+            config.imageModels = {};
+            const builtInCommands = BOT_COMMANDS.map(item => item.command);
+            for (const [key, entry] of Object.entries(raw.imageModels)) {
+                if (!/^[a-z0-9_]{1,32}$/.test(key)) {
+                    errors.push(`imageModels.${key}: ключ должен состоять из строчных латинских букв, цифр и "_" (до 32 символов)`);
+                    continue;
+                }
+                if (builtInCommands.includes(key)) {
+                    errors.push(`imageModels.${key}: ключ совпадает со встроенной командой /${key}`);
+                    continue;
+                }
+                const model = typeof entry === 'string' ? { id: entry } : entry;
+                if (!isPlainObject(model) || typeof model.id !== 'string' || !model.id.trim()) {
+                    errors.push(`imageModels.${key}: ожидается строка с ID модели или объект с непустым полем "id"`);
+                    continue;
+                }
+                config.imageModels[key] = { id: model.id.trim() };
+            }
+        }
+    }
+    for (const key of Object.keys(config.imageModels).filter(key => config.models[key])) {
+        errors.push(`imageModels.${key}: ключ совпадает с моделью из models`);
+    }
+    if (Object.keys(config.models).length + Object.keys(config.imageModels).length + BOT_COMMANDS.length > MAX_TELEGRAM_COMMANDS) {
+        errors.push(`models, imageModels: вместе не больше ${MAX_TELEGRAM_COMMANDS - BOT_COMMANDS.length} моделей (ограничение Telegram на число команд)`);
+    }
+    if (raw.defaultImageModel !== undefined) {
+        config.defaultImageModel = raw.defaultImageModel;
+    }
+    if (Object.keys(config.imageModels).length > 0 && !config.imageModels[config.defaultImageModel]) {
+        errors.push(`defaultImageModel: модель "${config.defaultImageModel}" не описана в imageModels`);
+    }
+
+    if (raw.fallbackChain === undefined) {
+        // The default chain (or MODEL_FALLBACK_CHAIN from .env) may name models the config doesn't have
+        config.fallbackChain = DEFAULT_CONFIG.fallbackChain.filter(key => config.models[key]);
+    } else if (!Array.isArray(raw.fallbackChain)) {
+        errors.push('fallbackChain: ожидается список ключей моделей');
+    } else {
+        raw.fallbackChain.forEach((key, index) => {
+            if (!config.models[key]) {
+                errors.push(`fallbackChain[${index}]: модель "${key}" не описана в models`);
+            }
+        });
+        config.fallbackChain = raw.fallbackChain;
+    }
+
+    if (raw.editThrottleMs !== undefined) {
+        if (!Number.isInteger(raw.editThrottleMs) || raw.editThrottleMs < 0 || raw.editThrottleMs > 60000) {
+            errors.push('editThrottleMs: ожидается целое число миллисекунд от 0 до 60000');
+        } else {
+            config.editThrottleMs = raw.editThrottleMs;
+        }
+    }
+
+    if (raw.supportedMimeTypes !== undefined) {
+        if (!Array.isArray(raw.supportedMimeTypes)) {
+            errors.push('supportedMimeTypes: ожидается список MIME-типов');
+        } else {
+            raw.supportedMimeTypes.forEach((mimeType, index) => {
+                if (typeof mimeType !== 'string' || !MIME_TYPE_PATTERN.test(mimeType)) {
+                    errors.push(`supportedMimeTypes[${index}]: "${mimeType}" не похоже на MIME-тип (например, "application/pdf")`);
+                }
+            });
+            config.supportedMimeTypes = raw.supportedMimeTypes;
+        }
+    }
+
+    for (const key of ['allowedUserIds', 'adminUserIds']) {
+        if (raw[key] === undefined) {
+            continue;
+        }
+        if (!Array.isArray(raw[key])) {
+            errors.push(`${key}: ожидается список числовых ID пользователей Telegram`);
+            continue;
+        }
+        raw[key].forEach((id, index) => {
+            if (!Number.isSafeInteger(id) || id <= 0) {
+                errors.push(`${key}[${index}]: "${id}" не является ID пользователя Telegram`);
+            }
+        });
+        config[key] = raw[key];
+    }
+
+    // Roles missing from the file keep the defaults, minus models the config doesn't have
+    config.roles = Object.fromEntries(Object.entries(DEFAULT_CONFIG.roles).map(([role, permissions]) => [role, {
+        models: permissions.models === '*' ? '*' : permissions.models.filter(key => config.models[key] || config.imageModels[key]),
+        fileTypes: permissions.fileTypes,
+    }]));
+    if (raw.roles !== undefined) {
+        if (!isPlainObject(raw.roles)) {
+            errors.push(`roles: ожидается объект { роль: { models, fileTypes } } с ролями ${Object.keys(ROLE_LABELS).join(', ')}`);
+        } else {
+            for (const [role, permissions] of Object.entries(raw.roles)) {
+                if (!ROLE_LABELS[role]) {
+                    errors.push(`roles.${role}: неизвестная роль (допустимы: ${Object.keys(ROLE_LABELS).join(', ')})`);
+                    continue;
+                }
+                if (!isPlainObject(permissions)) {
+                    errors.push(`roles.${role}: ожидается объект { models, fileTypes }`);
+                    continue;
+                }
+                const merged = { ...config.roles[role] };
+                if (permissions.models !== undefined) {
+                    if (permissions.models !== '*' && !Array.isArray(permissions.models)) {
+                        errors.push(`roles.${role}.models: ожидается "*" или список ключей моделей`);
+                    } else {
+                        if (Array.isArray(permissions.models)) {
+                            permissions.models.forEach((key, index) => {
+                                if (!config.models[key] && !config.imageModels[key]) {
+                                    errors.push(`roles.${role}.models[${index}]: модель "${key}" не описана в models и imageModels`);
+                                }
+                            });
+                        }
+                        merged.models = permissions.models;
+                    }
+                }
+                if (permissions.fileTypes !== undefined) {
+                    if (permissions.fileTypes !== '*' && !Array.isArray(permissions.fileTypes)) {
+                        errors.push(`roles.${role}.fileTypes: ожидается "*" или список MIME-типов`);
+                    } else {
+                        if (Array.isArray(permissions.fileTypes)) {
+                            permissions.fileTypes.forEach((mimeType, index) => {
+                                if (typeof mimeType !== 'string' || !MIME_TYPE_PATTERN.test(mimeType)) {
+                                    errors.push(`roles.${role}.fileTypes[${index}]: "${mimeType}" не похоже на MIME-тип`);
+                                }
+                            });
+                        }
+                        merged.fileTypes = permissions.fileTypes;
+                    }
+                }
+                config.roles[role] = merged;
+            }
+        }
+    }
+
+    return { config: errors.length === 0 ? config : null, errors };
+}
+
+// Reads and validates the config file. Returns { config, errors, missing }; a missing file means DEFAULT_CONFIG.
+async function loadConfig(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return { ...validateConfig({}), missing: true };
+    }
+    let raw;
+    try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        if (/\.ya?ml$/i.test(filePath)) {
+            // Optional dependency, only needed for YAML configs
+            let YAML;
+            try {
+                YAML = await import('yaml');
+            } catch (error) {
+                return { config: null, errors: ['для YAML-конфигурации установите пакет "yaml" (npm install yaml) или используйте JSON'] };
+            }
+            raw = YAML.parse(text);
+        } else {
+            raw = JSON.parse(text);
+        }
+    } catch (error) {
+        return { config: null, errors: [`не удалось разобрать файл: ${error.message}`] };
+    }
+    return validateConfig(raw);
+}
+
+function applyConfig(config) {
+    ALLOWED_MODELS = Object.fromEntries(Object.entries(config.models).map(([key, model]) => [key, model.id]));
+    MODEL_CONTEXT_WINDOWS = Object.fromEntries(Object.entries(config.models)
+        .filter(([, model]) => model.contextWindow)
+        .map(([key, model]) => [key, model.contextWindow]));
+    DEFAULT_MODEL_KEY = config.defaultModel;
+    DEFAULT_MODEL_ID = ALLOWED_MODELS[DEFAULT_MODEL_KEY];
+    MODEL_COMMANDS = Object.keys(ALLOWED_MODELS).map(cmd => `/${cmd}`);
+    IMAGE_MODELS = Object.fromEntries(Object.entries(config.imageModels).map(([key, model]) => [key, model.id]));
+    DEFAULT_IMAGE_MODEL_KEY = config.defaultImageModel;
+    IMAGE_MODEL_COMMANDS = Object.keys(IMAGE_MODELS).map(cmd => `/${cmd}`);
+    MODEL_FALLBACK_CHAIN = config.fallbackChain;
+    EDIT_THROTTLE_MS = config.editThrottleMs;
+    supportedMimeTypes = config.supportedMimeTypes;
+    allowedUserIdsSet = new Set(config.allowedUserIds);
+    ADMIN_USER_IDS = new Set(config.adminUserIds);
+    ROLE_PERMISSIONS = config.roles;
+}
+
+function logConfigErrors(errors) {
+    errors.forEach(error => log.error(`  ${CONFIG_FILE}: ${error}`));
+}
+
+const initialConfig = await loadConfig(CONFIG_FILE);
+if (!initialConfig.config) {
+    log.error(`Ошибка в файле конфигурации ${CONFIG_FILE}, бот не запущен:`);
+    logConfigErrors(initialConfig.errors);
+    process.exit(1);
+}
+if (initialConfig.missing) {
+    log.info(`Файл конфигурации ${CONFIG_FILE} не найден, используются настройки по умолчанию.`);
+}
+applyConfig(initialConfig.config);
+
+if (ADMIN_USER_IDS.size === 0) {
+    log.warn("ПРЕДУПРЕЖДЕНИЕ: Администраторы не заданы (adminUserIds в конфигурации или ADMIN_USER_IDS в .env), выдавать доступ командами будет некому.");
+}
+
+// --- Metrics ---
+
+// Counters and histograms served at /metrics in the Prometheus text format (see HTTP Server).
+// They live in memory and start from zero on every restart, which Prometheus handles for counters.
+const METRICS = {
+    bot_updates_total: { type: 'counter', help: 'Updates received from Telegram, by type' },
+    bot_model_requests_total: { type: 'counter', help: 'Requests to the models (see generateWithFallback), by model key and status' },
+    bot_model_response_seconds: { type: 'histogram', help: 'Time until a model starts answering, by model key' },
+    bot_model_tokens_total: { type: 'counter', help: 'Tokens used, by model key and kind (prompt, output)' },
+    bot_telegram_rate_limited_total: { type: 'counter', help: 'Streamed edits Telegram rejected with 429 Too Many Requests' },
+    bot_errors_total: { type: 'counter', help: 'Errors, by where they happened (text, file, job, critical)' },
 };
+const METRIC_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 30, 60]; // Seconds
+const ACTIVE_USER_WINDOWS = { '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+const processStartedAt = Date.now();
+
+// Map<metric name, Map<rendered labels, number | { buckets: number[], sum: number, count: number }>>
+const metricValues = new Map();
+// Map<userId, time of their last update>, users with access only
+const userLastSeen = new Map();
+
+// { model_key: 'x' } -> '{model_key="x"}'
+function formatMetricLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function getMetricSeries(name) {
+    if (!metricValues.has(name)) {
+        metricValues.set(name, new Map());
+    }
+    return metricValues.get(name);
+}
+
+function incrementMetric(name, labels = {}, value = 1) {
+    const series = getMetricSeries(name);
+    const key = formatMetricLabels(labels);
+    series.set(key, (series.get(key) || 0) + value);
+}
+
+function observeMetric(name, labels, value) {
+    const series = getMetricSeries(name);
+    const key = formatMetricLabels(labels);
+    const histogram = series.get(key) || { buckets: METRIC_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    METRIC_BUCKETS.forEach((bound, index) => {
+        if (value <= bound) {
+            histogram.buckets[index]++; // Buckets are cumulative
+        }
+    });
+    histogram.sum += value;
+    histogram.count++;
+    series.set(key, histogram);
+}
+
+incrementMetric('bot_telegram_rate_limited_total', {}, 0); // Counters without labels are shown from the start
+
+function recordActiveUser(userId) {
+    userLastSeen.set(userId, Date.now());
+}
 
-// Define the KEY (from ALLOWED_MODELS) for the default model
-// Make sure this key exists in ALLOWED_MODELS
-const DEFAULT_MODEL_KEY = "gemini20flash";
-// Ensure fallback uses a known valid key if the default key is somehow wrong or model unavailable
-const DEFAULT_MODEL_ID = ALLOWED_MODELS[DEFAULT_MODEL_KEY] || Object.values(ALLOWED_MODELS)[0] || "gemini-1.5-flash";
+// The text served at /metrics: the metrics above plus gauges read at the moment
+function renderMetrics() {
+    const lines = [];
+    for (const [name, spec] of Object.entries(METRICS)) {
+        lines.push(`# HELP ${name} ${spec.help}`, `# TYPE ${name} ${spec.type}`);
+        for (const [labels, value] of getMetricSeries(name)) {
+            if (spec.type !== 'histogram') {
+                lines.push(`${name}${labels} ${value}`);
+                continue;
+            }
+            const bucketLabels = labels ? `${labels.slice(0, -1)},` : '{';
+            METRIC_BUCKETS.forEach((bound, index) => lines.push(`${name}_bucket${bucketLabels}le="${bound}"} ${value.buckets[index]}`));
+            lines.push(`${name}_bucket${bucketLabels}le="+Inf"} ${value.count}`, `${name}_sum${labels} ${value.sum}`, `${name}_count${labels} ${value.count}`);
+        }
+    }
 
-// Generate the list of commands for help text and registration
-const MODEL_COMMANDS = Object.keys(ALLOWED_MODELS).map(cmd => `/${cmd}`);
-const EDIT_THROTTLE_MS = 1500; // Throttle edits to avoid Telegram limits
+    const now = Date.now();
+    const longestWindow = Math.max(...Object.values(ACTIVE_USER_WINDOWS));
+    for (const [userId, seenAt] of userLastSeen) {
+        if (now - seenAt > longestWindow) {
+            userLastSeen.delete(userId);
+        }
+    }
+    lines.push('# HELP bot_active_users Users with access who sent an update within the window', '# TYPE bot_active_users gauge');
+    for (const [window, duration] of Object.entries(ACTIVE_USER_WINDOWS)) {
+        const count = [...userLastSeen.values()].filter(seenAt => now - seenAt <= duration).length;
+        lines.push(`bot_active_users{window="${window}"} ${count}`);
+    }
+    lines.push(
+        '# HELP bot_active_generations Answers being generated right now', '# TYPE bot_active_generations gauge',
+        `bot_active_generations ${activeGenerations.size}`,
+        '# HELP bot_scheduled_jobs Jobs of /remind and /every', '# TYPE bot_scheduled_jobs gauge',
+        `bot_scheduled_jobs ${Object.keys(scheduledJobs.jobs).length}`,
+        '# HELP bot_uptime_seconds Time since the process started', '# TYPE bot_uptime_seconds gauge',
+        `bot_uptime_seconds ${Math.round((now - processStartedAt) / 1000)}`,
+        '# HELP bot_memory_rss_bytes Resident memory of the process', '# TYPE bot_memory_rss_bytes gauge',
+        `bot_memory_rss_bytes ${process.memoryUsage().rss}`,
+    );
+    return `${lines.join('\n')}\n`;
+}
 
 // --- Gemini Setup ---
 const genAI = new GoogleGenerativeAI(process.env.API_KEY);
@@ -37,14 +646,17 @@ const SAFETY_SETTINGS = [
 ];
 
 // Function to get the model instance based on the command key
-function getModelInstance(modelKey = DEFAULT_MODEL_KEY) {
+// options.systemInstruction - persona/system prompt of the conversation (see getSystemInstruction)
+// options.generationConfig, options.safetySettings - per-user settings (see getEffectiveGenerationSettings)
+// options.tools - function declarations the model may call (see getToolDeclarations)
+function getModelInstance(modelKey = DEFAULT_MODEL_KEY, options = {}) {
     // Look up the ID using the key, fallback to default key if invalid key provided
     const requestedModelId = ALLOWED_MODELS[modelKey];
     const defaultModelIdToUse = ALLOWED_MODELS[DEFAULT_MODEL_KEY] || Object.values(ALLOWED_MODELS)[0] || "gemini-1.5-flash"; // Safest fallback
     const modelId = requestedModelId || defaultModelIdToUse;
     const effectiveKey = requestedModelId ? modelKey : DEFAULT_MODEL_KEY; // Log the key that led to the modelId
 
-    console.log(`Attempting to use model ID: ${modelId} (selected key: ${effectiveKey})`);
+    log.debug('Выбрана модель', { modelKey: effectiveKey, modelId });
     try {
         // Check if modelId is actually defined before proceeding
         if (!modelId) {
@@ -52,118 +664,2551 @@ function getModelInstance(modelKey = DEFAULT_MODEL_KEY) {
         }
         return genAI.getGenerativeModel({
             model: modelId,
-            safetySettings: SAFETY_SETTINGS,
-            // generationConfig: { temperature: 0.7 } // Optional: Add if needed
+            safetySettings: options.safetySettings || SAFETY_SETTINGS,
+            systemInstruction: options.systemInstruction || undefined,
+            generationConfig: options.generationConfig,
+            tools: options.tools,
         });
     } catch (error) {
-        console.error(`Failed to get model instance for ID: ${modelId} (key: ${effectiveKey})`, error);
+        log.error(`Не удалось получить модель ${modelId} (ключ: ${effectiveKey})`, { error });
         // Fallback to the determined safe default model instance
-        console.warn(`Falling back to default model: ${defaultModelIdToUse}`);
+        log.warn(`Использую модель по умолчанию: ${defaultModelIdToUse}`);
         return genAI.getGenerativeModel({
             model: defaultModelIdToUse,
-            safetySettings: SAFETY_SETTINGS,
+            safetySettings: options.safetySettings || SAFETY_SETTINGS,
+            systemInstruction: options.systemInstruction || undefined,
+            generationConfig: options.generationConfig,
+            tools: options.tools,
         });
     }
 }
 
-// --- User and State Management ---
+// --- Storage ---
+
+// Where user state is persisted: "json" (file on disk, default), "redis" (shared between instances) or "memory" (lost on restart)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'json').trim().toLowerCase();
+const STORAGE_FILE = process.env.STORAGE_FILE || './data/state.json';
+const STORAGE_FLUSH_MS = 1000; // Debounce writes to the JSON file
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const REDIS_PREFIX = process.env.REDIS_PREFIX || 'gemini-bot:';
+const REDIS_UPDATE_ATTEMPTS = 10; // Optimistic transactions retried when another instance wrote the key meanwhile
+
+// Every backend exposes the same async interface: get(key), set(key, value), delete(key), keys(prefix), close()
+// and update(key, change). Values are plain JSON-serializable objects. `shared` means other processes may write
+// to the same store. update() stores `change(current value or null)` and resolves to it; the read and the write
+// are atomic, so a document several instances change (roles, quotas, jobs) doesn't lose their concurrent changes.
+
+function createMemoryStorage() {
+    const data = new Map(); // Map<key, serialized JSON>
+    return {
+        name: 'memory',
+        shared: false,
+        async get(key) {
+            const raw = data.get(key);
+            return raw === undefined ? null : JSON.parse(raw);
+        },
+        async set(key, value) {
+            data.set(key, JSON.stringify(value));
+        },
+        // No await between the read and the write, so nothing else runs in between
+        async update(key, change) {
+            const raw = data.get(key);
+            const value = change(raw === undefined ? null : JSON.parse(raw));
+            data.set(key, JSON.stringify(value));
+            return value;
+        },
+        async delete(key) {
+            data.delete(key);
+        },
+        async keys(prefix = '') {
+            return [...data.keys()].filter(key => key.startsWith(prefix));
+        },
+        async close() {},
+    };
+}
 
-// --- >>>> START MULTI-USER CHANGE <<<< ---
-// Читаем строку ID из .env, разделенную запятыми
-const allowedUserIdsString = process.env.ALLOWED_USER_IDS || '';
+function createJsonFileStorage(filePath) {
+    const data = new Map(); // Map<key, serialized JSON>
+    let flushTimeoutId = null;
+
+    // Load existing state synchronously at startup so the first update already sees it
+    if (fs.existsSync(filePath)) {
+        try {
+            const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            for (const [key, value] of Object.entries(parsed)) {
+                data.set(key, JSON.stringify(value));
+            }
+            log.info(`Состояние загружено из ${filePath} (${data.size} записей).`);
+        } catch (error) {
+            // Keep the broken file for manual inspection instead of overwriting it on the next flush
+            const backupPath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, backupPath);
+            log.error(`Не удалось прочитать ${filePath}, файл переименован в ${backupPath}`, { error });
+        }
+    }
 
-// Преобразуем строку в массив чисел (ID)
-const allowedUserIds = allowedUserIdsString
-    .split(',') // Разделяем по запятой
-    .map(id => id.trim()) // Убираем лишние пробелы вокруг ID
-    .filter(id => id.length > 0) // Убираем пустые строки (если были двойные запятые)
-    .map(id => parseInt(id, 10)) // Преобразуем строки в числа
-    .filter(id => !isNaN(id)); // Убираем значения, которые не удалось преобразовать в число
+    // Write to a temp file and rename, so a crash mid-write never leaves a truncated state file
+    const flushSync = () => {
+        if (flushTimeoutId) {
+            clearTimeout(flushTimeoutId);
+            flushTimeoutId = null;
+        }
+        // Values are already serialized, so the file is assembled without re-parsing them
+        const entries = [...data].map(([key, raw]) => `${JSON.stringify(key)}:${raw}`);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, `{${entries.join(',')}}`);
+        fs.renameSync(tmpPath, filePath);
+    };
 
-// Для быстрой проверки используем Set
-const allowedUserIdsSet = new Set(allowedUserIds);
+    const scheduleFlush = () => {
+        if (flushTimeoutId) return;
+        flushTimeoutId = setTimeout(() => {
+            flushTimeoutId = null;
+            try {
+                flushSync();
+            } catch (error) {
+                log.error(`Ошибка записи состояния в ${filePath}`, { error });
+            }
+        }, STORAGE_FLUSH_MS);
+    };
 
-if (allowedUserIdsSet.size === 0) {
-    console.warn("ПРЕДУПРЕЖДЕНИЕ: Список разрешенных пользователей (ALLOWED_USER_IDS в .env) пуст или не задан! Бот не будет отвечать никому.");
-} else {
-    // Этот лог будет выведен при запуске в блоке bot.launch()
+    return {
+        name: 'json',
+        shared: false,
+        async get(key) {
+            const raw = data.get(key);
+            return raw === undefined ? null : JSON.parse(raw);
+        },
+        async set(key, value) {
+            data.set(key, JSON.stringify(value));
+            scheduleFlush();
+        },
+        async update(key, change) {
+            const raw = data.get(key);
+            const value = change(raw === undefined ? null : JSON.parse(raw));
+            data.set(key, JSON.stringify(value));
+            scheduleFlush();
+            return value;
+        },
+        async delete(key) {
+            if (data.delete(key)) scheduleFlush();
+        },
+        async keys(prefix = '') {
+            return [...data.keys()].filter(key => key.startsWith(prefix));
+        },
+        async close() {
+            if (flushTimeoutId) flushSync();
+        },
+    };
 }
-// --- >>>> END MULTI-USER CHANGE <<<< ---
 
+// Works with any Redis-compatible server (Redis, Valkey, KeyDB, ...). The "redis" package is only loaded when selected.
+async function createRedisStorage(url, prefix) {
+    let createClient;
+    let WatchError;
+    try {
+        ({ createClient, WatchError } = await import('redis'));
+    } catch (error) {
+        throw new Error('Для STORAGE_BACKEND=redis нужен пакет "redis" (npm install redis).');
+    }
+    const client = createClient({ url });
+    client.on('error', (error) => log.error('Ошибка соединения с Redis', { error }));
+    await client.connect();
+    // WATCH belongs to the connection: transactions get a connection of their own and run one at a time
+    const transactionClient = client.duplicate();
+    transactionClient.on('error', (error) => log.error('Ошибка соединения с Redis', { error }));
+    await transactionClient.connect();
+    let transactionQueue = Promise.resolve();
+    const { host, port } = new URL(url); // Not the whole URL, it may hold the password
+    log.info(`Подключено к Redis: ${host}${port ? '' : ':6379'} (префикс ключей: ${prefix})`);
 
-// Store history and user settings (Map<userId, { history: Array<any>, currentModelKey: string }>)
-const userState = new Map();
+    // WATCH, read, MULTI/SET/EXEC; EXEC fails if the key changed after WATCH, then the change is applied again
+    const runUpdate = async (key, change) => {
+        for (let attempt = 1; attempt <= REDIS_UPDATE_ATTEMPTS; attempt++) {
+            await transactionClient.watch(prefix + key);
+            let value;
+            try {
+                const raw = await transactionClient.get(prefix + key);
+                value = change(raw === null ? null : JSON.parse(raw));
+            } catch (error) {
+                await transactionClient.unwatch();
+                throw error;
+            }
+            try {
+                // redis@4 rejects with WatchError, redis@5 resolves to null
+                if (await transactionClient.multi().set(prefix + key, JSON.stringify(value)).exec() !== null) {
+                    return value;
+                }
+            } catch (error) {
+                if (!(error instanceof WatchError)) {
+                    throw error;
+                }
+            }
+            log.debug(`Ключ ${key} изменён другим экземпляром, повтор`, { attempt });
+        }
+        throw new Error(`не удалось записать ${key}: ключ постоянно меняют другие экземпляры`);
+    };
 
-function getUserState(userId) {
-    if (!userState.has(userId)) {
-        // Store the KEY of the model, not the ID
-        userState.set(userId, { history: [], currentModelKey: DEFAULT_MODEL_KEY });
+    return {
+        name: 'redis',
+        shared: true,
+        async get(key) {
+            const raw = await client.get(prefix + key);
+            return raw === null ? null : JSON.parse(raw);
+        },
+        async set(key, value) {
+            await client.set(prefix + key, JSON.stringify(value));
+        },
+        update(key, change) {
+            const result = transactionQueue.then(() => runUpdate(key, change));
+            transactionQueue = result.catch(() => {});
+            return result;
+        },
+        async delete(key) {
+            await client.del(prefix + key);
+        },
+        async keys(keyPrefix = '') {
+            const result = [];
+            for await (const batch of client.scanIterator({ MATCH: `${prefix}${keyPrefix}*`, COUNT: 100 })) {
+                // redis@4 yields single keys, redis@5 yields arrays of keys
+                for (const key of [].concat(batch)) {
+                    result.push(key.substring(prefix.length));
+                }
+            }
+            return result;
+        },
+        async close() {
+            await transactionQueue;
+            await Promise.all([client.quit(), transactionClient.quit()]);
+        },
+    };
+}
+
+async function createStorage() {
+    switch (STORAGE_BACKEND) {
+        case 'memory':
+            log.warn("ПРЕДУПРЕЖДЕНИЕ: STORAGE_BACKEND=memory, история и настройки будут потеряны при перезапуске.");
+            return createMemoryStorage();
+        case 'redis':
+            return createRedisStorage(REDIS_URL, REDIS_PREFIX);
+        case 'json':
+            return createJsonFileStorage(STORAGE_FILE);
+        default:
+            throw new Error(`Неизвестный STORAGE_BACKEND: "${STORAGE_BACKEND}". Допустимые значения: json, redis, memory.`);
     }
-    return userState.get(userId);
 }
 
-function clearConversationHistory(userId) {
-    const state = getUserState(userId);
-    state.history = []; // Only clear history, keep model setting
-    console.log(`История для пользователя ${userId} очищена.`);
+const storage = await createStorage();
+
+// --- Gemini File API ---
+
+// Files up to FILE_API_THRESHOLD_BYTES are sent inline (base64, the whole request is capped at 20 MB).
+// Larger ones are uploaded to the Gemini File API and referenced with `fileData`, which also stays in the history,
+// so follow-up questions still see the file. Gemini keeps uploads for 48 hours; they are cached by the Telegram
+// file_unique_id under "file:<id>", so sending the same file again doesn't upload it twice.
+// FILE_UPLOAD_BACKEND: "gemini" (default), the one uploader so far.
+const FILE_UPLOAD_BACKEND = (process.env.FILE_UPLOAD_BACKEND || 'gemini').trim().toLowerCase();
+const FILE_API_THRESHOLD_BYTES = process.env.FILE_API_THRESHOLD_BYTES !== undefined
+    ? Number(process.env.FILE_API_THRESHOLD_BYTES)
+    : 4 * 1024 * 1024;
+const FILE_CACHE_PREFIX = 'file:';
+const FILE_EXPIRY_MARGIN_MS = 10 * 60 * 1000; // Don't rely on uploads that are about to expire
+const FILE_PROCESSING_POLL_MS = 2000;
+const FILE_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000; // Video is processed by Gemini before it can be used
+const FILE_CACHE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const TELEGRAM_DOWNLOAD_LIMIT_BYTES = 20 * 1024 * 1024; // Bot API getFile refuses bigger files
+
+// Every uploader exposes upload(buffer, { mimeType, displayName }) and get(name), both resolving to the File API
+// file metadata: { name, uri, mimeType, state: 'PROCESSING' | 'ACTIVE' | 'FAILED', expirationTime }.
+
+function createGeminiFileUploader(apiKey) {
+    const fileManager = new GoogleAIFileManager(apiKey);
+    return {
+        name: 'gemini',
+        async upload(buffer, metadata) {
+            const { file } = await fileManager.uploadFile(buffer, metadata);
+            return file;
+        },
+        get(name) {
+            return fileManager.getFile(name);
+        },
+    };
 }
 
-function addMessageToHistory(userId, role, content) {
-    const state = getUserState(userId);
-    // Optional: Limit history size
-    // const MAX_HISTORY_LENGTH = 20;
-    // if (state.history.length >= MAX_HISTORY_LENGTH) {
-    //     state.history.splice(0, state.history.length - MAX_HISTORY_LENGTH + 1);
-    // }
-    state.history.push({ role, parts: content });
+function createFileUploader() {
+    switch (FILE_UPLOAD_BACKEND) {
+        case 'gemini':
+            return createGeminiFileUploader(process.env.API_KEY);
+        default:
+            throw new Error(`Неизвестный FILE_UPLOAD_BACKEND: "${FILE_UPLOAD_BACKEND}". Допустимое значение: gemini.`);
+    }
 }
 
-function setUserModel(userId, modelCommand) {
-    const modelKey = modelCommand.startsWith('/') ? modelCommand.substring(1) : modelCommand;
-    if (ALLOWED_MODELS[modelKey]) { // Check if the key exists in our allowed models
-        const state = getUserState(userId);
-        state.currentModelKey = modelKey; // Store the validated command key
-        const modelId = ALLOWED_MODELS[modelKey]; // Get the corresponding ID
-        console.log(`Пользователь ${userId} переключился на модель: ${modelId} (команда /${modelKey})`);
-        // Verify the model instance can be created (optional, but good check)
-        try {
-            getModelInstance(modelKey); // Try creating it
-        } catch (verificationError) {
-            // Error already logged in getModelInstance
-            return null; // Indicate failure if verification fails
+const fileUploader = createFileUploader();
+
+// Upload a downloaded Telegram file and wait until Gemini has processed it.
+// Returns the cache entry { name, uri, mimeType, expiresAt }.
+async function uploadToFileApi(buffer, file, signal) {
+    const displayName = file.fileName?.replace(/"/g, '') || file.typeName;
+    let uploaded = await fileUploader.upload(buffer, { mimeType: file.mimeType, displayName });
+    log.info(`Файл (${buffer.length} байт) загружен в Gemini File API: ${uploaded.name}`, { fileName: displayName });
+
+    const startedAt = Date.now();
+    while (uploaded.state === 'PROCESSING') {
+        if (Date.now() - startedAt > FILE_PROCESSING_TIMEOUT_MS) {
+            throw new Error(`Gemini не успел обработать файл ${displayName}`);
         }
-        return modelId; // Return the model ID for confirmation message
+        await sleep(FILE_PROCESSING_POLL_MS);
+        if (signal?.aborted) {
+            const error = new Error('Загрузка файла остановлена');
+            error.name = 'AbortError';
+            throw error;
+        }
+        uploaded = await fileUploader.get(uploaded.name);
     }
-    console.warn(`Попытка установить невалидный ключ модели: ${modelKey} для пользователя ${userId}`);
-    return null; // Indicate failure
+    if (uploaded.state === 'FAILED') {
+        throw new Error(`Gemini не смог обработать файл ${displayName}`);
+    }
+
+    const entry = {
+        name: uploaded.name,
+        uri: uploaded.uri,
+        mimeType: uploaded.mimeType || file.mimeType,
+        expiresAt: Date.parse(uploaded.expirationTime) || Date.now() + 47 * 60 * 60 * 1000,
+    };
+    if (file.uniqueId) {
+        await storage.set(`${FILE_CACHE_PREFIX}${file.uniqueId}`, entry).catch((error) => {
+            log.error(`Не удалось сохранить файл ${uploaded.name} в кэш`, { error });
+        });
+    }
+    return entry;
 }
 
-// --- Telegraf Bot Setup ---
-const bot = new Telegraf(process.env.BOT_TOKEN);
+// An earlier upload of the same Telegram file that is still usable
+async function getCachedUpload(uniqueId) {
+    if (!uniqueId) {
+        return null;
+    }
+    const entry = await storage.get(`${FILE_CACHE_PREFIX}${uniqueId}`);
+    if (!entry) {
+        return null;
+    }
+    if (isCachedUploadExpired(entry)) {
+        await storage.delete(`${FILE_CACHE_PREFIX}${uniqueId}`);
+        return null;
+    }
+    return entry;
+}
 
-// --- Middleware for Access Control ---
-// --- >>>> START MULTI-USER CHANGE <<<< ---
-bot.use((ctx, next) => {
-    // Проверяем, есть ли ID пользователя в нашем наборе разрешенных ID
-    if (ctx.from && allowedUserIdsSet.has(ctx.from.id)) {
-        // ID найден в списке разрешенных, пропускаем дальше
-        return next();
+function isCachedUploadExpired(entry) {
+    return !entry?.expiresAt || entry.expiresAt - FILE_EXPIRY_MARGIN_MS < Date.now();
+}
+
+// getCachedUpload drops an expired entry when the file is sent again; the ones nobody sends again are removed here
+async function pruneFileCache() {
+    try {
+        let removed = 0;
+        for (const key of await storage.keys(FILE_CACHE_PREFIX)) {
+            if (isCachedUploadExpired(await storage.get(key))) {
+                await storage.delete(key);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            log.info(`Из кэша загруженных файлов удалены устаревшие записи: ${removed}.`);
+        }
+    } catch (error) {
+        log.error('Не удалось очистить кэш загруженных файлов', { error });
     }
+}
 
-    // Пользователь не авторизован
-    console.log(`Запрос от неавторизованного пользователя: ${ctx.from?.id} (${ctx.from?.username})`);
-    if (ctx.message || ctx.callback_query) {
-        // Отвечаем только если есть сообщение или колбэк (чтобы не спамить в логи на другие события)
-        return ctx.reply("Извините, у вас нет доступа к этому боту.");
+pruneFileCache();
+setInterval(pruneFileCache, FILE_CACHE_PRUNE_INTERVAL_MS).unref();
+
+// Request part for a Telegram file (as built by the file listeners: { fileId, uniqueId, mimeType, typeName, fileName },
+// plus `buffer` if it's already downloaded and `text` for documents converted to text, see prepareDocument).
+// Returns { part, upload, keepInHistory }: `upload` is the File API entry for files referenced by URI.
+// Extracted text and uploads can stay in the history; inline data is too big for it.
+async function buildFilePart(ctx, file, signal) {
+    if (file.text !== undefined) {
+        return { part: { text: `Содержимое файла ${file.fileName}:\n${file.text}` }, upload: null, keepInHistory: true };
     }
-    // Игнорируем другие типы апдейтов от неавторизованных пользователей (например, вступление в группу)
-});
-// --- >>>> END MULTI-USER CHANGE <<<< ---
+    const cached = await getCachedUpload(file.uniqueId);
+    if (cached) {
+        log.info(`Файл ${file.uniqueId} уже загружен в Gemini File API (${cached.name}), использую его.`);
+        return { part: { fileData: { mimeType: cached.mimeType, fileUri: cached.uri } }, upload: cached, keepInHistory: true };
+    }
+    const buffer = file.buffer || await getFileBuffer(ctx, file.fileId);
+    if (buffer.length <= FILE_API_THRESHOLD_BYTES) {
+        return { part: { inlineData: { data: buffer.toString("base64"), mimeType: file.mimeType } }, upload: null, keepInHistory: false };
+    }
+    const upload = await uploadToFileApi(buffer, file, signal);
+    return { part: { fileData: { mimeType: upload.mimeType, fileUri: upload.uri } }, upload, keepInHistory: true };
+}
 
-// --- Bot Commands ---
+// Remember until when an uploaded file referenced from the conversation's history can be used
+function rememberUploadedFile(conversation, upload) {
+    conversation.uploadedFiles = conversation.uploadedFiles || {};
+    conversation.uploadedFiles[upload.uri] = upload.expiresAt;
+}
+
+// Replace references to expired uploads in the history with a note, otherwise Gemini rejects the whole request.
+// Called before every request.
+function dropExpiredFiles(userId, conversationId) {
+    const conversation = getConversation(userId, conversationId);
+    const expiredUris = Object.entries(conversation.uploadedFiles || {})
+        .filter(([, expiresAt]) => expiresAt - FILE_EXPIRY_MARGIN_MS < Date.now())
+        .map(([uri]) => uri);
+    if (expiredUris.length === 0) {
+        return;
+    }
+    for (const content of conversation.history) {
+        content.parts = content.parts.map(part => expiredUris.includes(part.fileData?.fileUri)
+            ? { text: '[Файл больше недоступен: срок хранения в Gemini File API истёк]' }
+            : part);
+    }
+    for (const uri of expiredUris) {
+        delete conversation.uploadedFiles[uri];
+    }
+    saveUserState(userId);
+    log.info(`Из истории пользователя ${userId} убраны устаревшие файлы: ${expiredUris.length}.`);
+}
+
+// --- Text-to-Speech ---
+
+// Voice answers (/voice) are synthesized by TTS_BACKEND into OGG/Opus, the format of Telegram voice messages:
+// "google" (default) - Google Cloud Text-to-Speech, with TTS_API_KEY (API_KEY if not set) that has the API enabled.
+const TTS_BACKEND = (process.env.TTS_BACKEND || 'google').trim().toLowerCase();
+const TTS_LANGUAGE = process.env.TTS_LANGUAGE || 'ru-RU';
+const TTS_VOICE = process.env.TTS_VOICE || ''; // e.g. "ru-RU-Wavenet-D", the language's default voice if empty
+const TTS_MAX_TEXT_LENGTH = 2000; // Google accepts up to 5000 bytes, Cyrillic takes two per character
+const GOOGLE_TTS_URL = 'https://texttospeech.googleapis.com/v1/text:synthesize';
+const TTS_TIMEOUT_MS = 30 * 1000;
+
+// Every engine exposes synthesize(text) resolving to a Buffer with OGG/Opus audio
+
+function createGoogleTtsEngine(apiKey) {
+    return {
+        name: 'google',
+        async synthesize(text) {
+            const response = await fetch(`${GOOGLE_TTS_URL}?key=${encodeURIComponent(apiKey)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    input: { text },
+                    voice: { languageCode: TTS_LANGUAGE, name: TTS_VOICE || undefined },
+                    audioConfig: { audioEncoding: 'OGG_OPUS' },
+                }),
+                signal: AbortSignal.timeout(TTS_TIMEOUT_MS),
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(`Text-to-Speech (${response.status}): ${body.error?.message || response.statusText}`);
+            }
+            return Buffer.from(body.audioContent, 'base64');
+        },
+    };
+}
+
+function createTtsEngine() {
+    switch (TTS_BACKEND) {
+        case 'google':
+            return createGoogleTtsEngine(process.env.TTS_API_KEY || process.env.API_KEY);
+        default:
+            throw new Error(`Неизвестный TTS_BACKEND: "${TTS_BACKEND}". Допустимое значение: google.`);
+    }
+}
+
+const ttsEngine = createTtsEngine();
+
+// Markdown of an answer as it should be read out: no markup, links and code blocks
+function getSpeechText(markdown) {
+    const text = markdown
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/[*_`#>|~]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (text.length <= TTS_MAX_TEXT_LENGTH) {
+        return text;
+    }
+    // Cut at the end of the last sentence that fits
+    const cut = text.substring(0, TTS_MAX_TEXT_LENGTH);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    return sentenceEnd > TTS_MAX_TEXT_LENGTH / 2 ? cut.substring(0, sentenceEnd + 1) : cut;
+}
+
+// --- Document Text Extraction ---
+
+// Gemini reads PDF, images, audio, video and plain text natively. Other documents (DOCX, XLSX, HTML, JSON,
+// source code, ZIP archives) are converted to text locally before the request, and the text is what the model
+// gets (and what stays in the history). The type is detected from the file signature and extension,
+// the MIME type from Telegram is often just application/octet-stream.
+const MAX_EXTRACTED_TEXT_LENGTH = 300000; // Characters, roughly 75-100k tokens
+const MAX_ZIP_ENTRY_BYTES = 5 * 1024 * 1024; // Uncompressed size of one archive entry we still read
+const MAX_ZIP_LISTED_ENTRIES = 500;
+// An archive unpacks at most this many entries and bytes in total, so archives of many small entries can't
+// keep the server busy either
+const MAX_ZIP_READ_ENTRIES = 200;
+const MAX_ZIP_TOTAL_BYTES = 20 * 1024 * 1024;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+// Binary DOC and XLS need a full Office parser, users are asked for a newer format instead
+const LEGACY_OFFICE_MIME_TYPES = ['application/msword', 'application/vnd.ms-excel', 'application/x-ole-storage'];
+
+// Extensions of text files. Source code and configs become text/plain, the file name tells the model the language.
+const TEXT_FILE_TYPES = {
+    '.txt': 'text/plain', '.md': 'text/plain', '.log': 'text/plain', '.csv': 'text/csv', '.tsv': 'text/csv',
+    '.html': 'text/html', '.htm': 'text/html', '.json': 'application/json',
+};
+const CODE_FILE_EXTENSIONS = [
+    '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.kts', '.scala', '.swift',
+    '.c', '.h', '.cc', '.cpp', '.hpp', '.cs', '.php', '.lua', '.pl', '.r', '.dart', '.sh', '.bash', '.ps1', '.bat',
+    '.sql', '.css', '.scss', '.less', '.vue', '.svelte', '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf',
+    '.env', '.properties', '.gradle', '.dockerfile', '.tf', '.proto', '.graphql', '.tex', '.rst',
+];
+// Binary formats recognized by their first bytes: [mimeType, offset, signature]. ISO media files ("ftyp")
+// are told apart by their brand, see FTYP_IMAGE_BRANDS.
+const FILE_SIGNATURES = [
+    ['application/pdf', 0, '%PDF'],
+    ['image/png', 0, '\x89PNG'],
+    ['image/jpeg', 0, '\xff\xd8\xff'],
+    ['image/gif', 0, 'GIF8'],
+    ['image/webp', 8, 'WEBP'],
+    ['audio/wav', 8, 'WAVE'],
+    ['audio/ogg', 0, 'OggS'],
+    ['audio/mpeg', 0, 'ID3'],
+    ['audio/mpeg', 0, '\xff\xfb'],
+    ['audio/mp4', 4, 'ftypM4A'],
+    ['video/quicktime', 4, 'ftypqt'],
+    ['video/mp4', 4, 'ftyp'],
+    ['video/webm', 0, '\x1a\x45\xdf\xa3'],
+    ['application/zip', 0, 'PK\x03\x04'],
+    ['application/x-ole-storage', 0, '\xd0\xcf\x11\xe0'], // Legacy DOC, XLS, PPT
+];
+
+// HEIF and AVIF images share the "ftyp" container with MP4 videos
+const FTYP_IMAGE_BRANDS = {
+    heic: 'image/heic', heix: 'image/heic', hevc: 'image/heic', hevx: 'image/heic', heim: 'image/heic', heis: 'image/heic',
+    mif1: 'image/heif', msf1: 'image/heif', avif: 'image/avif', avis: 'image/avif',
+};
+
+function getFileExtension(fileName = '') {
+    if (/^dockerfile$/i.test(fileName)) {
+        return '.dockerfile';
+    }
+    return path.extname(fileName).toLowerCase();
+}
+
+function hasSignature(buffer, offset, signature) {
+    return buffer.length >= offset + signature.length && buffer.toString('latin1', offset, offset + signature.length) === signature;
+}
+
+// Text files have no NUL bytes, at least in the beginning
+function looksLikeText(buffer) {
+    return !buffer.subarray(0, 8192).includes(0);
+}
+
+// Detect the real MIME type of a document by its contents and name
+function detectDocumentType(buffer, fileName) {
+    const extension = getFileExtension(fileName);
+    const signature = FILE_SIGNATURES.find(([, offset, bytes]) => hasSignature(buffer, offset, bytes));
+    if (signature) {
+        const [mimeType] = signature;
+        if (mimeType === 'application/zip') {
+            const names = readZipEntries(buffer).map(entry => entry.name);
+            if (names.includes('word/document.xml')) return DOCX_MIME_TYPE;
+            if (names.includes('xl/workbook.xml')) return XLSX_MIME_TYPE;
+        }
+        if (mimeType === 'video/mp4') {
+            return FTYP_IMAGE_BRANDS[buffer.toString('latin1', 8, 12)] || mimeType;
+        }
+        if (mimeType === 'application/x-ole-storage') {
+            return { '.doc': 'application/msword', '.xls': 'application/vnd.ms-excel' }[extension] || mimeType;
+        }
+        return mimeType;
+    }
+    if (!looksLikeText(buffer)) {
+        return 'application/octet-stream';
+    }
+    return TEXT_FILE_TYPES[extension] || 'text/plain';
+}
+
+// UTF-8 (with or without BOM), UTF-16 with BOM, or Windows-1251 for old Russian texts that aren't valid UTF-8
+function decodeText(buffer) {
+    if (hasSignature(buffer, 0, '\xff\xfe')) {
+        return buffer.toString('utf16le', 2);
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        return new TextDecoder('windows-1251').decode(buffer);
+    }
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Collapse the whitespace left behind by removed markup
+function tidyExtractedText(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Minimal ZIP reader (stored and deflated entries), enough for DOCX, XLSX and ordinary archives. No ZIP64 or encryption.
+function readZipEntries(buffer) {
+    // The central directory is found through its end record, which is followed by a comment of up to 64 KB
+    let endOffset = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+        if (buffer.readUInt32LE(offset) === 0x06054b50) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('повреждённый ZIP-архив');
+    }
+    const entries = [];
+    let offset = buffer.readUInt32LE(endOffset + 16);
+    const count = buffer.readUInt16LE(endOffset + 10);
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('повреждённый ZIP-архив');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        entries.push({
+            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+            encrypted: Boolean(buffer.readUInt16LE(offset + 8) & 1),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localOffset: buffer.readUInt32LE(offset + 42),
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return entries;
+}
+
+const inflateRaw = util.promisify(zlib.inflateRaw);
+
+// Asynchronous, so unpacking a large archive doesn't block other users' updates
+async function readZipEntry(buffer, entry) {
+    if (entry.encrypted) {
+        throw new Error(`${entry.name} зашифрован`);
+    }
+    if (entry.size > MAX_ZIP_ENTRY_BYTES) {
+        throw new Error(`${entry.name} слишком большой`);
+    }
+    const headerOffset = entry.localOffset;
+    const dataOffset = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + entry.compressedSize);
+    if (entry.method === 0) {
+        return data;
+    }
+    if (entry.method === 8) {
+        // The limit also protects from archives that unpack into gigabytes
+        return inflateRaw(data, { maxOutputLength: MAX_ZIP_ENTRY_BYTES });
+    }
+    throw new Error(`${entry.name}: метод сжатия ${entry.method} не поддерживается`);
+}
+
+async function readZipText(buffer, entries, name) {
+    const entry = entries.find(item => item.name === name);
+    return entry ? (await readZipEntry(buffer, entry)).toString('utf8') : '';
+}
+
+async function extractDocxText(buffer) {
+    const entries = readZipEntries(buffer);
+    const xml = (await readZipText(buffer, entries, 'word/document.xml'))
+        .replace(/<w:instrText[^>]*>[\s\S]*?<\/w:instrText>/g, '') // Field codes, not visible text
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<\/w:p>\s*<\/w:tc>/g, '</w:tc>') // Table cells are separated by tabs, rows by line breaks
+        .replace(/<\/w:tc>/g, '\t')
+        .replace(/<w:br[^>]*\/>|<\/w:p>|<\/w:tr>/g, '\n');
+    return tidyExtractedText(decodeXmlEntities(xml.replace(/<[^>]+>/g, '')));
+}
+
+// Column index of a cell reference: "C5" -> 2
+function getColumnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/)?.[0] || 'A';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function extractXlsxText(buffer) {
+    const entries = readZipEntries(buffer);
+    const getInlineText = (xml) => decodeXmlEntities([...xml.matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+    const sharedStrings = [...(await readZipText(buffer, entries, 'xl/sharedStrings.xml')).matchAll(/<si>([\s\S]*?)<\/si>/g)]
+        .map(match => getInlineText(match[1]));
+    const relations = Object.fromEntries([...(await readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels'))
+        .matchAll(/<Relationship\b[^>]*\bId="([^"]+)"[^>]*\bTarget="([^"]+)"/g)]
+        .map(([, id, target]) => [id, target.replace(/^\/?(xl\/)?/, 'xl/')]));
+
+    const sheets = [];
+    for (const [, attributes] of (await readZipText(buffer, entries, 'xl/workbook.xml')).matchAll(/<sheet\b([^>]*)\/>/g)) {
+        const name = decodeXmlEntities(attributes.match(/\bname="([^"]*)"/)?.[1] || '');
+        const target = relations[attributes.match(/\br:id="([^"]+)"/)?.[1]];
+        const rows = [];
+        for (const [, rowXml] of (await readZipText(buffer, entries, target)).matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+            const cells = [];
+            for (const [, cellAttributes, cellXml] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const type = cellAttributes.match(/\bt="(\w+)"/)?.[1];
+                const value = cellXml?.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+                let text = '';
+                if (type === 's') {
+                    text = sharedStrings[Number(value)] ?? '';
+                } else if (type === 'inlineStr') {
+                    text = getInlineText(cellXml || '');
+                } else if (type === 'b') {
+                    text = value === '1' ? 'TRUE' : 'FALSE';
+                } else if (value !== undefined) {
+                    text = decodeXmlEntities(value);
+                }
+                cells[getColumnIndex(cellAttributes.match(/\br="([A-Z]+\d+)"/)?.[1] || '')] = text;
+            }
+            rows.push(Array.from(cells, cell => cell ?? '').join('\t'));
+        }
+        sheets.push(`## Лист "${name}"\n${rows.join('\n')}`);
+    }
+    return sheets.join('\n\n');
+}
+
+function extractHtmlText(buffer) {
+    const html = decodeText(buffer)
+        .replace(/<(script|style|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<br\s*\/?>|<\/(p|div|li|tr|h[1-6]|section|article|table|ul|ol|pre|blockquote)>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, '\t');
+    return tidyExtractedText(decodeXmlEntities(html.replace(/<[^>]+>/g, '')));
+}
+
+function extractJsonText(buffer) {
+    const text = decodeText(buffer);
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+        return text; // Not valid JSON, the model can still read it as is
+    }
+}
+
+// Archive entries worth unpacking: text, source code and Office documents. Anything else only gets listed.
+function isReadableZipEntry(entry) {
+    const extension = getFileExtension(path.basename(entry.name));
+    return entry.size <= MAX_ZIP_ENTRY_BYTES && (extension === '' || extension === '.docx' || extension === '.xlsx'
+        || Boolean(TEXT_FILE_TYPES[extension]) || CODE_FILE_EXTENSIONS.includes(extension));
+}
+
+// Listing of the archive, then the contents of the files text can be extracted from
+async function extractZipText(buffer, fileName) {
+    const entries = readZipEntries(buffer).filter(entry => !entry.name.endsWith('/'));
+    const lines = [`Архив ${fileName}, файлов: ${entries.length}`];
+    for (const entry of entries.slice(0, MAX_ZIP_LISTED_ENTRIES)) {
+        lines.push(`- ${entry.name} (${entry.size} байт)`);
+    }
+    if (entries.length > MAX_ZIP_LISTED_ENTRIES) {
+        lines.push(`- … и ещё ${entries.length - MAX_ZIP_LISTED_ENTRIES}`);
+    }
+    let length = 0;
+    let readEntries = 0;
+    let readBytes = 0;
+    for (const entry of entries.filter(isReadableZipEntry)) {
+        if (length > MAX_EXTRACTED_TEXT_LENGTH || readEntries >= MAX_ZIP_READ_ENTRIES || readBytes + entry.size > MAX_ZIP_TOTAL_BYTES) {
+            lines.push('', '[Остальные файлы архива не прочитаны: превышен предел на распаковку]');
+            break;
+        }
+        try {
+            readEntries++;
+            const data = await readZipEntry(buffer, entry);
+            readBytes += data.length; // The declared size may lie, the unpacked data can't
+            const mimeType = detectDocumentType(data, entry.name);
+            const extract = TEXT_EXTRACTORS[mimeType];
+            if (!extract || mimeType === 'application/zip') {
+                continue; // Binary file or a nested archive, the listing is enough
+            }
+            const text = await extract(data, entry.name);
+            lines.push('', `=== ${entry.name} ===`, text);
+            length += text.length;
+        } catch (error) {
+            lines.push('', `=== ${entry.name} ===`, `[Не удалось прочитать: ${error.message}]`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Text extractors by detected MIME type: (buffer, fileName) => text, or a promise of it for archives
+const TEXT_EXTRACTORS = {
+    'text/plain': decodeText,
+    'text/csv': decodeText,
+    'text/html': extractHtmlText,
+    'application/json': extractJsonText,
+    [DOCX_MIME_TYPE]: extractDocxText,
+    [XLSX_MIME_TYPE]: extractXlsxText,
+    'application/zip': extractZipText,
+};
+
+// Download a Telegram document, detect its real type and extract the text if Gemini can't read the format itself.
+// Returns { mimeType, buffer, text? }; `text` is set for converted documents.
+async function prepareDocument(ctx, document) {
+    const fileName = document.file_name || 'документ';
+    const buffer = await getFileBuffer(ctx, document.file_id);
+    const mimeType = detectDocumentType(buffer, fileName);
+    if (mimeType !== document.mime_type) {
+        log.info(`Тип документа: ${mimeType} (Telegram: ${document.mime_type || 'не указан'})`, { fileName });
+    }
+    const extract = TEXT_EXTRACTORS[mimeType];
+    if (!extract) {
+        return { mimeType, buffer };
+    }
+    let text = await extract(buffer, `"${fileName}"`);
+    if (text.length > MAX_EXTRACTED_TEXT_LENGTH) {
+        text = `${text.substring(0, MAX_EXTRACTED_TEXT_LENGTH)}\n[… текст обрезан: показаны первые ${MAX_EXTRACTED_TEXT_LENGTH} символов из ${text.length}]`;
+    }
+    return { mimeType, buffer, text };
+}
+
+// --- Access Control ---
+
+// Roles granted by admins, persisted under ACCESS_KEY:
+// { users: { [userId]: { role: string | null, username?, name?, updatedBy, updatedAt } },
+//   invites: { [token]: { role, usesLeft, expiresAt, createdBy } } }
+// A null role means access was revoked with /deny, which also overrides allowedUserIds from the config.
+// Users listed in the config get "user" (allowedUserIds) or "admin" (adminUserIds, can't be demoted) without a record.
+const ACCESS_KEY = 'access';
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ACCESS_REQUESTS = 20; // Unauthorized users remembered for /users
+
+let accessControl = { users: {}, invites: {} };
+// Map<userId, { username, name, at }> of recent users without access, so admins can /allow them by @username
+const accessRequests = new Map();
+
+function normalizeAccessControl(stored) {
+    return {
+        users: { ...stored?.users },
+        invites: { ...stored?.invites },
+    };
+}
+
+async function loadAccessControl() {
+    accessControl = normalizeAccessControl(await storage.get(ACCESS_KEY));
+}
+
+// Apply `change(doc)` to the stored document and keep the result as the local copy. It runs on the latest stored
+// version (see storage.update), so roles and invites changed meanwhile on other instances aren't overwritten;
+// on Redis it may run more than once. Resolves to what `change` returned. Rejects if the storage fails: the change
+// is then applied nowhere, not even locally, since the next load would bring the old document back anyway.
+async function changeAccessControl(change) {
+    let result;
+    accessControl = await storage.update(ACCESS_KEY, (stored) => {
+        const doc = normalizeAccessControl(stored);
+        result = change(doc);
+        return doc;
+    });
+    return result;
+}
+
+// For admin commands whose change didn't reach the storage
+function replyAccessSaveFailed(ctx, error) {
+    log.error('Не удалось сохранить список пользователей и приглашений', { error });
+    return ctx.reply(`⚠️ Изменение не сохранено: ${error.message || error}. Попробуйте ещё раз.`);
+}
+
+await loadAccessControl();
+
+// "admin", "user", "guest", or null if the user has no access
+function getUserRole(userId) {
+    if (ADMIN_USER_IDS.has(userId)) {
+        return 'admin';
+    }
+    const record = accessControl.users[userId];
+    if (record) {
+        return ROLE_LABELS[record.role] ? record.role : null;
+    }
+    return allowedUserIdsSet.has(userId) ? 'user' : null;
+}
+
+function hasAccess(userId) {
+    return getUserRole(userId) !== null;
+}
+
+// Admins manage users and change global defaults and limits with /defaults
+function isAdmin(userId) {
+    return getUserRole(userId) === 'admin';
+}
+
+// Replies with a refusal for non-admins, so admin commands can just return
+function requireAdmin(ctx) {
+    if (isAdmin(ctx.from.id)) {
+        return true;
+    }
+    ctx.reply("Эта команда доступна только администраторам бота.");
+    return false;
+}
+
+function isModelAllowed(userId, modelKey) {
+    const models = ROLE_PERMISSIONS[getUserRole(userId)]?.models || [];
+    return models === '*' || models.includes(modelKey);
+}
+
+// Models the user's role allows, narrowed down to the ones enabled in the group (see /group) if there is one
+function getAllowedModelKeys(userId, groupChatId = null) {
+    const groupModels = groupChatId ? getGroupSettings(groupChatId).models : null;
+    return Object.keys(ALLOWED_MODELS).filter(key => isModelAllowed(userId, key) && (!groupModels || groupModels.includes(key)));
+}
+
+// Only types from supportedMimeTypes reach the model, the role can narrow them further
+function isFileTypeAllowed(userId, mimeType) {
+    const fileTypes = ROLE_PERMISSIONS[getUserRole(userId)]?.fileTypes || [];
+    return fileTypes === '*' || fileTypes.includes(mimeType);
+}
+
+function describeTelegramUser(from) {
+    return {
+        username: from.username || undefined,
+        name: [from.first_name, from.last_name].filter(Boolean).join(' ') || undefined,
+    };
+}
+
+// `role` null revokes access. `profile` is { username, name } for /users, kept from earlier records if missing.
+function applyUserRole(doc, userId, role, adminId, profile = {}) {
+    const previous = doc.users[userId];
+    doc.users[userId] = {
+        username: profile.username || previous?.username,
+        name: profile.name || previous?.name,
+        role,
+        updatedBy: adminId,
+        updatedAt: Date.now(),
+    };
+}
+
+async function setUserRole(userId, role, adminId, profile = {}) {
+    await changeAccessControl(doc => applyUserRole(doc, userId, role, adminId, profile));
+    accessRequests.delete(userId);
+    log.info(`Пользователь ${adminId} установил роль ${role ?? 'нет доступа'} пользователю ${userId}.`);
+}
+
+function rememberAccessRequest(from) {
+    accessRequests.delete(from.id); // Re-insert to keep the newest last
+    accessRequests.set(from.id, { ...describeTelegramUser(from), at: Date.now() });
+    if (accessRequests.size > MAX_ACCESS_REQUESTS) {
+        accessRequests.delete(accessRequests.keys().next().value);
+    }
+}
+
+// Resolve a command argument ("123456" or "@username") to a user ID, using known records and access requests
+function resolveUserArg(arg) {
+    if (/^\d+$/.test(arg || '')) {
+        return parseInt(arg, 10);
+    }
+    const username = (arg || '').replace(/^@/, '').toLowerCase();
+    if (!username) {
+        return null;
+    }
+    const known = [...Object.entries(accessControl.users), ...accessRequests.entries()]
+        .find(([, record]) => record.username?.toLowerCase() === username);
+    return known ? Number(known[0]) : null;
+}
+
+function removeExpiredInvites(doc) {
+    const now = Date.now();
+    for (const [token, invite] of Object.entries(doc.invites)) {
+        if (invite.expiresAt <= now || invite.usesLeft <= 0) {
+            delete doc.invites[token];
+        }
+    }
+}
+
+async function createInvite(role, uses, adminId) {
+    // Start parameters may only contain A-Z, a-z, 0-9, _ and -
+    const token = crypto.randomBytes(12).toString('base64url');
+    await changeAccessControl((doc) => {
+        removeExpiredInvites(doc);
+        doc.invites[token] = { role, usesLeft: uses, expiresAt: Date.now() + INVITE_TTL_MS, createdBy: adminId };
+    });
+    log.info(`Администратор ${adminId} создал приглашение (роль ${role}, использований: ${uses}).`);
+    return token;
+}
+
+// Grants the invite's role to `from` and uses the invite up. Returns the role, or null for an unknown or expired token.
+// Both happen in one change, so the last use of an invite can't be redeemed twice from two instances.
+async function redeemInvite(token, from) {
+    const role = await changeAccessControl((doc) => {
+        removeExpiredInvites(doc);
+        const invite = doc.invites[token];
+        if (!invite) {
+            return null;
+        }
+        invite.usesLeft -= 1;
+        if (invite.usesLeft <= 0) {
+            delete doc.invites[token];
+        }
+        applyUserRole(doc, from.id, invite.role, invite.createdBy, describeTelegramUser(from));
+        return invite.role;
+    });
+    if (role) {
+        accessRequests.delete(from.id);
+    }
+    return role;
+}
+
+// --- User and State Management ---
+
+
+
+// Cache of user state, backed by `storage`:
+// Map<userId, { conversations: { [id]: Conversation }, activeConversationId: string, nextConversationId: number }>
+// Conversation: { name: string, history: Array<any>, currentModelKey: string, imageModelKey?: string (see Image Generation),
+//                 personaKey?: string, systemInstruction?: string,
+//                 answerMessages?: { [telegramMessageId]: position }, historyOffset?: number,
+//                 lastQuestion?: { messageId, text, position } (the last text question, see Answer Controls),
+//                 uploadedFiles?: { [fileUri]: expiresAt } (see Gemini File API), createdAt: number, updatedAt: number }
+// (answerMessages and historyOffset locate earlier answers for replies to them, see the Reply Context section)
+// Keys are user IDs, or state IDs of groups (see getStateId), which share the same functions below.
+const userState = new Map();
+const USER_KEY_PREFIX = 'user:';
+const DEFAULT_CONVERSATION_NAME = 'Основной';
+
+function createConversation(name, modelKey = DEFAULT_MODEL_KEY) {
+    const now = Date.now();
+    // Store the KEY of the model, not the ID
+    return { name, history: [], currentModelKey: modelKey, createdAt: now, updatedAt: now };
+}
+
+function createDefaultUserState() {
+    return {
+        conversations: { '1': createConversation(DEFAULT_CONVERSATION_NAME) },
+        activeConversationId: '1',
+        nextConversationId: 2,
+    };
+}
+
+// Users are stored as "user:<id>", shared group states already carry their "chat:" prefix (see getStateId)
+function storageKeyForUser(userId) {
+    return typeof userId === 'number' ? `${USER_KEY_PREFIX}${userId}` : userId;
+}
+
+// Bring stored state to the current shape: older versions kept a single `history` and `currentModelKey` per user
+function normalizeUserState(stored) {
+    if (!stored) {
+        return createDefaultUserState();
+    }
+    if (!stored.conversations) {
+        const conversation = createConversation(DEFAULT_CONVERSATION_NAME, stored.currentModelKey);
+        conversation.history = stored.history || [];
+        stored = { conversations: { '1': conversation }, activeConversationId: '1', nextConversationId: 2 };
+    }
+    for (const conversation of Object.values(stored.conversations)) {
+        if (!ALLOWED_MODELS[conversation.currentModelKey]) {
+            // Model could have been removed from ALLOWED_MODELS since the state was saved
+            conversation.currentModelKey = DEFAULT_MODEL_KEY;
+        }
+        if (conversation.imageModelKey && !IMAGE_MODELS[conversation.imageModelKey]) {
+            delete conversation.imageModelKey;
+        }
+        if (conversation.personaKey && !PERSONAS[conversation.personaKey]) {
+            // Same for personas removed from the personas file
+            delete conversation.personaKey;
+        }
+    }
+    return stored;
+}
+
+// Load user state from storage into the cache. Called once per update by middleware.
+// For a shared backend (Redis) the state is always re-read, since another instance may have changed it.
+async function loadUserState(userId) {
+    if (userState.has(userId) && !storage.shared) {
+        return userState.get(userId);
+    }
+    const state = normalizeUserState(await storage.get(storageKeyForUser(userId)));
+    userState.set(userId, state);
+    return state;
+}
+
+// Persist the cached user state. Never rejects: storage errors are logged, the bot keeps working from the cache.
+// With shared storage the stored usage is kept: recordUsage adds to it in the store, other instances do too.
+function saveUserState(userId) {
+    const state = userState.get(userId);
+    if (!state) return Promise.resolve();
+    const save = storage.shared
+        ? storage.update(storageKeyForUser(userId), stored => ({ ...state, usage: stored?.usage ?? state.usage }))
+            .then((saved) => { state.usage = saved.usage; })
+        : storage.set(storageKeyForUser(userId), state);
+    return save.catch((error) => {
+        log.error(`Не удалось сохранить состояние пользователя ${userId} (${storage.name})`, { error });
+    });
+}
+
+function getUserState(userId) {
+    if (!userState.has(userId)) {
+        userState.set(userId, createDefaultUserState());
+    }
+    return userState.get(userId);
+}
+
+// Get a conversation of the user (the active one by default). Handlers should remember the ID they started with,
+// so a reply that finishes after the user switched threads still lands in the right history.
+function getConversation(userId, conversationId) {
+    const state = getUserState(userId);
+    const id = conversationId || state.activeConversationId;
+    if (!state.conversations[id]) {
+        if (conversationId) {
+            // Conversation was deleted while a request for it was running, write into a detached object
+            return createConversation(DEFAULT_CONVERSATION_NAME);
+        }
+        // Active conversation is missing (e.g. broken state), recreate it
+        state.conversations[id] = createConversation(DEFAULT_CONVERSATION_NAME);
+    }
+    return state.conversations[id];
+}
+
+function clearConversationHistory(userId) {
+    const conversation = getConversation(userId);
+    conversation.history = []; // Only clear history, keep model setting
+    delete conversation.uploadedFiles;
+    delete conversation.answerMessages;
+    delete conversation.lastQuestion;
+    delete conversation.historyOffset;
+    conversation.updatedAt = Date.now();
+    saveUserState(userId);
+    log.info(`История диалога пользователя ${userId} очищена.`, { conversation: conversation.name });
+}
+
+function addMessageToHistory(userId, role, content, conversationId) {
+    const conversation = getConversation(userId, conversationId);
+    // History size is kept within the model's token budget by fitHistoryToContext before each request
+    conversation.history.push({ role, parts: content });
+    if (role === 'user') {
+        delete conversation.lastQuestion; // Any newer turn (a file, /image, a scheduled question) ends its editing
+    }
+    conversation.updatedAt = Date.now();
+    saveUserState(userId);
+}
+
+// Remove the last user message from history (used when the request to the model failed)
+function popFailedUserMessage(userId, conversationId) {
+    const conversation = getConversation(userId, conversationId);
+    if (conversation.history.length > 0 && conversation.history[conversation.history.length - 1].role === 'user') {
+        conversation.history.pop();
+        saveUserState(userId);
+    }
+}
+
+// Create a new conversation with the model, persona and system prompt of the current one (or of `source`)
+// and make it active. Returns its ID.
+function createUserConversation(userId, name, source = getConversation(userId)) {
+    const state = getUserState(userId);
+    const id = String(state.nextConversationId++);
+    state.conversations[id] = createConversation(name || `Диалог ${id}`, source.currentModelKey);
+    state.conversations[id].personaKey = source.personaKey;
+    state.conversations[id].systemInstruction = source.systemInstruction;
+    state.activeConversationId = id;
+    saveUserState(userId);
+    log.info(`Пользователь ${userId} создал диалог ${id}.`, { conversation: state.conversations[id].name });
+    return id;
+}
+
+// Find a conversation by its ID or (case-insensitive) name
+function findConversationId(userId, query) {
+    const state = getUserState(userId);
+    const trimmed = query.trim();
+    if (state.conversations[trimmed]) {
+        return trimmed;
+    }
+    const lowered = trimmed.toLowerCase();
+    return Object.keys(state.conversations).find(id => state.conversations[id].name.toLowerCase() === lowered) || null;
+}
+
+function switchUserConversation(userId, conversationId) {
+    const state = getUserState(userId);
+    if (!state.conversations[conversationId]) {
+        return null;
+    }
+    state.activeConversationId = conversationId;
+    saveUserState(userId);
+    return state.conversations[conversationId];
+}
+
+function renameUserConversation(userId, name) {
+    const conversation = getConversation(userId);
+    conversation.name = name;
+    conversation.updatedAt = Date.now();
+    saveUserState(userId);
+    return conversation;
+}
+
+// Delete a conversation. If it was the active one, the most recently updated remaining conversation becomes active;
+// deleting the last conversation leaves a fresh empty one, so the user always has somewhere to write.
+function deleteUserConversation(userId, conversationId) {
+    const state = getUserState(userId);
+    const conversation = state.conversations[conversationId];
+    if (!conversation) {
+        return null;
+    }
+    delete state.conversations[conversationId];
+    if (state.activeConversationId === conversationId) {
+        const remaining = Object.keys(state.conversations)
+            .sort((a, b) => state.conversations[b].updatedAt - state.conversations[a].updatedAt);
+        if (remaining.length > 0) {
+            state.activeConversationId = remaining[0];
+        } else {
+            const id = String(state.nextConversationId++);
+            state.conversations[id] = createConversation(DEFAULT_CONVERSATION_NAME, conversation.currentModelKey);
+            state.activeConversationId = id;
+        }
+    }
+    saveUserState(userId);
+    log.info(`Пользователь ${userId} удалил диалог ${conversationId}.`, { conversation: conversation.name });
+    return conversation;
+}
+
+function setUserModel(userId, modelCommand) {
+    const modelKey = modelCommand.startsWith('/') ? modelCommand.substring(1) : modelCommand;
+    if (ALLOWED_MODELS[modelKey]) { // Check if the key exists in our allowed models
+        const conversation = getConversation(userId);
+        conversation.currentModelKey = modelKey; // Store the validated command key
+        saveUserState(userId);
+        const modelId = ALLOWED_MODELS[modelKey]; // Get the corresponding ID
+        log.info(`Пользователь ${userId} переключился на модель: ${modelId} (команда /${modelKey})`);
+        // Verify the model instance can be created (optional, but good check)
+        try {
+            getModelInstance(modelKey); // Try creating it
+        } catch (verificationError) {
+            // Error already logged in getModelInstance
+            return null; // Indicate failure if verification fails
+        }
+        return modelId; // Return the model ID for confirmation message
+    }
+    log.warn(`Попытка установить невалидный ключ модели: ${modelKey} для пользователя ${userId}`);
+    return null; // Indicate failure
+}
+
+// --- Context Window Management ---
+
+// Input token limit for models without contextWindow in the config (see MODEL_CONTEXT_WINDOWS)
+const DEFAULT_CONTEXT_WINDOW = 32768;
+// History is summarized once a request would exceed this many tokens, even if the model window is larger.
+// Keeps requests cheap and the process memory bounded.
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 100000;
+const SUMMARY_KEEP_RECENT_MESSAGES = 6; // Latest history entries that are kept verbatim when folding
+const MAX_SUMMARY_ROUNDS = 3; // Safety limit for folding passes per request
+const SUMMARY_MARKER = '[Краткое содержание предыдущей части диалога]';
+// The summary has its own generation settings: the user's maxOutputTokens (/settings) may be too small for it
+const SUMMARY_GENERATION_CONFIG = { maxOutputTokens: 8192, temperature: 0.2 };
+const SUMMARY_PROMPT = `Кратко перескажи весь диалог выше на том же языке, на котором он шёл.
+Сохрани факты, договорённости, имена, числа, фрагменты кода и открытые вопросы, которые понадобятся для продолжения разговора.
+Пиши только пересказ, без вступления.`;
+
+function getContextBudget(modelKey) {
+    const contextWindow = MODEL_CONTEXT_WINDOWS[modelKey] || DEFAULT_CONTEXT_WINDOW;
+    return Math.min(contextWindow, HISTORY_TOKEN_BUDGET);
+}
+
+// Rough estimate (~4 characters per token) used to skip countTokens calls while the conversation is short.
+// Returns Infinity for non-text parts, so those are always counted exactly.
+function estimateTokens(contents) {
+    let characters = 0;
+    for (const content of contents) {
+        for (const part of content.parts) {
+            if (typeof part.text !== 'string') return Infinity;
+            characters += part.text.length;
+        }
+    }
+    return Math.ceil(characters / 4);
+}
+
+async function countContextTokens(model, contents) {
+    const { totalTokens } = await model.countTokens({ contents });
+    return totalTokens;
+}
+
+function isSummaryContent(content) {
+    return content?.role === 'user' && content.parts[0]?.text?.startsWith(SUMMARY_MARKER);
+}
+
+// Find how many leading history entries to fold. The boundary must land on a 'user' entry so the
+// remaining history still alternates user/model, and it has to fold more than an existing summary pair.
+function findFoldBoundary(history) {
+    const minimumFold = isSummaryContent(history[0]) ? 2 : 0;
+    for (let keep = SUMMARY_KEEP_RECENT_MESSAGES; keep >= 0; keep -= 2) {
+        let boundary = Math.max(0, history.length - keep);
+        while (boundary < history.length && history[boundary].role !== 'user') {
+            boundary++;
+        }
+        if (boundary > minimumFold) {
+            return boundary;
+        }
+    }
+    return 0;
+}
+
+async function summarizeTurns(userId, model, modelKey, turns) {
+    const result = await model.generateContent({
+        contents: [...turns, { role: 'user', parts: [{ text: SUMMARY_PROMPT }] }],
+        generationConfig: SUMMARY_GENERATION_CONFIG, // Replaces the model's generationConfig for this request
+    });
+    await recordUsage(userId, modelKey, result, { countRequest: false });
+    const summaryText = result.response.text().trim();
+    if (!summaryText) {
+        throw new Error('Модель вернула пустой пересказ');
+    }
+    return summaryText;
+}
+
+// Make sure the history plus the pending request fit into the model's token budget.
+// Expects the pending user message to be the LAST history entry already (as the handlers add it first);
+// `pendingContent` is what will actually be sent for it (e.g. with the file data instead of the placeholder).
+// Older turns are folded into a model-generated summary; if summarizing fails they are dropped with a warning.
+// `scope` is the request's (see getRequestScope): the history is the one of scope.stateId, the summary is counted
+// to scope.userId, so in groups it goes against the quotas of the member who asked.
+async function fitHistoryToContext(scope, model, modelKey, pendingContent, conversationId) {
+    const { userId, stateId } = scope;
+    const conversation = getConversation(stateId, conversationId);
+    const budget = getContextBudget(modelKey);
+    let tokens = 0;
+
+    for (let round = 0; round < MAX_SUMMARY_ROUNDS; round++) {
+        const previousHistory = conversation.history.slice(0, -1);
+        const contents = [...previousHistory, pendingContent];
+        const estimate = estimateTokens(contents);
+        tokens = estimate < budget / 2 ? estimate : await countContextTokens(model, contents);
+        if (tokens <= budget) {
+            break;
+        }
+
+        const foldEnd = findFoldBoundary(previousHistory);
+        if (foldEnd === 0) {
+            log.warn(`Запрос пользователя ${userId} (${tokens} токенов) превышает бюджет ${budget}, сокращать больше нечего.`);
+            break;
+        }
+
+        log.info(`История диалога ${stateId}: ${tokens} токенов из ${budget}, сворачиваю ${foldEnd} старых сообщений в пересказ.`);
+        let replacement = [];
+        try {
+            const summaryText = await summarizeTurns(userId, model, modelKey, previousHistory.slice(0, foldEnd));
+            replacement = [
+                { role: 'user', parts: [{ text: `${SUMMARY_MARKER}\n${summaryText}` }] },
+                { role: 'model', parts: [{ text: 'Понял, продолжаю с учётом этого контекста.' }] },
+            ];
+        } catch (error) {
+            log.error(`Не удалось сделать пересказ истории диалога ${stateId}, старые сообщения будут удалены`, { error });
+        }
+        conversation.history.splice(0, foldEnd, ...replacement);
+        shiftAnswerMessages(conversation, foldEnd - replacement.length);
+        saveUserState(stateId);
+    }
+
+    conversation.contextTokens = tokens;
+    return tokens;
+}
+
+// Remember the real context size reported by the API after a response (prompt + answer)
+async function recordContextUsage(userId, result, conversationId) {
+    try {
+        const response = await result.response;
+        const totalTokens = response.usageMetadata?.totalTokenCount;
+        if (totalTokens) {
+            getConversation(userId, conversationId).contextTokens = totalTokens;
+            saveUserState(userId);
+        }
+    } catch (error) {
+        // The stream already failed and was reported to the user, nothing to record
+    }
+}
+
+// --- Personas and System Instructions ---
+
+// Named persona presets defined by the bot admin: { [key]: { name: string, description?: string, prompt: string } }
+const PERSONAS_FILE = process.env.PERSONAS_FILE || './personas.json';
+const MAX_SYSTEM_INSTRUCTION_LENGTH = 4000;
+
+function loadPersonas(filePath) {
+    if (!fs.existsSync(filePath)) {
+        log.info(`Файл персон ${filePath} не найден, персоны недоступны.`);
+        return {};
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        log.error(`Не удалось прочитать файл персон ${filePath}, персоны недоступны`, { error });
+        return {};
+    }
+    const personas = {};
+    for (const [key, persona] of Object.entries(parsed)) {
+        // Keys become callback data and command arguments, so keep them simple
+        if (!/^[a-z0-9_-]{1,32}$/i.test(key) || typeof persona?.prompt !== 'string' || !persona.prompt.trim()) {
+            log.warn(`Персона "${key}" в ${filePath} пропущена: нужен ключ из латиницы/цифр и непустое поле "prompt".`);
+            continue;
+        }
+        personas[key] = { name: persona.name || key, description: persona.description || '', prompt: persona.prompt.trim() };
+    }
+    return personas;
+}
+
+const PERSONAS = loadPersonas(PERSONAS_FILE);
+
+// Persona prompt first, then the user's own instruction on top of it
+function getSystemInstruction(conversation) {
+    const parts = [];
+    const persona = PERSONAS[conversation.personaKey];
+    if (persona) {
+        parts.push(persona.prompt);
+    }
+    if (conversation.systemInstruction) {
+        parts.push(conversation.systemInstruction);
+    }
+    return parts.join('\n\n') || undefined;
+}
+
+// Model instance configured for a conversation (its model key and system instruction) and the user's generation settings.
+// `modelKey` overrides the conversation's model, e.g. when falling back to another one. `options` go to getModelInstance.
+function getConversationModel(userId, conversation, modelKey = conversation.currentModelKey, options = {}) {
+    return getModelInstance(modelKey, {
+        systemInstruction: getSystemInstruction(conversation),
+        ...getEffectiveGenerationSettings(userId),
+        ...options,
+    });
+}
+
+// --- Generation Settings ---
+
+// Parameters users can tune with /settings. Unset values are left to the model defaults.
+const GENERATION_PARAMS = {
+    temperature:     { label: 'Температура', min: 0, max: 2, integer: false, presets: [0, 0.3, 0.7, 1, 1.5, 2] },
+    topP:            { label: 'Top P', min: 0, max: 1, integer: false, presets: [0.5, 0.8, 0.9, 0.95, 1] },
+    topK:            { label: 'Top K', min: 1, max: 100, integer: true, presets: [1, 10, 20, 40, 64] },
+    maxOutputTokens: { label: 'Макс. длина ответа (токены)', min: 1, max: 65536, integer: true, presets: [256, 1024, 2048, 4096, 8192] },
+};
+
+// Short keys are used in callback data and commands
+const SAFETY_CATEGORIES = {
+    harassment: { label: 'Оскорбления', category: HarmCategory.HARM_CATEGORY_HARASSMENT },
+    hate:       { label: 'Язык вражды', category: HarmCategory.HARM_CATEGORY_HATE_SPEECH },
+    sexual:     { label: 'Откровенный контент', category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT },
+    dangerous:  { label: 'Опасный контент', category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT },
+};
+
+// Ordered from the most permissive to the strictest
+const SAFETY_THRESHOLDS = [
+    { threshold: HarmBlockThreshold.BLOCK_NONE, label: 'Не блокировать' },
+    { threshold: HarmBlockThreshold.BLOCK_ONLY_HIGH, label: 'Только высокий риск' },
+    { threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE, label: 'Средний риск и выше' },
+    { threshold: HarmBlockThreshold.BLOCK_LOW_AND_ABOVE, label: 'Низкий риск и выше' },
+];
+const DEFAULT_SAFETY_THRESHOLD = HarmBlockThreshold.BLOCK_NONE; // Same as SAFETY_SETTINGS
+
+// Global settings, persisted under GLOBAL_SETTINGS_KEY:
+// { defaults: { [param]: number, safety: { [categoryKey]: threshold } }, limits: { [param]: number, minSafety?: threshold } }
+const GLOBAL_SETTINGS_KEY = 'settings:global';
+let globalSettings = { defaults: { safety: {} }, limits: {} };
+
+function normalizeGlobalSettings(stored) {
+    return {
+        defaults: { ...stored?.defaults, safety: { ...stored?.defaults?.safety } },
+        limits: { ...stored?.limits },
+    };
+}
+
+async function loadGlobalSettings() {
+    globalSettings = normalizeGlobalSettings(await storage.get(GLOBAL_SETTINGS_KEY));
+}
+
+// Like changeAccessControl: `change(doc)` runs on the latest stored settings, so two admins changing different
+// fields on two instances don't overwrite each other. Rejects if the storage fails, with the local copy unchanged.
+async function changeGlobalSettings(change) {
+    globalSettings = await storage.update(GLOBAL_SETTINGS_KEY, (stored) => {
+        const doc = normalizeGlobalSettings(stored);
+        change(doc);
+        return doc;
+    });
+}
+
+await loadGlobalSettings();
+
+function getThresholdIndex(threshold) {
+    return SAFETY_THRESHOLDS.findIndex(item => item.threshold === threshold);
+}
+
+function getThresholdLabel(threshold) {
+    return SAFETY_THRESHOLDS[getThresholdIndex(threshold)]?.label || threshold;
+}
+
+// Parse and validate a value for a generation parameter. Returns a number, or null if invalid.
+function parseGenerationValue(param, rawValue) {
+    const spec = GENERATION_PARAMS[param];
+    const value = Number(String(rawValue).replace(',', '.'));
+    if (!spec || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+        return null;
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+        return null;
+    }
+    return value;
+}
+
+// The user's own value, else the global default, capped by the admin limit.
+// With a limit but no value the limit itself is used, so the model default can't exceed it.
+function getEffectiveGenerationValue(userId, param) {
+    const own = getUserState(userId).generation || {};
+    const value = own[param] ?? globalSettings.defaults[param];
+    const limit = globalSettings.limits[param];
+    if (limit === undefined) {
+        return value;
+    }
+    return value === undefined ? limit : Math.min(value, limit);
+}
+
+// Thresholds more permissive than the admin minimum are raised to it
+function getEffectiveSafetyThreshold(userId, categoryKey) {
+    const own = getUserState(userId).generation?.safety || {};
+    const threshold = own[categoryKey] ?? globalSettings.defaults.safety[categoryKey] ?? DEFAULT_SAFETY_THRESHOLD;
+    const minimum = globalSettings.limits.minSafety;
+    if (minimum && getThresholdIndex(threshold) < getThresholdIndex(minimum)) {
+        return minimum;
+    }
+    return threshold;
+}
+
+function getEffectiveGenerationSettings(userId) {
+    const generationConfig = {};
+    for (const param of Object.keys(GENERATION_PARAMS)) {
+        const value = getEffectiveGenerationValue(userId, param);
+        if (value !== undefined) {
+            generationConfig[param] = value;
+        }
+    }
+    const safetySettings = Object.entries(SAFETY_CATEGORIES).map(([key, { category }]) => ({
+        category,
+        threshold: getEffectiveSafetyThreshold(userId, key),
+    }));
+    return { generationConfig, safetySettings };
+}
+
+function setUserGenerationValue(userId, param, value) {
+    const state = getUserState(userId);
+    state.generation = state.generation || {};
+    if (value === undefined) {
+        delete state.generation[param];
+    } else {
+        state.generation[param] = value;
+    }
+    saveUserState(userId);
+}
+
+function setUserSafetyThreshold(userId, categoryKey, threshold) {
+    const state = getUserState(userId);
+    state.generation = state.generation || {};
+    state.generation.safety = state.generation.safety || {};
+    if (threshold === undefined) {
+        delete state.generation.safety[categoryKey];
+    } else {
+        state.generation.safety[categoryKey] = threshold;
+    }
+    saveUserState(userId);
+}
+
+function formatGenerationValue(userId, param) {
+    const value = getEffectiveGenerationValue(userId, param);
+    return value === undefined ? 'по умолчанию модели' : String(value);
+}
+
+// Lines with the effective settings, used by /settings and /help
+function formatGenerationSettings(userId) {
+    const lines = Object.entries(GENERATION_PARAMS).map(([param, spec]) =>
+        `${spec.label}: ${formatGenerationValue(userId, param)}`);
+    for (const [key, { label }] of Object.entries(SAFETY_CATEGORIES)) {
+        lines.push(`Фильтр "${label}": ${getThresholdLabel(getEffectiveSafetyThreshold(userId, key))}`);
+    }
+    return lines;
+}
+
+// --- Model Fallback ---
+
+// When the conversation's model fails with a quota/overload error or doesn't exist, the request moves down
+// MODEL_FALLBACK_CHAIN (fallbackChain in the config).
+const MODEL_RETRY_ATTEMPTS = 2; // Retries on the same model before moving on
+const MODEL_RETRY_BASE_DELAY_MS = 1000; // Doubled on every retry
+const MODEL_FAILURE_THRESHOLD = 3; // Failed requests in a row before a model is marked unavailable
+const MODEL_COOLDOWN_MS = 5 * 60 * 1000; // How long an unavailable model is skipped
+
+// Map<modelKey, { failures: number, unavailableUntil: number, lastError: string }>
+const modelHealth = new Map();
+
+function isModelAvailable(modelKey) {
+    return (modelHealth.get(modelKey)?.unavailableUntil || 0) <= Date.now();
+}
+
+function markModelSuccess(modelKey) {
+    modelHealth.delete(modelKey);
+}
+
+function markModelFailure(modelKey, error) {
+    const health = modelHealth.get(modelKey) || { failures: 0, unavailableUntil: 0, lastError: '' };
+    health.failures++;
+    health.lastError = error.message || String(error);
+    if (health.failures >= MODEL_FAILURE_THRESHOLD) {
+        health.failures = 0;
+        health.unavailableUntil = Date.now() + MODEL_COOLDOWN_MS;
+        log.warn(`Модель ${ALLOWED_MODELS[modelKey]} помечена недоступной на ${MODEL_COOLDOWN_MS / 1000} с. Последняя ошибка: ${health.lastError}`);
+    }
+    modelHealth.set(modelKey, health);
+}
+
+// "retry" - temporary problem, worth retrying the same model; "next" - this model won't work, try the next one;
+// "fatal" - the request itself is bad (e.g. invalid argument), other models won't help either.
+function classifyModelError(error) {
+    const status = error.status;
+    const message = error.message || '';
+    if ([429, 500, 502, 503, 504].includes(status) || /fetch failed|ECONNRESET|ETIMEDOUT|overloaded/i.test(message)) {
+        return 'retry';
+    }
+    if ([403, 404].includes(status) || /not found|is not supported|not available/i.test(message)) {
+        return 'next';
+    }
+    return 'fatal';
+}
+
+// Models to try for a request, in order: the requested one, then the fallback chain, skipping unavailable ones
+// and those the user's role (or the group) doesn't allow. If everything is marked unavailable, the first allowed model is still tried.
+function getModelCandidates(modelKey, userId, groupChatId = null) {
+    const allowedKeys = getAllowedModelKeys(userId, groupChatId);
+    let chain = [modelKey, ...MODEL_FALLBACK_CHAIN.filter(key => key !== modelKey)].filter(key => allowedKeys.includes(key));
+    if (chain.length === 0) {
+        chain = allowedKeys.slice(0, 1);
+    }
+    const available = chain.filter(isModelAvailable);
+    return available.length > 0 ? available : chain;
+}
+
+function createAbortError() {
+    const error = new Error('Генерация остановлена');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Start a generation on the conversation's model, retrying with backoff and falling back along the chain.
+// `startRequest(model, modelKey)` must start the request (e.g. sendMessageStream) and return its result.
+// `scope` is { userId, stateId, groupChatId } from getRequestScope: the conversation lives in the state `stateId`.
+// `modelOptions` go to getConversationModel, e.g. { tools }.
+// Returns { result, modelKey, model } for the model that accepted the request.
+async function generateWithFallback(scope, conversation, signal, startRequest, modelOptions = {}) {
+    let lastError = null;
+    const candidates = getModelCandidates(conversation.currentModelKey, scope.userId, scope.groupChatId);
+    if (candidates.length === 0) {
+        throw new Error('Для вашей роли не доступна ни одна модель');
+    }
+    for (const modelKey of candidates) {
+        const model = getConversationModel(scope.stateId, conversation, modelKey, modelOptions);
+        for (let attempt = 0; attempt <= MODEL_RETRY_ATTEMPTS; attempt++) {
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+            const requestStartedAt = Date.now();
+            log.debug(`Запрос к модели ${ALLOWED_MODELS[modelKey]}`, { modelKey, attempt });
+            try {
+                const result = await startRequest(model, modelKey);
+                log.debug(`Модель ${ALLOWED_MODELS[modelKey]} приняла запрос`, { modelKey, durationMs: Date.now() - requestStartedAt });
+                markModelSuccess(modelKey);
+                incrementMetric('bot_model_requests_total', { model_key: modelKey, status: 'ok' });
+                observeMetric('bot_model_response_seconds', { model_key: modelKey }, (Date.now() - requestStartedAt) / 1000);
+                return { result, modelKey, model };
+            } catch (error) {
+                if (isGenerationStopped(null, error)) {
+                    throw error;
+                }
+                incrementMetric('bot_model_requests_total', { model_key: modelKey, status: 'error' });
+                const errorKind = classifyModelError(error);
+                if (errorKind === 'fatal') {
+                    throw error;
+                }
+                lastError = error;
+                markModelFailure(modelKey, error);
+                if (errorKind === 'next' || attempt === MODEL_RETRY_ATTEMPTS || !isModelAvailable(modelKey)) {
+                    log.warn(`Модель ${ALLOWED_MODELS[modelKey]} не ответила (${error.message}), пробую следующую модель.`);
+                    break;
+                }
+                const delay = MODEL_RETRY_BASE_DELAY_MS * 2 ** attempt;
+                log.warn(`Модель ${ALLOWED_MODELS[modelKey]} не ответила (${error.message}), повтор через ${delay} мс.`);
+                await sleep(delay, signal); // "Stop" ends the wait too
+            }
+        }
+    }
+    throw lastError;
+}
+
+// Note under an answer given by a fallback model instead of the chosen one
+function getFallbackNote(scope, conversation, modelKey) {
+    if (modelKey === conversation.currentModelKey) {
+        return '';
+    }
+    let reason = 'сейчас недоступна';
+    if (!isModelAllowed(scope.userId, conversation.currentModelKey)) {
+        reason = 'недоступна для вашей роли';
+    } else if (!getAllowedModelKeys(scope.userId, scope.groupChatId).includes(conversation.currentModelKey)) {
+        reason = 'отключена в этом чате';
+    }
+    return `_ℹ️ Ответила модель ${ALLOWED_MODELS[modelKey]}: ${ALLOWED_MODELS[conversation.currentModelKey] || DEFAULT_MODEL_ID} ${reason}._`;
+}
+
+// --- Tools ---
+
+// Functions the model may call (Gemini function calling). Each tool is
+// { name, description, parameters (JSON schema of the arguments, optional), run(args, context) }, where
+// context is { ctx, userId, stateId, modelKey, signal } (ctx is null for scheduled jobs) and run resolves to a JSON-serializable object.
+// The built-in tools are below; admins add their own as plugins in TOOLS_DIR (see loadToolPlugins, /tools reload).
+// The calls and their results only live in the request, the history keeps the final answer.
+const TOOLS_DIR = process.env.TOOLS_DIR || './tools';
+const MAX_TOOL_ROUNDS = 5; // Calls in a row before the answer is cut off
+const FETCH_TIMEOUT_MS = 15000;
+const FETCH_MAX_BYTES = 2 * 1024 * 1024;
+const FETCH_MAX_REDIRECTS = 3;
+const FETCH_MAX_TEXT_LENGTH = 30000;
+const TOOL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+
+// Map<name, { declaration, run, source: 'built-in' | plugin file name }>
+const tools = new Map();
+
+function registerTool(definition, source) {
+    if (!isPlainObject(definition) || !TOOL_NAME_PATTERN.test(definition.name || '')) {
+        throw new Error('у инструмента должно быть имя из латинских букв, цифр и "_" (до 64 символов)');
+    }
+    if (tools.has(definition.name)) {
+        throw new Error(`инструмент ${definition.name} уже есть (${tools.get(definition.name).source})`);
+    }
+    if (typeof definition.description !== 'string' || !definition.description.trim()) {
+        throw new Error(`${definition.name}: нужно описание (description), по нему модель решает, когда вызывать инструмент`);
+    }
+    if (definition.parameters !== undefined && !isPlainObject(definition.parameters)) {
+        throw new Error(`${definition.name}: parameters должен быть JSON-схемой объекта`);
+    }
+    if (typeof definition.run !== 'function') {
+        throw new Error(`${definition.name}: нужна функция run(args, context)`);
+    }
+    const { name, description, parameters } = definition;
+    tools.set(name, { declaration: { name, description, parameters }, run: definition.run, source });
+}
+
+// `tools` for getModelInstance: every registered function, undefined if there are none
+function getToolDeclarations() {
+    if (tools.size === 0) {
+        return undefined;
+    }
+    return [{ functionDeclarations: [...tools.values()].map(tool => tool.declaration) }];
+}
+
+// ESM modules can't be unloaded: every changed version of a plugin stays in memory until the bot restarts.
+// After this many versions of one file, /tools reload keeps its last loaded version and asks for a restart.
+const MAX_PLUGIN_VERSIONS = 20;
+// Map<filePath, string[]> of the module URLs imported for each plugin file, the last one is current
+const pluginVersions = new Map();
+
+// (Re)load the plugins: every .js/.mjs file in TOOLS_DIR exports a tool definition (or a list of them) as default.
+// Returns { loaded: tool names, errors } for the log and /tools reload.
+async function loadToolPlugins() {
+    for (const [name, tool] of tools) {
+        if (tool.source !== 'built-in') {
+            tools.delete(name);
+        }
+    }
+    const loaded = [];
+    const errors = [];
+    if (!fs.existsSync(TOOLS_DIR)) {
+        return { loaded, errors };
+    }
+    const files = fs.readdirSync(TOOLS_DIR).filter(file => /\.m?js$/.test(file)).sort();
+    for (const file of files) {
+        const filePath = path.resolve(TOOLS_DIR, file);
+        try {
+            // The query makes import() read a changed file again instead of returning the cached module
+            let moduleUrl = `${pathToFileURL(filePath).href}?v=${fs.statSync(filePath).mtimeMs}`;
+            const versions = pluginVersions.get(filePath) || [];
+            if (!versions.includes(moduleUrl)) {
+                if (versions.length >= MAX_PLUGIN_VERSIONS) {
+                    errors.push(`${file}: изменён больше ${MAX_PLUGIN_VERSIONS} раз, новая версия загрузится после перезапуска бота`);
+                    moduleUrl = versions[versions.length - 1];
+                } else {
+                    versions.push(moduleUrl);
+                    pluginVersions.set(filePath, versions);
+                }
+            }
+            const module = await import(moduleUrl);
+            for (const definition of [].concat(module.default || [])) {
+                try {
+                    registerTool(definition, file);
+                    loaded.push(definition.name);
+                } catch (error) {
+                    errors.push(`${file}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
+        }
+    }
+    return { loaded, errors };
+}
+
+// Run one functionCall from the model. Errors go back to the model as { error }, so it can tell the user or try again.
+async function runTool(call, context) {
+    const tool = tools.get(call.name);
+    if (!tool) {
+        return { error: `Неизвестный инструмент ${call.name}` };
+    }
+    try {
+        const result = await tool.run(call.args || {}, context);
+        return isPlainObject(result) ? result : { result };
+    } catch (error) {
+        if (isGenerationStopped(null, error)) {
+            throw error;
+        }
+        log.warn(`Инструмент ${call.name} завершился ошибкой`, { reason: error.message || String(error) });
+        return { error: error.message || String(error) };
+    }
+}
+
+// Progress line for the streamed answer. The call is a code span, so Markdown in the arguments stays as is.
+function describeToolCall(call) {
+    const args = Object.values(call.args || {}).map(value => String(typeof value === 'object' ? JSON.stringify(value) : value));
+    const argsText = args.join(', ').replace(/`/g, "'").replace(/\s+/g, ' ');
+    const shown = argsText.length > 80 ? `${argsText.substring(0, 79)}…` : argsText;
+    return `🔧 \`${call.name}(${shown})\`…`;
+}
+
+// Wrap a streaming result so function calls are answered until the model replies with text.
+// `sendRound(functionResponseParts, response)` starts the next round (e.g. chat.sendMessageStream) and returns its result,
+// `response` is the one with the calls.
+// The returned { stream, response } looks like a single streaming result: the stream yields the text of every round
+// plus chunks with `toolStatus` (see streamAndEditResponse), the response is the last one with the usage of all rounds.
+function streamWithTools(firstResult, sendRound, context) {
+    const usage = { promptTokenCount: 0, candidatesTokenCount: 0 };
+    let lastResponse = {};
+    let resolveResponse;
+    const response = new Promise(resolve => { resolveResponse = resolve; });
+
+    async function* stream() {
+        let result = firstResult;
+        try {
+            for (let round = 0; ; round++) {
+                for await (const chunk of result.stream) {
+                    yield chunk;
+                }
+                lastResponse = await result.response;
+                usage.promptTokenCount += lastResponse.usageMetadata?.promptTokenCount || 0;
+                usage.candidatesTokenCount += lastResponse.usageMetadata?.candidatesTokenCount || 0;
+                const calls = lastResponse.functionCalls?.() || [];
+                if (calls.length === 0) {
+                    return;
+                }
+                if (round === MAX_TOOL_ROUNDS) {
+                    log.warn(`Модель вызывает инструменты больше ${MAX_TOOL_ROUNDS} раз подряд, ответ прерван.`);
+                    yield { text: () => '\n\n[Слишком много вызовов инструментов подряд, ответ прерван]' };
+                    return;
+                }
+                const responseParts = [];
+                for (const call of calls) {
+                    yield { text: () => '', toolStatus: describeToolCall(call) };
+                    log.info(`Пользователь ${context.userId}: вызов инструмента ${call.name}`, { args: JSON.stringify(call.args || {}).substring(0, 200) });
+                    responseParts.push({ functionResponse: { name: call.name, response: await runTool(call, context) } });
+                }
+                yield { text: () => '', toolStatus: '' };
+                if (context.signal?.aborted) {
+                    throw createAbortError();
+                }
+                result = await sendRound(responseParts, lastResponse);
+            }
+        } finally {
+            resolveResponse({ ...lastResponse, usageMetadata: { ...lastResponse.usageMetadata, ...usage } });
+        }
+    }
+
+    return { stream: stream(), response };
+}
+
+// Calculator: arithmetic without eval. Numbers, + - * / % ^ (or **), parentheses, the constants and functions below.
+const CALCULATOR_CONSTANTS = { pi: Math.PI, e: Math.E };
+const CALCULATOR_FUNCTIONS = {
+    sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp, ln: Math.log, log: Math.log10, log2: Math.log2,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    round: Math.round, floor: Math.floor, ceil: Math.ceil,
+};
+
+function evaluateExpression(expression) {
+    const tokens = String(expression).toLowerCase().replace(/\*\*/g, '^')
+        .match(/\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+|[a-z]\w*|\S/g) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const expect = (token) => {
+        if (tokens[position] !== token) {
+            throw new Error(`ожидается "${token}"${tokens[position] ? `, а не "${tokens[position]}"` : ' в конце выражения'}`);
+        }
+        position++;
+    };
+
+    // expression := term (('+' | '-') term)*, term := unary (('*' | '/' | '%') unary)*,
+    // unary := ('+' | '-') unary | power, power := primary ('^' unary)?
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = tokens[position++] === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (['*', '/', '%'].includes(peek())) {
+            const operator = tokens[position++];
+            const right = parseUnary();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+    const parseUnary = () => {
+        if (peek() === '-' || peek() === '+') {
+            return tokens[position++] === '-' ? -parseUnary() : parseUnary();
+        }
+        const base = parsePrimary();
+        if (peek() === '^') {
+            position++;
+            return base ** parseUnary();
+        }
+        return base;
+    };
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (token === undefined) {
+            throw new Error('выражение оборвалось');
+        }
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+        if (/^[\d.]/.test(token)) {
+            return Number(token);
+        }
+        if (token in CALCULATOR_CONSTANTS) {
+            return CALCULATOR_CONSTANTS[token];
+        }
+        if (token in CALCULATOR_FUNCTIONS) {
+            expect('(');
+            const value = parseExpression();
+            expect(')');
+            return CALCULATOR_FUNCTIONS[token](value);
+        }
+        throw new Error(`непонятный символ "${token}"`);
+    };
+
+    if (tokens.length === 0) {
+        throw new Error('пустое выражение');
+    }
+    const value = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`лишнее "${tokens[position]}"`);
+    }
+    if (!Number.isFinite(value)) {
+        throw new Error('результат не является конечным числом (деление на ноль?)');
+    }
+    return value;
+}
+
+// URL fetching must not reach the bot's own network: addresses are checked when the connection is made,
+// so a DNS name can't switch to an internal address after the check
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.168.0.0', 16], ['224.0.0.0', 3]].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            return callback(new Error(`${hostname} ведёт во внутреннюю сеть (${blocked.address}), такие адреса не открываются`));
+        }
+        return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const fetchAgents = {
+    'http:': new http.Agent({ lookup: lookupPublicAddress }),
+    'https:': new https.Agent({ lookup: lookupPublicAddress }),
+};
+
+// Text of a web page or a file by URL, read like documents sent to the bot (see Document Text Extraction)
+async function fetchUrlText(url, signal) {
+    let current;
+    try {
+        current = new URL(url);
+    } catch (error) {
+        throw new Error(`неверная ссылка: ${url}`);
+    }
+    const requestSignal = signal ? AbortSignal.any([signal, AbortSignal.timeout(FETCH_TIMEOUT_MS)]) : AbortSignal.timeout(FETCH_TIMEOUT_MS);
+    for (let redirects = 0; ; redirects++) {
+        if (!fetchAgents[current.protocol]) {
+            throw new Error(`открываются только ссылки http и https, а не ${current.protocol}`);
+        }
+        // Literal IP addresses aren't looked up, so the agent doesn't see them
+        const hostname = current.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+            throw new Error(`${hostname} — адрес во внутренней сети, такие адреса не открываются`);
+        }
+        const response = await fetch(current.href, {
+            agent: fetchAgents[current.protocol],
+            redirect: 'manual',
+            size: FETCH_MAX_BYTES,
+            signal: requestSignal,
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; GeminiTelegramBot)', Accept: 'text/html,application/json,text/plain;q=0.9,*/*;q=0.5' },
+        });
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+            if (redirects === FETCH_MAX_REDIRECTS) {
+                throw new Error('слишком много перенаправлений');
+            }
+            current = new URL(response.headers.get('location'), current);
+            continue;
+        }
+        const buffer = await response.buffer();
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const mimeType = contentType === 'text/html' || contentType === 'application/json' ? contentType
+            : contentType.startsWith('text/') ? 'text/plain'
+            : detectDocumentType(buffer, current.pathname);
+        const extract = TEXT_EXTRACTORS[mimeType];
+        if (!extract) {
+            throw new Error(`содержимое типа ${contentType || mimeType} не читается как текст`);
+        }
+        let text = await extract(buffer, current.pathname.split('/').pop() || current.hostname);
+        const truncated = text.length > FETCH_MAX_TEXT_LENGTH;
+        if (truncated) {
+            text = text.substring(0, FETCH_MAX_TEXT_LENGTH);
+        }
+        return { url: current.href, status: response.status, contentType: contentType || mimeType, truncated, text };
+    }
+}
+
+// Runs Python in Gemini's code execution sandbox: nothing is executed on the bot's server.
+// Code execution can't be combined with function declarations in one request, so it gets a request of its own.
+// Its tokens are added to the user's usage; the request itself is part of the answer that called the tool.
+async function executePython(code, { userId, modelKey, signal }) {
+    const model = genAI.getGenerativeModel({
+        model: ALLOWED_MODELS[modelKey] || DEFAULT_MODEL_ID,
+        tools: [{ codeExecution: {} }],
+    });
+    const result = await model.generateContent(
+        `Выполни этот код на Python без изменений и сообщи его вывод:\n\`\`\`python\n${code}\n\`\`\``, { signal });
+    await recordUsage(userId, modelKey, result, { countRequest: false });
+    const parts = result.response.candidates?.[0]?.content?.parts || [];
+    const runs = parts.filter(part => part.codeExecutionResult).map(part => part.codeExecutionResult);
+    if (runs.length === 0) {
+        throw new Error('код не был выполнен');
+    }
+    const last = runs[runs.length - 1];
+    return { outcome: last.outcome, output: last.output || '' };
+}
+
+registerTool({
+    name: 'calculator',
+    description: 'Вычисляет арифметическое выражение точно. Используй для любых вычислений вместо подсчёта в уме. ' +
+        'Поддерживаются + - * / % ^, скобки, pi, e и функции sqrt, cbrt, abs, exp, ln, log (десятичный), log2, sin, cos, tan, asin, acos, atan, round, floor, ceil.',
+    parameters: {
+        type: 'object',
+        properties: { expression: { type: 'string', description: 'Выражение, например "(2.5 + 3) * sqrt(16) ^ 2"' } },
+        required: ['expression'],
+    },
+    run: ({ expression }) => ({ expression, result: evaluateExpression(expression) }),
+}, 'built-in');
+
+registerTool({
+    name: 'get_current_time',
+    description: 'Текущие дата, время и день недели. Используй, когда нужно знать сегодняшнюю дату или время.',
+    parameters: {
+        type: 'object',
+        properties: { timezone: { type: 'string', description: 'Часовой пояс IANA, например "Europe/Moscow". По умолчанию пояс пользователя.' } },
+    },
+    run: ({ timezone }, { userId }) => {
+        const timeZone = timezone || getUserTimezone(userId); // Set with /timezone (see Scheduled Jobs)
+        let local;
+        try {
+            local = new Date().toLocaleString('ru-RU', { timeZone, dateStyle: 'full', timeStyle: 'long' });
+        } catch (error) {
+            throw new Error(`неизвестный часовой пояс ${timezone}`);
+        }
+        return { utc: new Date().toISOString(), timezone: timeZone, local };
+    },
+}, 'built-in');
+
+registerTool({
+    name: 'fetch_url',
+    description: 'Открывает ссылку (http или https) и возвращает текст страницы или файла (HTML, JSON, текст, DOCX, XLSX). ' +
+        'Используй, когда пользователь присылает ссылку или нужно прочитать страницу.',
+    parameters: {
+        type: 'object',
+        properties: { url: { type: 'string', description: 'Полная ссылка, начиная с http:// или https://' } },
+        required: ['url'],
+    },
+    run: ({ url }, { signal }) => fetchUrlText(url, signal),
+}, 'built-in');
+
+registerTool({
+    name: 'run_python',
+    description: 'Выполняет код на Python в изолированной песочнице и возвращает его вывод. ' +
+        'Используй для сложных расчётов, обработки данных и проверки кода. Результат выводи через print().',
+    parameters: {
+        type: 'object',
+        properties: { code: { type: 'string', description: 'Код на Python' } },
+        required: ['code'],
+    },
+    run: ({ code }, context) => executePython(code, context),
+}, 'built-in');
+
+const initialToolPlugins = await loadToolPlugins();
+initialToolPlugins.errors.forEach(error => log.error(`Плагин инструмента ${error}`));
+
+// --- Usage Accounting and Quotas ---
+
+// Tokens are counted per user in the user state, by UTC day and model:
+// usage: { [YYYY-MM-DD]: { requests, promptTokens, outputTokens, models: { [modelKey]: { requests, promptTokens, outputTokens } } } }
+const USAGE_RETENTION_DAYS = 62; // Enough for the current and the previous month
+// Limits admins set with /limits. A request is one answer from the model (summaries included), tokens are prompt + output.
+const QUOTA_LIMITS = {
+    dailyRequests:   { label: 'Запросов в день', period: 'day', metric: 'requests' },
+    dailyTokens:     { label: 'Токенов в день', period: 'day', metric: 'tokens' },
+    monthlyRequests: { label: 'Запросов в месяц', period: 'month', metric: 'requests' },
+    monthlyTokens:   { label: 'Токенов в месяц', period: 'month', metric: 'tokens' },
+};
+
+// Quotas, persisted under QUOTAS_KEY: { roles: { [role]: { [limitKey]: number } }, users: { [userId]: { [limitKey]: number } } }
+// A limit set for the user wins over the one of their role; no limit means unlimited.
+const QUOTAS_KEY = 'quotas';
+let quotas = { roles: {}, users: {} };
+
+function normalizeQuotas(stored) {
+    return {
+        roles: { ...stored?.roles },
+        users: { ...stored?.users },
+    };
+}
+
+async function loadQuotas() {
+    quotas = normalizeQuotas(await storage.get(QUOTAS_KEY));
+}
+
+// Like changeAccessControl: `change(doc)` runs on the latest stored quotas, the result becomes the local copy.
+// Rejects if the storage fails, with the local copy unchanged.
+async function changeQuotas(change) {
+    quotas = await storage.update(QUOTAS_KEY, (stored) => {
+        const doc = normalizeQuotas(stored);
+        change(doc);
+        return doc;
+    });
+}
+
+await loadQuotas();
+
+// "2025-04-01" for days, "2025-04" for months (UTC)
+function getUsagePeriod(period, time = Date.now()) {
+    const day = new Date(time).toISOString().slice(0, 10);
+    return period === 'month' ? day.slice(0, 7) : day;
+}
+
+function createUsageTotals() {
+    return { requests: 0, promptTokens: 0, outputTokens: 0 };
+}
+
+function addUsageTotals(target, source) {
+    target.requests += source.requests;
+    target.promptTokens += source.promptTokens;
+    target.outputTokens += source.outputTokens;
+}
+
+// Usage of a day ("2025-04-01") or a month ("2025-04"), with a per-model breakdown
+function sumUsage(usage = {}, periodPrefix) {
+    const totals = { ...createUsageTotals(), models: {} };
+    for (const [day, dayUsage] of Object.entries(usage)) {
+        if (!day.startsWith(periodPrefix)) {
+            continue;
+        }
+        addUsageTotals(totals, dayUsage);
+        for (const [modelKey, modelUsage] of Object.entries(dayUsage.models || {})) {
+            totals.models[modelKey] = totals.models[modelKey] || createUsageTotals();
+            addUsageTotals(totals.models[modelKey], modelUsage);
+        }
+    }
+    return totals;
+}
+
+// Add the tokens of a finished request to the user's usage. `result` comes from generateContent, generateContentStream
+// or sendMessageStream. Never throws; a stream that failed or was stopped is counted as a request without tokens.
+// `countRequest: false` adds only the tokens, for requests that are a step of another one (e.g. a transcription).
+async function recordUsage(userId, modelKey, result, { countRequest = true } = {}) {
+    let usageMetadata = {};
+    try {
+        usageMetadata = (await result.response).usageMetadata || {};
+    } catch (error) {
+        // The API doesn't report usage for broken streams
+    }
+    const request = {
+        requests: countRequest ? 1 : 0,
+        promptTokens: usageMetadata.promptTokenCount || 0,
+        outputTokens: usageMetadata.candidatesTokenCount || 0,
+    };
+
+    incrementMetric('bot_model_tokens_total', { model_key: modelKey, kind: 'prompt' }, request.promptTokens);
+    incrementMetric('bot_model_tokens_total', { model_key: modelKey, kind: 'output' }, request.outputTokens);
+
+    const state = getUserState(userId);
+    if (!storage.shared) {
+        state.usage = addUsage(state.usage, modelKey, request);
+        saveUserState(userId);
+        return;
+    }
+    // Other instances count the user's requests too: add to the stored counters rather than write ours over them.
+    // saveUserState keeps the stored usage for the same reason.
+    try {
+        const stored = await storage.update(storageKeyForUser(userId), (current) => {
+            // The change may run again after a conflict, so it must not touch the local counters
+            const doc = current || { ...state, usage: structuredClone(state.usage) };
+            doc.usage = addUsage(doc.usage, modelKey, request);
+            return doc;
+        });
+        state.usage = stored.usage;
+    } catch (error) {
+        log.error(`Не удалось сохранить использование пользователя ${userId} (${storage.name})`, { error });
+        state.usage = addUsage(state.usage, modelKey, request);
+    }
+}
+
+// Add a request to `usage` (the user state's usage, may be missing) and drop days past USAGE_RETENTION_DAYS
+function addUsage(usage = {}, modelKey, request) {
+    const day = getUsagePeriod('day');
+    const dayUsage = usage[day] = usage[day] || { ...createUsageTotals(), models: {} };
+    addUsageTotals(dayUsage, request);
+    dayUsage.models[modelKey] = dayUsage.models[modelKey] || createUsageTotals();
+    addUsageTotals(dayUsage.models[modelKey], request);
+
+    const oldestDay = getUsagePeriod('day', Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const storedDay of Object.keys(usage)) {
+        if (storedDay < oldestDay) {
+            delete usage[storedDay];
+        }
+    }
+    return usage;
+}
+
+function getUserQuota(userId, limitKey) {
+    return quotas.users[userId]?.[limitKey] ?? quotas.roles[getUserRole(userId)]?.[limitKey] ?? null;
+}
+
+function getUsageValue(totals, metric) {
+    return metric === 'tokens' ? totals.promptTokens + totals.outputTokens : totals.requests;
+}
+
+// Polite refusal if the user has used up one of their limits, otherwise null
+function getQuotaExceededMessage(userId) {
+    const usage = getUserState(userId).usage;
+    for (const [limitKey, spec] of Object.entries(QUOTA_LIMITS)) {
+        const limit = getUserQuota(userId, limitKey);
+        if (limit === null) {
+            continue;
+        }
+        const used = getUsageValue(sumUsage(usage, getUsagePeriod(spec.period)), spec.metric);
+        if (used >= limit) {
+            const renewal = spec.period === 'day' ? 'в 00:00 UTC' : '1-го числа следующего месяца (UTC)';
+            return `⏳ Лимит исчерпан (${spec.label.toLowerCase()}: ${used} из ${limit}). Он обновится ${renewal}. Подробности — /usage.`;
+        }
+    }
+    return null;
+}
+
+// Lines for /usage: today, this month with a per-model breakdown, and the limits that apply to the user
+function formatUserUsage(userId, usage) {
+    const formatTotals = (totals) =>
+        `${totals.requests} запр., ${totals.promptTokens + totals.outputTokens} токенов (запрос ${totals.promptTokens}, ответ ${totals.outputTokens})`;
+    const today = sumUsage(usage, getUsagePeriod('day'));
+    const month = sumUsage(usage, getUsagePeriod('month'));
+    const lines = [
+        `Сегодня: ${formatTotals(today)}`,
+        `В этом месяце: ${formatTotals(month)}`,
+    ];
+    for (const [modelKey, totals] of Object.entries(month.models)) {
+        lines.push(`  ${ALLOWED_MODELS[modelKey] || IMAGE_MODELS[modelKey] || modelKey}: ${formatTotals(totals)}`);
+    }
+    const limits = Object.entries(QUOTA_LIMITS)
+        .map(([limitKey, spec]) => {
+            const limit = getUserQuota(userId, limitKey);
+            if (limit === null) {
+                return null;
+            }
+            const used = getUsageValue(spec.period === 'day' ? today : month, spec.metric);
+            return `  ${spec.label}: ${used} из ${limit}`;
+        })
+        .filter(Boolean);
+    lines.push(limits.length > 0 ? `Лимиты:\n${limits.join('\n')}` : 'Лимиты: нет');
+    return lines;
+}
+
+// --- Group Chats ---
+
+// In private chats the state (conversations, model, persona, generation settings) belongs to the user.
+// In groups it is shared by the chat, or by a forum topic, under a state ID like "chat:-100123" or "chat:-100123:42".
+// Access, roles, quotas and usage always stay personal (ctx.from.id).
+// In groups the bot only answers when it is @mentioned, when someone replies to its message, or to /ask.
+
+// Features group admins can switch off with /group
+const GROUP_FEATURES = {
+    files: 'Изображения и документы',
+    voice: 'Голосовые сообщения',
+    video: 'Видео и видеосообщения',
+    images: 'Генерация изображений',
+};
+// Commands and callbacks that change the shared state. In groups only chat admins and bot admins may use them.
+const GROUP_ADMIN_COMMANDS = ['clear', 'new', 'switch', 'rename', 'delete', 'system', 'persona', 'settings', 'voice', 'transcribe', 'import', 'group', 'remind', 'every'];
+const GROUP_ADMIN_ACTIONS = /^(conv_|persona:|gs:|group:)/;
+const CHAT_ADMIN_CACHE_MS = 60 * 1000;
+
+// Per-chat settings, persisted under "group:<chatId>" and shared by all topics of the chat:
+// { models?: string[] (enabled model keys, all if missing), disabledFeatures: string[] }
+const groupSettings = new Map();
+// Map<"chatId:userId", { isAdmin: boolean, checkedAt: number }>, saves a getChatMember call per command
+const chatAdminCache = new Map();
+
+function isGroupChat(ctx) {
+    return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+// Key of the state the update works with: the user's own, or the shared one of the group or forum topic
+function getStateId(ctx) {
+    if (!isGroupChat(ctx)) {
+        return ctx.from.id;
+    }
+    const message = ctx.message || ctx.editedMessage || ctx.callbackQuery?.message;
+    return message?.is_topic_message ? `chat:${ctx.chat.id}:${message.message_thread_id}` : `chat:${ctx.chat.id}`;
+}
+
+// Chat whose group settings apply to the update, null in private chats
+function getGroupChatId(ctx) {
+    return isGroupChat(ctx) ? ctx.chat.id : null;
+}
+
+async function loadGroupSettings(chatId) {
+    if (groupSettings.has(chatId) && !storage.shared) {
+        return groupSettings.get(chatId);
+    }
+    const stored = await storage.get(`group:${chatId}`);
+    const settings = { models: stored?.models, disabledFeatures: stored?.disabledFeatures || [] };
+    groupSettings.set(chatId, settings);
+    return settings;
+}
+
+function saveGroupSettings(chatId) {
+    return storage.set(`group:${chatId}`, groupSettings.get(chatId)).catch((error) => {
+        log.error(`Не удалось сохранить настройки группы ${chatId}`, { error });
+    });
+}
+
+function getGroupSettings(chatId) {
+    return groupSettings.get(chatId) || { disabledFeatures: [] };
+}
+
+function isGroupFeatureEnabled(ctx, feature) {
+    const chatId = getGroupChatId(ctx);
+    return !chatId || !getGroupSettings(chatId).disabledFeatures.includes(feature);
+}
+
+// Chat admins (and bot admins) manage the shared state of a group
+async function isGroupAdmin(ctx) {
+    if (isAdmin(ctx.from.id)) {
+        return true;
+    }
+    const cacheKey = `${ctx.chat.id}:${ctx.from.id}`;
+    const cached = chatAdminCache.get(cacheKey);
+    if (cached && Date.now() - cached.checkedAt < CHAT_ADMIN_CACHE_MS) {
+        return cached.isAdmin;
+    }
+    let isChatAdmin = false;
+    try {
+        const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+        isChatAdmin = member.status === 'creator' || member.status === 'administrator';
+    } catch (error) {
+        log.error(`Не удалось проверить права пользователя ${ctx.from.id} в чате ${ctx.chat.id}`, { error });
+    }
+    chatAdminCache.set(cacheKey, { isAdmin: isChatAdmin, checkedAt: Date.now() });
+    return isChatAdmin;
+}
+
+// Command name of a message or a media caption ("help" for "/help@my_bot args"), null if it isn't a command for this bot
+function getMessageCommand(ctx) {
+    const match = (ctx.message?.text ?? ctx.message?.caption)?.match(/^\/(\w+)(?:@(\w+))?/);
+    if (!match || (match[2] && match[2].toLowerCase() !== ctx.botInfo.username.toLowerCase())) {
+        return null;
+    }
+    return match[1];
+}
+
+// In groups: is the message meant for the bot (a mention, a reply to its message, or a command for it)?
+function isAddressedToBot(ctx) {
+    const message = ctx.message;
+    if (!message) {
+        return Boolean(ctx.callbackQuery);
+    }
+    if (message.reply_to_message?.from?.id === ctx.botInfo.id || getMessageCommand(ctx)) {
+        return true;
+    }
+    const text = message.text || message.caption || '';
+    const entities = message.entities || message.caption_entities || [];
+    const mention = `@${ctx.botInfo.username}`.toLowerCase();
+    return entities.some(entity =>
+        (entity.type === 'mention' && text.substr(entity.offset, entity.length).toLowerCase() === mention) ||
+        (entity.type === 'text_mention' && entity.user?.id === ctx.botInfo.id));
+}
+
+// Message text without mentions of the bot
+function stripBotMention(ctx, text) {
+    return text.replace(new RegExp(`@${ctx.botInfo.username}\\b`, 'gi'), '').trim();
+}
+
+// In a shared history the model has to know who is talking
+function formatGroupMessage(ctx, text) {
+    if (!isGroupChat(ctx)) {
+        return text;
+    }
+    const author = [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ') || ctx.from.username || ctx.from.id;
+    return `${author}: ${text}`;
+}
+
+// Who a request is made by and for: the user (role, quotas, usage), the state holding the conversation,
+// and the group whose settings apply (null in private chats)
+function getRequestScope(ctx) {
+    return { userId: ctx.from.id, stateId: getStateId(ctx), groupChatId: getGroupChatId(ctx) };
+}
+
+// Extra for the first reply to a request: in groups it quotes the question, so it's clear who is answered
+function getReplyExtra(ctx) {
+    const message = ctx.message || ctx.editedMessage;
+    return isGroupChat(ctx) && message
+        ? { reply_parameters: { message_id: message.message_id, allow_sending_without_reply: true } }
+        : {};
+}
+
+// --- Telegraf Bot Setup ---
+const bot = new Telegraf(process.env.BOT_TOKEN);
+
+// --- Middleware for Logging ---
+// Everything logged while the update is handled (and by the work it starts, e.g. streamed edits) carries these fields
+bot.use((ctx, next) => withLogContext({
+    requestId: `upd-${ctx.update.update_id}`,
+    userId: ctx.from?.id,
+    chatId: ctx.chat?.id,
+    updateType: ctx.updateType,
+}, next));
+
+// --- Middleware for Metrics ---
+bot.use((ctx, next) => {
+    incrementMetric('bot_updates_total', { type: ctx.updateType });
+    return next();
+});
+
+// --- Middleware for Access Control ---
+bot.use(async (ctx, next) => {
+    if (!ctx.from) {
+        return;
+    }
+    if (storage.shared) {
+        await loadAccessControl(); // Admins may have changed roles on another instance
+    }
+    // Проверяем, есть ли у пользователя роль (из конфигурации или выданная администратором)
+    if (hasAccess(ctx.from.id)) {
+        return next();
+    }
+    if (isGroupChat(ctx) && !isAddressedToBot(ctx)) {
+        return; // Group members without access talk to each other, not to the bot
+    }
+
+    // Invite links open the bot with "/start <token>"
+    const inviteToken = isGroupChat(ctx) ? null : ctx.message?.text?.match(/^\/start(?:@\w+)?\s+([\w-]+)/)?.[1];
+    if (inviteToken) {
+        let role;
+        try {
+            role = await redeemInvite(inviteToken, ctx.from);
+        } catch (error) {
+            log.error(`Не удалось открыть доступ по приглашению пользователю ${ctx.from.id}`, { error });
+            return ctx.reply("Не удалось открыть доступ по приглашению, попробуйте ещё раз чуть позже.");
+        }
+        if (role) {
+            log.info(`Пользователь ${ctx.from.id} получил доступ по приглашению, роль: ${role}.`, { username: ctx.from.username });
+            await ctx.reply(`✅ Доступ открыт. Ваша роль: ${ROLE_LABELS[role]}.`);
+            return next();
+        }
+        return ctx.reply("Приглашение недействительно или истекло. Попросите администратора прислать новое.");
+    }
+
+    // Пользователь не авторизован
+    log.info(`Запрос от неавторизованного пользователя: ${ctx.from.id}`, { username: ctx.from.username });
+    rememberAccessRequest(ctx.from);
+    if (ctx.message || ctx.callbackQuery) {
+        // Отвечаем только если есть сообщение или колбэк (чтобы не спамить в логи на другие события)
+        return ctx.reply(`Извините, у вас нет доступа к этому боту. Ваш ID: ${ctx.from.id} — передайте его администратору.`, getReplyExtra(ctx));
+    }
+    if (ctx.inlineQuery) {
+        return ctx.answerInlineQuery([], { cache_time: 0, is_personal: true, button: { text: '⛔ Нет доступа к боту', start_parameter: 'inline' } });
+    }
+    // Игнорируем другие типы апдейтов от неавторизованных пользователей (например, вступление в группу)
+});
+
+// --- Middleware for State Loading ---
+bot.use(async (ctx, next) => {
+    if (ctx.from) {
+        recordActiveUser(ctx.from.id);
+        await loadUserState(ctx.from.id);
+        if (isGroupChat(ctx)) {
+            await loadUserState(getStateId(ctx)); // Shared state of the group or topic
+            await loadGroupSettings(ctx.chat.id);
+        }
+    }
+    if (storage.shared) {
+        // Admins may have changed them on another instance
+        await loadGlobalSettings();
+        await loadQuotas();
+    }
+    return next();
+});
+
+// --- Middleware for Group Chats ---
+// Commands that change the shared state of a group are limited to its admins
+bot.use(async (ctx, next) => {
+    if (!isGroupChat(ctx)) {
+        return next();
+    }
+    const command = getMessageCommand(ctx);
+    const action = ctx.callbackQuery?.data;
+    const changesSharedState = (command && (GROUP_ADMIN_COMMANDS.includes(command) || ALLOWED_MODELS[command] || IMAGE_MODELS[command])) ||
+        (action && GROUP_ADMIN_ACTIONS.test(action));
+    if (changesSharedState && !(await isGroupAdmin(ctx))) {
+        const text = 'Менять настройки бота в этом чате могут только администраторы группы.';
+        return action ? ctx.answerCbQuery(text, { show_alert: true }) : ctx.reply(text, getReplyExtra(ctx));
+    }
+    return next();
+});
+
+// --- Bot Commands ---
 
 bot.start((ctx) => {
-    const state = getUserState(ctx.from.id);
+    const state = getConversation(getStateId(ctx));
     // Look up the current model ID using the stored key
     const currentModelId = ALLOWED_MODELS[state.currentModelKey] || DEFAULT_MODEL_ID;
     ctx.reply(`Привет! Я твой личный помощник на основе Gemini (текущая модель: ${currentModelId}).
@@ -171,246 +3216,3632 @@ bot.start((ctx) => {
 Используй /help для списка команд.`);
 });
 
-bot.command('clear', (ctx) => {
-    clearConversationHistory(ctx.from.id);
-    ctx.reply("История диалога очищена.");
+bot.command('clear', (ctx) => {
+    const stateId = getStateId(ctx);
+    clearConversationHistory(stateId);
+    ctx.reply(`История диалога "${getConversation(stateId).name}" очищена.`);
+});
+
+bot.command('context', async (ctx) => {
+    const stateId = getStateId(ctx);
+    const state = getConversation(stateId);
+    const modelKey = state.currentModelKey;
+    const budget = getContextBudget(modelKey);
+    const contextWindow = MODEL_CONTEXT_WINDOWS[modelKey] || DEFAULT_CONTEXT_WINDOW;
+
+    let tokens = 0;
+    let isApproximate = false;
+    if (state.history.length > 0) {
+        try {
+            tokens = await countContextTokens(getConversationModel(stateId, state), state.history);
+        } catch (error) {
+            log.error(`Не удалось подсчитать токены для ${stateId}`, { error });
+            tokens = state.contextTokens || estimateTokens(state.history);
+            isApproximate = true;
+        }
+    }
+
+    const percent = Math.min(100, Math.round((tokens / budget) * 100));
+    const filled = Math.round(percent / 10);
+    const bar = '▓'.repeat(filled) + '░'.repeat(10 - filled);
+    let text = `📊 Контекст диалога (модель ${ALLOWED_MODELS[modelKey] || DEFAULT_MODEL_ID}):\n\n`;
+    text += `${bar} ${percent}%\n`;
+    text += `Использовано: ${isApproximate ? '~' : ''}${tokens} из ${budget} токенов\n`;
+    text += `Окно модели: ${contextWindow} токенов\n`;
+    text += `Сообщений в истории: ${state.history.length}\n`;
+    if (isSummaryContent(state.history[0])) {
+        text += `\nСтарая часть диалога свёрнута в краткий пересказ.`;
+    } else {
+        text += `\nПри превышении лимита старые сообщения будут свёрнуты в краткий пересказ.`;
+    }
+    ctx.reply(text);
+});
+
+// Escape user-provided text (e.g. conversation names) for legacy Markdown used by replyWithMarkdown
+function escapeMarkdown(text) {
+    return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+bot.command('help', (ctx) => {
+    const stateId = getStateId(ctx);
+    const state = getConversation(stateId);
+    // Look up the current model ID using the stored key for display
+    const currentModelId = ALLOWED_MODELS[state.currentModelKey] || DEFAULT_MODEL_ID;
+    let helpText = `🤖 *Доступные команды:*\n\n`;
+    helpText += `/clear - Очистить историю текущего диалога\n`;
+    helpText += `/new \\[название] - Начать новый диалог\n`;
+    helpText += `/list - Список диалогов\n`;
+    helpText += `/switch \\[номер или название] - Переключиться на другой диалог\n`;
+    helpText += `/rename <название> - Переименовать текущий диалог\n`;
+    helpText += `/delete \\[номер или название] - Удалить диалог\n`;
+    helpText += `/export \\[md | json | html] - Скачать текущий диалог файлом\n`;
+    helpText += `/import - В ответ на JSON-файл из /export (или в подписи к нему) - восстановить диалог\n`;
+    helpText += `/context - Показать заполненность контекста модели\n`;
+    helpText += `/system \\[текст | reset] - Показать, задать или сбросить системный промпт диалога\n`;
+    helpText += `/persona \\[ключ | none] - Выбрать персону\n`;
+    helpText += `/settings - Настройки генерации (температура, длина ответа, фильтры)\n`;
+    helpText += `/usage - Потраченные запросы и токены, лимиты\n`;
+    helpText += `/batch \\[cancel] - Прислать несколько файлов и задать один вопрос обо всех\n`;
+    helpText += `/voice \\[on | off] - Присылать ответы ещё и голосом\n`;
+    helpText += `/transcribe \\[on | off] - Сначала расшифровывать голосовые сообщения в текст\n`;
+    helpText += `/tools - Инструменты модели (калькулятор, время, ссылки, Python)\n`;
+    helpText += `/remind <когда> <вопрос> - Задать вопрос позже (через 2 часа, 18:30, завтра 9:00) и прислать свежий ответ\n`;
+    helpText += `/every <расписание> <вопрос> - Задавать вопрос по расписанию (будни 09:00, пн,ср 18:00, 6ч)\n`;
+    helpText += `/jobs - Задания по расписанию в этом чате, отмена\n`;
+    helpText += `/timezone \\[пояс | reset] - Часовой пояс для /remind и /every\n`;
+    helpText += `/help - Показать это сообщение\n\n`;
+    if (isGroupChat(ctx)) {
+        helpText += `*В группе:*\n`;
+        helpText += `Упомяните меня (@${escapeMarkdown(ctx.botInfo.username)}), ответьте на моё сообщение или используйте /ask <вопрос>. История общая для всего чата (или темы форума).\n`;
+        helpText += `Менять модель, диалоги и настройки могут администраторы группы, /group - Модели и функции, включённые в этом чате\n\n`;
+    }
+    if (isAdmin(ctx.from.id)) {
+        helpText += `*Администрирование:*\n`;
+        helpText += `/users - Пользователи, приглашения и запросы доступа\n`;
+        helpText += `/allow <ID | @имя> \\[роль] - Открыть доступ\n`;
+        helpText += `/deny <ID | @имя> - Закрыть доступ\n`;
+        helpText += `/promote <ID | @имя> <роль> - Сменить роль\n`;
+        helpText += `/invite \\[роль] \\[число использований] - Создать ссылку-приглашение\n`;
+        helpText += `/limits - Лимиты запросов и токенов для ролей и пользователей\n`;
+        helpText += `/tools reload - Перечитать плагины инструментов\n`;
+        helpText += `/usage all | <ID | @имя> - Использование всех или одного пользователя\n`;
+        helpText += `/defaults - Глобальные настройки генерации\n\n`;
+    }
+    helpText += `*Выбор модели Gemini:*\n`;
+    const allowedModelKeys = getAllowedModelKeys(ctx.from.id, getGroupChatId(ctx));
+    MODEL_COMMANDS.filter(cmd => allowedModelKeys.includes(cmd.substring(1))).forEach(cmd => {
+        const commandKey = cmd.substring(1); // e.g., "gemini15flash"
+        const modelId = ALLOWED_MODELS[commandKey] || 'N/A'; // Get the ID for display, fallback N/A
+        // Compare the stored key with the current command's key
+        const isCurrent = state.currentModelKey === commandKey;
+        const unavailableNote = isModelAvailable(commandKey) ? '' : ' ⚠️ _временно недоступна_';
+        helpText += `${cmd} - Переключиться на модель ${modelId}${isCurrent ? ' *(текущая)*' : ''}${unavailableNote}\n`;
+    });
+    const imageModelKeys = Object.keys(IMAGE_MODELS).filter(key => isModelAllowed(ctx.from.id, key));
+    if (imageModelKeys.length > 0 && isGroupFeatureEnabled(ctx, 'images')) {
+        const currentImageModelKey = getImageModelKey(state);
+        helpText += `\n*Изображения:*\n`;
+        helpText += `/image <описание> - Нарисовать изображение. В ответ на фото или с подписью к фото - изменить его\n`;
+        imageModelKeys.forEach(key => {
+            helpText += `/${key} - Рисовать моделью ${IMAGE_MODELS[key]}${key === currentImageModelKey ? ' *(текущая)*' : ''}\n`;
+        });
+    }
+    helpText += `\nТекущая модель: *${currentModelId}*`; // Display the ID
+    const persona = PERSONAS[state.personaKey];
+    helpText += `\nПерсона: *${persona ? escapeMarkdown(persona.name) : 'нет'}*${state.systemInstruction ? ' + свой системный промпт' : ''}`;
+    helpText += `\n\n*Настройки генерации:*\n${formatGenerationSettings(stateId).map(escapeMarkdown).join('\n')}`;
+    const voice = getVoiceSettings(stateId);
+    helpText += `\nГолосовые ответы: *${voice.replies ? 'вкл' : 'выкл'}*, расшифровка голосовых: *${voice.transcribe ? 'вкл' : 'выкл'}*`;
+    helpText += `\nТекущий диалог: *${escapeMarkdown(state.name)}*`;
+    helpText += `\nВаша роль: *${ROLE_LABELS[getUserRole(ctx.from.id)]}*`;
+
+    ctx.replyWithMarkdown(helpText);
+});
+
+// --- Model Switching Commands ---
+// Model keys come from the config and can change on reload, so the command is matched against the current ALLOWED_MODELS
+bot.command((command) => (ALLOWED_MODELS[command] ? [command] : null), (ctx) => {
+    const userId = ctx.from.id;
+    const stateId = getStateId(ctx); // The group's shared state in group chats
+    const commandKey = ctx.command; // The key like "gemini15flash"
+    if (!isModelAllowed(userId, commandKey)) {
+        return ctx.reply(`⛔ Модель ${ALLOWED_MODELS[commandKey]} недоступна для вашей роли (${ROLE_LABELS[getUserRole(userId)]}).`);
+    }
+    if (!getAllowedModelKeys(userId, getGroupChatId(ctx)).includes(commandKey)) {
+        return ctx.reply(`⛔ Модель ${ALLOWED_MODELS[commandKey]} отключена в этом чате. Включённые модели — в /group.`);
+    }
+    const chosenModelId = setUserModel(stateId, commandKey); // Pass the key directly
+    if (chosenModelId) {
+        ctx.reply(`✅ Модель успешно переключена на: ${chosenModelId}`);
+    } else {
+         // Error trying to set the model (e.g., invalid ID from getModelInstance check)
+         const failedModelIdAttempt = ALLOWED_MODELS[commandKey] || commandKey; // Show what was attempted
+         ctx.reply(`⚠️ Не удалось переключиться на модель с ID "${failedModelIdAttempt}". Проверьте доступность модели или API ключ. Возвращаемся к ${DEFAULT_MODEL_ID}.`);
+         // Revert to default if setting failed
+         try {
+            getConversation(stateId).currentModelKey = DEFAULT_MODEL_KEY;
+            saveUserState(stateId);
+         } catch (stateError) {
+            log.error("Не удалось вернуть модель по умолчанию после ошибки переключения", { error: stateError });
+         }
+    }
+});
+
+// Telegram command menu: built-in commands, then one per model and image model. Called on launch and after every config reload.
+async function registerBotCommands() {
+    const modelCommands = Object.entries(ALLOWED_MODELS)
+        .map(([key, modelId]) => ({ command: key, description: `Модель ${modelId}` }));
+    const imageModelCommands = Object.entries(IMAGE_MODELS)
+        .map(([key, modelId]) => ({ command: key, description: `Модель ${modelId} для /image` }));
+    try {
+        await bot.telegram.setMyCommands([...BOT_COMMANDS, ...modelCommands, ...imageModelCommands]);
+    } catch (error) {
+        log.error('Не удалось обновить меню команд Telegram', { error });
+    }
+}
+
+
+// --- Conversation Commands ---
+
+const MAX_CONVERSATION_NAME_LENGTH = 64;
+
+// Text after the command, e.g. "/rename Work stuff" -> "Work stuff"
+function getCommandArgs(ctx) {
+    const text = ctx.message?.text || '';
+    const spaceIndex = text.indexOf(' ');
+    return spaceIndex === -1 ? '' : text.substring(spaceIndex + 1).trim();
+}
+
+function describeConversation(conversation) {
+    const messages = conversation.history.length;
+    const modelId = ALLOWED_MODELS[conversation.currentModelKey] || DEFAULT_MODEL_ID;
+    return `${conversation.name} (${messages} сообщ., ${modelId})`;
+}
+
+// Inline keyboard with one button per conversation, newest first. `action` is "switch" or "delete".
+function buildConversationKeyboard(userId, action) {
+    const state = getUserState(userId);
+    const ids = Object.keys(state.conversations)
+        .sort((a, b) => state.conversations[b].updatedAt - state.conversations[a].updatedAt);
+    const prefix = action === 'delete' ? '🗑 ' : '';
+    const buttons = ids.map(id => {
+        const conversation = state.conversations[id];
+        const marker = id === state.activeConversationId ? '✅ ' : '';
+        return [Markup.button.callback(`${prefix}${marker}${id}. ${conversation.name}`, `conv_${action}:${id}`)];
+    });
+    return Markup.inlineKeyboard(buttons);
+}
+
+function formatConversationList(userId) {
+    const state = getUserState(userId);
+    const lines = Object.keys(state.conversations).map(id => {
+        const marker = id === state.activeConversationId ? '▶️' : '  ';
+        return `${marker} ${id}. ${describeConversation(state.conversations[id])}`;
+    });
+    // Group state IDs are strings ("chat:..."), the history there belongs to the whole chat
+    const title = typeof userId === 'string' ? 'Диалоги чата' : 'Ваши диалоги';
+    return `${title}:\n\n${lines.join('\n')}`;
+}
+
+bot.command('new', (ctx) => {
+    const stateId = getStateId(ctx);
+    const name = getCommandArgs(ctx).substring(0, MAX_CONVERSATION_NAME_LENGTH);
+    const id = createUserConversation(stateId, name);
+    const conversation = getConversation(stateId, id);
+    ctx.reply(`🆕 Создан диалог ${id}. "${conversation.name}". Он стал текущим, пишите!`);
+});
+
+bot.command('list', (ctx) => {
+    const stateId = getStateId(ctx);
+    ctx.reply(`${formatConversationList(stateId)}\n\nНажмите на диалог, чтобы переключиться:`, buildConversationKeyboard(stateId, 'switch'));
+});
+
+bot.command('switch', (ctx) => {
+    const stateId = getStateId(ctx);
+    const query = getCommandArgs(ctx);
+    if (!query) {
+        return ctx.reply("Выберите диалог:", buildConversationKeyboard(stateId, 'switch'));
+    }
+    const id = findConversationId(stateId, query);
+    const conversation = id && switchUserConversation(stateId, id);
+    if (!conversation) {
+        return ctx.reply(`Диалог "${query}" не найден. Используйте /list для списка диалогов.`);
+    }
+    ctx.reply(`🔀 Текущий диалог: ${describeConversation(conversation)}`);
+});
+
+bot.command('rename', (ctx) => {
+    const name = getCommandArgs(ctx).substring(0, MAX_CONVERSATION_NAME_LENGTH);
+    if (!name) {
+        return ctx.reply("Укажите новое название: /rename <название>");
+    }
+    renameUserConversation(getStateId(ctx), name);
+    ctx.reply(`✏️ Текущий диалог переименован в "${name}".`);
+});
+
+bot.command('delete', (ctx) => {
+    const stateId = getStateId(ctx);
+    const query = getCommandArgs(ctx);
+    if (!query) {
+        return ctx.reply("Какой диалог удалить?", buildConversationKeyboard(stateId, 'delete'));
+    }
+    const id = findConversationId(stateId, query);
+    const conversation = id && deleteUserConversation(stateId, id);
+    if (!conversation) {
+        return ctx.reply(`Диалог "${query}" не найден. Используйте /list для списка диалогов.`);
+    }
+    ctx.reply(`🗑 Диалог "${conversation.name}" удалён. Текущий диалог: ${describeConversation(getConversation(stateId))}`);
+});
+
+bot.action(/^conv_switch:(.+)$/, async (ctx) => {
+    const conversation = switchUserConversation(getStateId(ctx), ctx.match[1]);
+    if (!conversation) {
+        return ctx.answerCbQuery("Этот диалог уже удалён.");
+    }
+    await ctx.answerCbQuery(`Текущий диалог: ${conversation.name}`);
+    await ctx.editMessageText(`🔀 Текущий диалог: ${describeConversation(conversation)}`);
+});
+
+bot.action(/^conv_delete:(.+)$/, async (ctx) => {
+    const stateId = getStateId(ctx);
+    const conversation = deleteUserConversation(stateId, ctx.match[1]);
+    if (!conversation) {
+        return ctx.answerCbQuery("Этот диалог уже удалён.");
+    }
+    await ctx.answerCbQuery(`Диалог "${conversation.name}" удалён`);
+    await ctx.editMessageText(`🗑 Диалог "${conversation.name}" удалён. Текущий диалог: ${describeConversation(getConversation(stateId))}`);
+});
+
+// --- Export and Import ---
+
+// /export sends the current conversation as a file: Markdown or HTML to read, JSON to restore later with /import.
+// The JSON keeps the history as Gemini Content objects, so an imported conversation goes to the model as is.
+const EXPORT_FORMAT_NAME = 'gemini-telegram-bot/conversation';
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_FORMATS = { md: 'Markdown', json: 'JSON', html: 'HTML' };
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const IMPORT_MAX_HISTORY_LENGTH = 2000;
+const IMPORT_COMMAND_PATTERN = /^\/import(?:@(\w+))?\s*$/i;
+// Fields a part may have per role, as the Gemini SDK checks them in chat history (plus fileData, which it doesn't check).
+// Required string fields of each kind of part; text parts are plain strings.
+const IMPORT_ROLE_PARTS = {
+    user: ['text', 'inlineData', 'fileData'],
+    model: ['text', 'fileData', 'functionCall', 'executableCode', 'codeExecutionResult'],
+    function: ['functionResponse'],
+};
+const IMPORT_PART_FIELDS = {
+    inlineData: ['mimeType', 'data'],
+    fileData: ['mimeType', 'fileUri'],
+    functionCall: ['name'],
+    functionResponse: ['name'],
+    executableCode: ['language', 'code'],
+    codeExecutionResult: ['outcome'],
+};
+const ROLE_TITLES = { user: '👤 Пользователь', model: '🤖 Gemini', function: '🔧 Инструмент' };
+
+function formatExportTime(time) {
+    return new Date(time).toISOString();
+}
+
+// One part of the history as Markdown. Files are shown as references: uploads by their URI and expiry, inline data by size.
+function describeExportedPart(part, conversation) {
+    if (typeof part.text === 'string') {
+        return part.text;
+    }
+    if (part.fileData) {
+        const expiresAt = conversation.uploadedFiles?.[part.fileData.fileUri];
+        const expiry = expiresAt ? `, доступен до ${formatExportTime(expiresAt)}` : '';
+        return `📎 Файл ${part.fileData.mimeType}: ${part.fileData.fileUri}${expiry}`;
+    }
+    if (part.inlineData) {
+        return `📎 Вложение ${part.inlineData.mimeType} (${Math.ceil(part.inlineData.data.length * 3 / 4)} байт)`;
+    }
+    const [kind, value] = Object.entries(part)[0] || ['?', null];
+    return `\`\`\`json\n${JSON.stringify({ [kind]: value }, null, 2)}\n\`\`\``;
+}
+
+// Header lines shared by the Markdown and HTML exports
+function getExportDetails(conversation) {
+    const persona = PERSONAS[conversation.personaKey];
+    const details = [
+        ['Модель', `${ALLOWED_MODELS[conversation.currentModelKey] || DEFAULT_MODEL_ID} (${conversation.currentModelKey})`],
+    ];
+    if (conversation.imageModelKey) {
+        details.push(['Модель изображений', `${IMAGE_MODELS[conversation.imageModelKey]} (${conversation.imageModelKey})`]);
+    }
+    if (persona) {
+        details.push(['Персона', persona.name]);
+    }
+    details.push(
+        ['Создан', formatExportTime(conversation.createdAt)],
+        ['Изменён', formatExportTime(conversation.updatedAt)],
+        ['Экспортирован', formatExportTime(Date.now())],
+        ['Сообщений', String(conversation.history.length)],
+    );
+    return details;
+}
+
+function buildMarkdownExport(conversation) {
+    const lines = [`# ${conversation.name}`, ''];
+    for (const [label, value] of getExportDetails(conversation)) {
+        lines.push(`- ${label}: ${value}`);
+    }
+    if (conversation.systemInstruction) {
+        lines.push('', '## Системный промпт', '', conversation.systemInstruction);
+    }
+    for (const content of conversation.history) {
+        lines.push('', '---', '', `### ${ROLE_TITLES[content.role] || content.role}`, '');
+        lines.push(content.parts.map(part => describeExportedPart(part, conversation)).join('\n\n'));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Markdown -> HTML with the same renderer as the answers in Telegram, but without splitting into messages
+function renderMarkdownHtml(markdown) {
+    return parseMarkdownBlocks(markdown).map(block => {
+        const { open, close, renderLine } = getBlockFormat(block);
+        return `${open}${block.lines.map(renderLine).join('\n')}${close}`;
+    }).join('\n');
+}
+
+function buildHtmlExport(conversation) {
+    const details = getExportDetails(conversation)
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n');
+    const sections = conversation.history.map(content => {
+        const body = content.parts.map(part => renderMarkdownHtml(describeExportedPart(part, conversation))).join('\n\n');
+        return `<section class="${escapeHtmlAttribute(content.role)}">\n<h3>${escapeHtml(ROLE_TITLES[content.role] || content.role)}</h3>\n<div class="text">${body}</div>\n</section>`;
+    });
+    if (conversation.systemInstruction) {
+        sections.unshift(`<section class="system">\n<h3>Системный промпт</h3>\n<div class="text">${escapeHtml(conversation.systemInstruction)}</div>\n</section>`);
+    }
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.name)}</title>
+<style>
+body { font-family: sans-serif; max-width: 50em; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+th { text-align: left; padding-right: 1em; }
+section { margin: 1em 0; padding: 0.5em 1em; border-radius: 8px; background: #f4f4f4; }
+section.user { background: #e3f0ff; }
+h3 { margin: 0.3em 0; font-size: 1em; }
+.text { white-space: pre-wrap; }
+pre { background: #fff; padding: 0.5em; overflow-x: auto; }
+blockquote { border-left: 3px solid #ccc; margin: 0; padding-left: 1em; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.name)}</h1>
+<table>
+${details}
+</table>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+function buildJsonExport(conversation) {
+    const files = Object.fromEntries(Object.entries(conversation.uploadedFiles || {})
+        .map(([uri, expiresAt]) => [uri, formatExportTime(expiresAt)]));
+    const data = {
+        format: EXPORT_FORMAT_NAME,
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: formatExportTime(Date.now()),
+        conversation: {
+            name: conversation.name,
+            modelKey: conversation.currentModelKey,
+            modelId: ALLOWED_MODELS[conversation.currentModelKey] || DEFAULT_MODEL_ID,
+            imageModelKey: conversation.imageModelKey,
+            personaKey: conversation.personaKey,
+            systemInstruction: conversation.systemInstruction,
+            createdAt: formatExportTime(conversation.createdAt),
+            updatedAt: formatExportTime(conversation.updatedAt),
+            files,
+        },
+        history: conversation.history,
+    };
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+const EXPORT_BUILDERS = { md: buildMarkdownExport, json: buildJsonExport, html: buildHtmlExport };
+
+// "My chat: plans" -> "My_chat_plans-2024-05-01.md"
+function getExportFileName(conversation, format) {
+    const base = conversation.name.replace(/[^\p{L}\p{N}_-]+/gu, '_').replace(/^_+|_+$/g, '').substring(0, 40) || 'dialog';
+    return `${base}-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+async function sendConversationExport(ctx, format) {
+    const stateId = getStateId(ctx);
+    const conversation = getConversation(stateId);
+    if (conversation.history.length === 0) {
+        return ctx.reply("В текущем диалоге пока нет сообщений, экспортировать нечего.");
+    }
+    const source = Buffer.from(EXPORT_BUILDERS[format](conversation), 'utf8');
+    const restoreNote = format === 'json' ? '\nЧтобы восстановить диалог, пришлите этот файл с подписью /import.' : '';
+    await ctx.replyWithDocument({ source, filename: getExportFileName(conversation, format) },
+        { caption: `📤 Диалог "${conversation.name}" (${conversation.history.length} сообщ., ${EXPORT_FORMATS[format]})${restoreNote}` });
+    log.info(`Пользователь ${ctx.from.id} экспортировал диалог (${format}).`, { conversation: conversation.name });
+}
+
+// A part of imported history, rebuilt from the known fields only. Throws with the reason if it doesn't fit Gemini's Part.
+function parseImportedPart(part, role, where) {
+    if (!part || typeof part !== 'object' || Array.isArray(part)) {
+        throw new Error(`${where}: часть сообщения должна быть объектом.`);
+    }
+    const kinds = Object.keys(part);
+    if (kinds.length !== 1) {
+        throw new Error(`${where}: в части сообщения должно быть ровно одно поле, а не ${kinds.length}.`);
+    }
+    const [kind] = kinds;
+    if (!IMPORT_ROLE_PARTS[role].includes(kind)) {
+        throw new Error(`${where}: сообщение с ролью "${role}" не может содержать "${kind}".`);
+    }
+    const value = part[kind];
+    if (kind === 'text') {
+        if (typeof value !== 'string') {
+            throw new Error(`${where}: поле text должно быть строкой.`);
+        }
+        return { text: value };
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${where}: поле ${kind} должно быть объектом.`);
+    }
+    const parsed = {};
+    for (const field of IMPORT_PART_FIELDS[kind]) {
+        if (typeof value[field] !== 'string' || !value[field]) {
+            throw new Error(`${where}: в ${kind} нет поля ${field}.`);
+        }
+        parsed[field] = value[field];
+    }
+    // Optional fields that carry data rather than identify it
+    for (const field of ['args', 'response', 'output']) {
+        if (value[field] !== undefined) {
+            parsed[field] = value[field];
+        }
+    }
+    return { [kind]: parsed };
+}
+
+// Parse and validate an export made by /export (format version EXPORT_FORMAT_VERSION).
+// Returns { meta, history }; throws with a message for the user if the file doesn't fit.
+function parseConversationExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`это не JSON (${error.message}).`);
+    }
+    if (data?.format !== EXPORT_FORMAT_NAME || !Array.isArray(data.history)) {
+        throw new Error(`это не экспорт диалога. Нужен JSON-файл из /export json.`);
+    }
+    if (data.version !== EXPORT_FORMAT_VERSION) {
+        throw new Error(`неизвестная версия формата: ${data.version}.`);
+    }
+    if (data.history.length > IMPORT_MAX_HISTORY_LENGTH) {
+        throw new Error(`слишком длинная история (${data.history.length} сообщений, максимум ${IMPORT_MAX_HISTORY_LENGTH}).`);
+    }
+    const history = data.history.map((content, index) => {
+        const where = `сообщение ${index + 1}`;
+        if (!content || typeof content !== 'object' || !IMPORT_ROLE_PARTS[content.role]) {
+            throw new Error(`${where}: роль должна быть одной из ${Object.keys(IMPORT_ROLE_PARTS).join(', ')}.`);
+        }
+        if (index === 0 && content.role !== 'user') {
+            throw new Error(`история должна начинаться с сообщения пользователя.`);
+        }
+        if (!Array.isArray(content.parts) || content.parts.length === 0) {
+            throw new Error(`${where}: нет частей (parts).`);
+        }
+        return { role: content.role, parts: content.parts.map(part => parseImportedPart(part, content.role, where)) };
+    });
+    const meta = data.conversation && typeof data.conversation === 'object' ? data.conversation : {};
+    return { meta, history };
+}
+
+// Create a conversation from a parsed export and make it active. Settings the user can't use here
+// (models, personas that don't exist in this bot or aren't allowed) are kept from the current conversation.
+// Returns { id, conversation, notes } with notes about what was changed on the way.
+function restoreConversation(ctx, { meta, history }) {
+    const stateId = getStateId(ctx);
+    const notes = [];
+    const name = typeof meta.name === 'string' && meta.name.trim() ? meta.name.trim().substring(0, MAX_CONVERSATION_NAME_LENGTH) : 'Импорт';
+    const id = createUserConversation(stateId, name);
+    const conversation = getConversation(stateId, id);
+
+    if (meta.modelKey && meta.modelKey !== conversation.currentModelKey) {
+        // Another bot may call the same model differently, then it's found by its ID
+        const allowedModelKeys = getAllowedModelKeys(ctx.from.id, getGroupChatId(ctx));
+        const modelKey = allowedModelKeys.includes(meta.modelKey)
+            ? meta.modelKey
+            : allowedModelKeys.find(key => ALLOWED_MODELS[key] === meta.modelId);
+        if (modelKey) {
+            conversation.currentModelKey = modelKey;
+        } else {
+            notes.push(`модель ${meta.modelId || meta.modelKey} недоступна, выбрана ${ALLOWED_MODELS[conversation.currentModelKey]}`);
+        }
+    }
+    if (meta.imageModelKey && IMAGE_MODELS[meta.imageModelKey] && isModelAllowed(ctx.from.id, meta.imageModelKey)) {
+        conversation.imageModelKey = meta.imageModelKey;
+    }
+    if (meta.personaKey !== undefined) {
+        if (PERSONAS[meta.personaKey]) {
+            conversation.personaKey = meta.personaKey;
+        } else {
+            delete conversation.personaKey;
+            notes.push(`персоны "${meta.personaKey}" здесь нет`);
+        }
+    } else {
+        delete conversation.personaKey;
+    }
+    if (typeof meta.systemInstruction === 'string' && meta.systemInstruction.length <= MAX_SYSTEM_INSTRUCTION_LENGTH) {
+        conversation.systemInstruction = meta.systemInstruction;
+    } else {
+        delete conversation.systemInstruction;
+    }
+
+    // Uploads stay usable only while the File API keeps them, references without a known expiry are dropped.
+    // Inline data is replaced with a note: the bot never keeps file contents in the stored history (see buildFilePart).
+    const files = meta.files && typeof meta.files === 'object' ? meta.files : {};
+    let droppedFiles = 0;
+    let droppedInlineData = 0;
+    for (const content of history) {
+        content.parts = content.parts.map(part => {
+            if (part.inlineData) {
+                droppedInlineData++;
+                return { text: `[${describeExportedPart(part, conversation).replace('📎 ', '')} не импортировано]` };
+            }
+            if (!part.fileData) {
+                return part;
+            }
+            const expiresAt = Date.parse(files[part.fileData.fileUri]);
+            if (expiresAt - FILE_EXPIRY_MARGIN_MS > Date.now()) {
+                conversation.uploadedFiles = conversation.uploadedFiles || {};
+                conversation.uploadedFiles[part.fileData.fileUri] = expiresAt;
+                return part;
+            }
+            droppedFiles++;
+            return { text: '[Файл больше недоступен: срок хранения в Gemini File API истёк]' };
+        });
+    }
+    if (droppedFiles > 0) {
+        notes.push(`файлов с истёкшим сроком хранения: ${droppedFiles}`);
+    }
+    if (droppedInlineData > 0) {
+        notes.push(`вложений, заменённых пометкой: ${droppedInlineData}`);
+    }
+
+    conversation.history = history;
+    const createdAt = Date.parse(meta.createdAt);
+    if (!Number.isNaN(createdAt)) {
+        conversation.createdAt = createdAt;
+    }
+    conversation.updatedAt = Date.now();
+    saveUserState(stateId);
+    log.info(`Пользователь ${ctx.from.id} импортировал диалог ${id}, сообщений: ${history.length}.`, { conversation: name });
+    return { id, conversation, notes };
+}
+
+// Import a Telegram document sent with /import (as its caption or as a reply to it)
+async function handleImportDocument(ctx, document) {
+    const fileName = document.file_name || 'документ';
+    if (document.file_size > IMPORT_MAX_FILE_SIZE) {
+        return ctx.reply(`Файл ${fileName} слишком большой для импорта (максимум ${IMPORT_MAX_FILE_SIZE / 1024 / 1024} МБ).`, getReplyExtra(ctx));
+    }
+    let parsed;
+    try {
+        const buffer = await getFileBuffer(ctx, document.file_id);
+        parsed = parseConversationExport(buffer.toString('utf8'));
+    } catch (error) {
+        log.info(`Пользователь ${ctx.from.id}: не удалось импортировать диалог.`, { fileName, reason: error.message });
+        return ctx.reply(`Не удалось импортировать диалог из ${fileName}: ${error.message}`, getReplyExtra(ctx));
+    }
+    const { id, conversation, notes } = restoreConversation(ctx, parsed);
+    const notesText = notes.length > 0 ? `\nОбратите внимание: ${notes.join('; ')}.` : '';
+    await ctx.reply(`📥 Диалог импортирован как ${id}. ${describeConversation(conversation)}. Он стал текущим.${notesText}`, getReplyExtra(ctx));
+}
+
+// Is the message a document captioned "/import" for this bot?
+function isImportCaption(ctx) {
+    const match = ctx.message?.caption?.match(IMPORT_COMMAND_PATTERN);
+    return Boolean(match) && (!match[1] || match[1].toLowerCase() === ctx.botInfo.username.toLowerCase());
+}
+
+function buildExportKeyboard() {
+    return Markup.inlineKeyboard([Object.entries(EXPORT_FORMATS).map(([format, label]) => Markup.button.callback(label, `export:${format}`))]);
+}
+
+// /export [md | json | html] - without a format shows buttons to pick one
+bot.command('export', async (ctx) => {
+    const format = getCommandArgs(ctx).toLowerCase().replace(/^markdown$/, 'md');
+    if (!format) {
+        return ctx.reply("В каком формате экспортировать текущий диалог?", buildExportKeyboard());
+    }
+    if (!EXPORT_BUILDERS[format]) {
+        return ctx.reply(`Неизвестный формат "${format}". Доступны: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+    }
+    await sendConversationExport(ctx, format);
+});
+
+bot.action(/^export:(\w+)$/, async (ctx) => {
+    const format = ctx.match[1];
+    if (!EXPORT_BUILDERS[format]) {
+        return ctx.answerCbQuery("Неизвестный формат.");
+    }
+    await ctx.answerCbQuery();
+    await sendConversationExport(ctx, format);
+});
+
+// /import in reply to an exported JSON file; the file itself can also be sent with the caption /import
+bot.command('import', async (ctx) => {
+    const document = ctx.message.reply_to_message?.document;
+    if (!document) {
+        return ctx.reply("Пришлите JSON-файл из /export json с подписью /import или ответьте командой /import на такой файл.");
+    }
+    await handleImportDocument(ctx, document);
+});
+
+// --- System Prompt and Persona Commands ---
+
+bot.command('system', (ctx) => {
+    const stateId = getStateId(ctx);
+    const conversation = getConversation(stateId);
+    const args = getCommandArgs(ctx);
+
+    if (!args) {
+        const current = conversation.systemInstruction
+            ? `Системный промпт диалога "${conversation.name}":\n\n${conversation.systemInstruction}`
+            : `У диалога "${conversation.name}" нет своего системного промпта.`;
+        return ctx.reply(`${current}\n\nЗадать: /system <текст>\nСбросить: /system reset`);
+    }
+
+    if (args.toLowerCase() === 'reset') {
+        delete conversation.systemInstruction;
+        saveUserState(stateId);
+        return ctx.reply(`♻️ Системный промпт диалога "${conversation.name}" сброшен.`);
+    }
+
+    if (args.length > MAX_SYSTEM_INSTRUCTION_LENGTH) {
+        return ctx.reply(`Слишком длинный системный промпт (${args.length} символов, максимум ${MAX_SYSTEM_INSTRUCTION_LENGTH}).`);
+    }
+    conversation.systemInstruction = args;
+    saveUserState(stateId);
+    log.info(`Пользователь ${ctx.from.id} задал системный промпт для диалога.`, { conversation: conversation.name });
+    ctx.reply(`✅ Системный промпт диалога "${conversation.name}" установлен. Он будет учитываться в следующих ответах.`);
+});
+
+function buildPersonaKeyboard(conversation) {
+    const buttons = Object.entries(PERSONAS).map(([key, persona]) => {
+        const marker = conversation.personaKey === key ? '✅ ' : '';
+        return [Markup.button.callback(`${marker}${persona.name}`, `persona:${key}`)];
+    });
+    buttons.push([Markup.button.callback(`${conversation.personaKey ? '' : '✅ '}Без персоны`, 'persona:none')]);
+    return Markup.inlineKeyboard(buttons);
+}
+
+// Set the persona of the active conversation. Returns a confirmation text, or null for an unknown key.
+function setConversationPersona(userId, personaKey) {
+    const conversation = getConversation(userId);
+    if (personaKey === 'none') {
+        delete conversation.personaKey;
+        saveUserState(userId);
+        return `Персона для диалога "${conversation.name}" отключена.`;
+    }
+    const persona = PERSONAS[personaKey];
+    if (!persona) {
+        return null;
+    }
+    conversation.personaKey = personaKey;
+    saveUserState(userId);
+    log.info(`Пользователь ${userId} выбрал персону ${personaKey} для диалога.`, { conversation: conversation.name });
+    return `🎭 Персона для диалога "${conversation.name}": ${persona.name}`;
+}
+
+bot.command('persona', (ctx) => {
+    const stateId = getStateId(ctx);
+    const conversation = getConversation(stateId);
+    if (Object.keys(PERSONAS).length === 0) {
+        return ctx.reply("Администратор не настроил ни одной персоны. Используйте /system, чтобы задать свой системный промпт.");
+    }
+
+    const args = getCommandArgs(ctx);
+    if (!args) {
+        const lines = Object.entries(PERSONAS).map(([key, persona]) =>
+            `• ${persona.name} (${key})${persona.description ? ` — ${persona.description}` : ''}`);
+        return ctx.reply(`Доступные персоны:\n\n${lines.join('\n')}\n\nВыберите персону для диалога "${conversation.name}":`, buildPersonaKeyboard(conversation));
+    }
+
+    const confirmation = setConversationPersona(stateId, args.toLowerCase() === 'none' ? 'none' : args);
+    if (!confirmation) {
+        return ctx.reply(`Персона "${args}" не найдена. Используйте /persona для списка.`);
+    }
+    ctx.reply(confirmation);
+});
+
+bot.action(/^persona:(.+)$/, async (ctx) => {
+    const confirmation = setConversationPersona(getStateId(ctx), ctx.match[1]);
+    if (!confirmation) {
+        return ctx.answerCbQuery("Эта персона больше недоступна.");
+    }
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(confirmation);
+});
+
+// --- Generation Settings Commands ---
+
+function renderSettingsMenu(userId) {
+    const rows = Object.entries(GENERATION_PARAMS).map(([param, spec]) =>
+        [Markup.button.callback(`${spec.label}: ${formatGenerationValue(userId, param)}`, `gs:param:${param}`)]);
+    rows.push([Markup.button.callback('🛡 Фильтры безопасности', 'gs:safety')]);
+    rows.push([Markup.button.callback('♻️ Сбросить всё', 'gs:reset')]);
+    const text = `⚙️ Настройки генерации:\n\n${formatGenerationSettings(userId).join('\n')}\n\nВыберите параметр или задайте значение командой: /settings <параметр> <значение>`;
+    return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+function renderParamMenu(userId, param) {
+    const spec = GENERATION_PARAMS[param];
+    const limit = globalSettings.limits[param];
+    const presets = spec.presets.filter(value => limit === undefined || value <= limit);
+    const buttons = presets.map(value => Markup.button.callback(String(value), `gs:set:${param}:${value}`));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) {
+        rows.push(buttons.slice(i, i + 3));
+    }
+    rows.push([Markup.button.callback('По умолчанию', `gs:set:${param}:default`), Markup.button.callback('« Назад', 'gs:menu')]);
+    let text = `${spec.label}: ${formatGenerationValue(userId, param)}\n\nДопустимые значения: ${spec.min}–${limit ?? spec.max}${spec.integer ? ' (целое число)' : ''}.`;
+    text += `\nСвоё значение: /settings ${param} <значение>`;
+    return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+function renderSafetyMenu(userId) {
+    const rows = Object.entries(SAFETY_CATEGORIES).map(([key, { label }]) =>
+        [Markup.button.callback(`${label}: ${getThresholdLabel(getEffectiveSafetyThreshold(userId, key))}`, `gs:cat:${key}`)]);
+    rows.push([Markup.button.callback('« Назад', 'gs:menu')]);
+    return { text: '🛡 Фильтры безопасности. Выберите категорию:', keyboard: Markup.inlineKeyboard(rows) };
+}
+
+function renderSafetyCategoryMenu(userId, categoryKey) {
+    const minimumIndex = globalSettings.limits.minSafety ? getThresholdIndex(globalSettings.limits.minSafety) : 0;
+    const current = getEffectiveSafetyThreshold(userId, categoryKey);
+    const rows = SAFETY_THRESHOLDS
+        .filter((item, index) => index >= minimumIndex)
+        .map(item => [Markup.button.callback(`${item.threshold === current ? '✅ ' : ''}${item.label}`, `gs:thr:${categoryKey}:${item.threshold}`)]);
+    rows.push([Markup.button.callback('По умолчанию', `gs:thr:${categoryKey}:default`), Markup.button.callback('« Назад', 'gs:safety')]);
+    return { text: `🛡 ${SAFETY_CATEGORIES[categoryKey].label}: что блокировать?`, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+bot.command('settings', (ctx) => {
+    const stateId = getStateId(ctx);
+    const [param, rawValue] = getCommandArgs(ctx).split(/\s+/);
+    if (!param) {
+        const { text, keyboard } = renderSettingsMenu(stateId);
+        return ctx.reply(text, keyboard);
+    }
+
+    if (!GENERATION_PARAMS[param]) {
+        return ctx.reply(`Неизвестный параметр "${param}". Доступные: ${Object.keys(GENERATION_PARAMS).join(', ')}.`);
+    }
+    if (rawValue === undefined || rawValue === 'default') {
+        setUserGenerationValue(stateId, param, undefined);
+        return ctx.reply(`${GENERATION_PARAMS[param].label}: ${formatGenerationValue(stateId, param)}`);
+    }
+    const value = parseGenerationValue(param, rawValue);
+    if (value === null) {
+        const spec = GENERATION_PARAMS[param];
+        return ctx.reply(`Недопустимое значение "${rawValue}" для ${param}. Диапазон: ${spec.min}–${spec.max}${spec.integer ? ', целое число' : ''}.`);
+    }
+    setUserGenerationValue(stateId, param, value);
+    const limit = globalSettings.limits[param];
+    const capped = limit !== undefined && value > limit ? ` (ограничено администратором до ${limit})` : '';
+    ctx.reply(`✅ ${GENERATION_PARAMS[param].label}: ${value}${capped}`);
+});
+
+// Callback data: gs:menu | gs:param:<param> | gs:set:<param>:<value|default> | gs:safety | gs:cat:<key> | gs:thr:<key>:<threshold|default> | gs:reset
+bot.action(/^gs:(\w+)(?::(\w+))?(?::([\w.]+))?$/, async (ctx) => {
+    const stateId = getStateId(ctx);
+    const [, action, target, rawValue] = ctx.match;
+    let view;
+
+    if (action === 'param' && GENERATION_PARAMS[target]) {
+        view = renderParamMenu(stateId, target);
+    } else if (action === 'set' && GENERATION_PARAMS[target]) {
+        const value = rawValue === 'default' ? undefined : parseGenerationValue(target, rawValue);
+        if (value === null) {
+            return ctx.answerCbQuery('Недопустимое значение');
+        }
+        setUserGenerationValue(stateId, target, value);
+        view = renderSettingsMenu(stateId);
+    } else if (action === 'safety') {
+        view = renderSafetyMenu(stateId);
+    } else if (action === 'cat' && SAFETY_CATEGORIES[target]) {
+        view = renderSafetyCategoryMenu(stateId, target);
+    } else if (action === 'thr' && SAFETY_CATEGORIES[target]) {
+        if (rawValue !== 'default' && getThresholdIndex(rawValue) === -1) {
+            return ctx.answerCbQuery('Недопустимое значение');
+        }
+        setUserSafetyThreshold(stateId, target, rawValue === 'default' ? undefined : rawValue);
+        view = renderSafetyMenu(stateId);
+    } else if (action === 'reset') {
+        delete getUserState(stateId).generation;
+        saveUserState(stateId);
+        view = renderSettingsMenu(stateId);
+    } else {
+        view = renderSettingsMenu(stateId);
+    }
+
+    await ctx.answerCbQuery();
+    try {
+        await ctx.editMessageText(view.text, view.keyboard);
+    } catch (error) {
+        if (!error.message?.includes('message is not modified')) {
+            throw error;
+        }
+    }
+});
+
+// Admin: /defaults - show; /defaults set|limit|unset|unlimit <param> [value]; /defaults safety <category> <threshold|default>; /defaults minsafety <threshold|none>
+bot.command('defaults', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    if (storage.shared) {
+        await loadGlobalSettings(); // Another instance may have changed them
+    }
+
+    const [action, target, rawValue] = getCommandArgs(ctx).split(/\s+/);
+    const { defaults, limits } = globalSettings;
+    const thresholds = SAFETY_THRESHOLDS.map(item => item.threshold).join(', ');
+
+    if (!action) {
+        const lines = Object.entries(GENERATION_PARAMS).map(([param, spec]) =>
+            `${param} (${spec.label}): по умолчанию ${defaults[param] ?? '—'}, максимум ${limits[param] ?? '—'}`);
+        for (const [key, { label }] of Object.entries(SAFETY_CATEGORIES)) {
+            lines.push(`safety ${key} (${label}): ${defaults.safety[key] ?? DEFAULT_SAFETY_THRESHOLD}`);
+        }
+        lines.push(`minsafety: ${limits.minSafety ?? '—'}`);
+        return ctx.reply(`Глобальные настройки генерации:\n\n${lines.join('\n')}\n\n` +
+            `Команды:\n/defaults set <параметр> <значение>\n/defaults unset <параметр>\n/defaults limit <параметр> <максимум>\n/defaults unlimit <параметр>\n` +
+            `/defaults safety <категория> <порог | default>\n/defaults minsafety <порог | none>\n\nПороги: ${thresholds}`);
+    }
+
+    // The arguments are checked here, the change itself is applied to the latest stored settings
+    let change;
+    if (['set', 'limit', 'unset', 'unlimit'].includes(action)) {
+        if (!GENERATION_PARAMS[target]) {
+            return ctx.reply(`Неизвестный параметр "${target}". Доступные: ${Object.keys(GENERATION_PARAMS).join(', ')}.`);
+        }
+        const group = action === 'set' || action === 'unset' ? 'defaults' : 'limits';
+        if (action === 'unset' || action === 'unlimit') {
+            change = (doc) => { delete doc[group][target]; };
+        } else {
+            const value = parseGenerationValue(target, rawValue);
+            if (value === null) {
+                return ctx.reply(`Недопустимое значение "${rawValue}" для ${target}.`);
+            }
+            change = (doc) => { doc[group][target] = value; };
+        }
+    } else if (action === 'safety') {
+        if (!SAFETY_CATEGORIES[target] || (rawValue !== 'default' && getThresholdIndex(rawValue) === -1)) {
+            return ctx.reply(`Использование: /defaults safety <${Object.keys(SAFETY_CATEGORIES).join('|')}> <порог | default>\nПороги: ${thresholds}`);
+        }
+        if (rawValue === 'default') {
+            change = (doc) => { delete doc.defaults.safety[target]; };
+        } else {
+            change = (doc) => { doc.defaults.safety[target] = rawValue; };
+        }
+    } else if (action === 'minsafety') {
+        if (target !== 'none' && getThresholdIndex(target) === -1) {
+            return ctx.reply(`Использование: /defaults minsafety <порог | none>\nПороги: ${thresholds}`);
+        }
+        if (target === 'none') {
+            change = (doc) => { delete doc.limits.minSafety; };
+        } else {
+            change = (doc) => { doc.limits.minSafety = target; };
+        }
+    } else {
+        return ctx.reply("Неизвестное действие. Используйте /defaults без аргументов для справки.");
+    }
+
+    try {
+        await changeGlobalSettings(change);
+    } catch (error) {
+        log.error('Не удалось сохранить глобальные настройки генерации', { error });
+        return ctx.reply(`⚠️ Настройки не сохранены: ${error.message || error}. Попробуйте ещё раз.`);
+    }
+    log.info(`Администратор ${ctx.from.id} изменил глобальные настройки генерации: ${getCommandArgs(ctx)}`);
+    ctx.reply("✅ Глобальные настройки генерации обновлены.");
+});
+
+// --- Group Commands ---
+
+function renderGroupMenu(chatId) {
+    const settings = getGroupSettings(chatId);
+    const rows = Object.entries(ALLOWED_MODELS).map(([key, modelId]) => {
+        const enabled = !settings.models || settings.models.includes(key);
+        return [Markup.button.callback(`${enabled ? '✅' : '⬜️'} ${modelId}`, `group:model:${key}`)];
+    });
+    for (const [feature, label] of Object.entries(GROUP_FEATURES)) {
+        const enabled = !settings.disabledFeatures.includes(feature);
+        rows.push([Markup.button.callback(`${enabled ? '✅' : '⬜️'} ${label}`, `group:feature:${feature}`)]);
+    }
+    rows.push([Markup.button.callback('♻️ Включить всё', 'group:reset')]);
+    const text = '👥 Модели и функции бота в этом чате. Нажмите, чтобы включить или отключить.\n' +
+        'Роли участников по-прежнему ограничивают их собственные запросы.';
+    return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+// Group admins: /group - models and features enabled in this chat
+bot.command('group', async (ctx) => {
+    if (!isGroupChat(ctx)) {
+        return ctx.reply("Эта команда работает только в группах.");
+    }
+    const view = renderGroupMenu(ctx.chat.id);
+    ctx.reply(view.text, view.keyboard);
+});
+
+bot.action(/^group:(model|feature|reset)(?::(\w+))?$/, async (ctx) => {
+    if (!isGroupChat(ctx)) {
+        return ctx.answerCbQuery();
+    }
+    const chatId = ctx.chat.id;
+    const settings = await loadGroupSettings(chatId);
+    const [, action, target] = ctx.match;
+
+    if (action === 'model' && ALLOWED_MODELS[target]) {
+        const enabled = (settings.models || Object.keys(ALLOWED_MODELS)).filter(key => ALLOWED_MODELS[key]);
+        const next = enabled.includes(target) ? enabled.filter(key => key !== target) : [...enabled, target];
+        if (next.length === 0) {
+            return ctx.answerCbQuery('В чате должна остаться хотя бы одна модель.', { show_alert: true });
+        }
+        // All models enabled is stored as no list, so models added to the config later are enabled too
+        settings.models = next.length === Object.keys(ALLOWED_MODELS).length ? undefined : next;
+    } else if (action === 'feature' && GROUP_FEATURES[target]) {
+        settings.disabledFeatures = settings.disabledFeatures.includes(target)
+            ? settings.disabledFeatures.filter(feature => feature !== target)
+            : [...settings.disabledFeatures, target];
+    } else if (action === 'reset') {
+        settings.models = undefined;
+        settings.disabledFeatures = [];
+    } else {
+        return ctx.answerCbQuery('Этого пункта больше нет.');
+    }
+
+    await saveGroupSettings(chatId);
+    log.info(`Пользователь ${ctx.from.id} изменил настройки группы ${chatId}: модели ${settings.models?.join(', ') || 'все'}, отключено: ${settings.disabledFeatures.join(', ') || 'ничего'}`);
+    await ctx.answerCbQuery();
+    const view = renderGroupMenu(chatId);
+    try {
+        await ctx.editMessageText(view.text, view.keyboard);
+    } catch (error) {
+        if (!error.message?.includes('message is not modified')) {
+            throw error;
+        }
+    }
+});
+
+// --- Tool Commands ---
+
+// /tools - the functions the model can call; /tools reload - re-read the plugins from TOOLS_DIR (admins)
+bot.command('tools', async (ctx) => {
+    if (getCommandArgs(ctx).toLowerCase() === 'reload') {
+        if (!requireAdmin(ctx)) {
+            return;
+        }
+        const { loaded, errors } = await loadToolPlugins();
+        log.info(`Администратор ${ctx.from.id} перечитал плагины инструментов: загружено ${loaded.length}, ошибок ${errors.length}.`);
+        errors.forEach(error => log.error(`Плагин инструмента ${error}`));
+        let text = `🔄 Плагины из ${TOOLS_DIR} перечитаны. Загружено: ${loaded.length ? loaded.join(', ') : 'нет'}.`;
+        if (errors.length > 0) {
+            text += `\n\n⚠️ Ошибки:\n${errors.join('\n')}`;
+        }
+        return ctx.reply(text);
+    }
+    const lines = [...tools.entries()].map(([name, tool]) =>
+        `• ${name}${tool.source === 'built-in' ? '' : ` (плагин ${tool.source})`} — ${tool.declaration.description}`);
+    let text = lines.length > 0
+        ? `🧰 Инструменты, которые модель вызывает сама, когда они нужны для ответа:\n\n${lines.join('\n\n')}`
+        : '🧰 Инструментов нет.';
+    if (isAdmin(ctx.from.id)) {
+        text += `\n\nПлагины читаются из ${TOOLS_DIR}, /tools reload — перечитать.`;
+    }
+    ctx.reply(text);
+});
+
+// --- Access Control Commands ---
+
+const ROLE_KEYS_HINT = Object.keys(ROLE_LABELS).join(' | ');
+const MAX_INVITE_USES = 100;
+
+function formatUserName(userId, record) {
+    const details = [record?.username && `@${record.username}`, record?.name].filter(Boolean).join(', ');
+    return details ? `${userId} (${details})` : String(userId);
+}
+
+bot.command('users', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    removeExpiredInvites(accessControl); // Only from the list shown, the stored ones go with the next change
+    const ids = new Set([...ADMIN_USER_IDS, ...allowedUserIdsSet, ...Object.keys(accessControl.users).map(Number)]);
+    const lines = ['👥 Пользователи:'];
+    for (const userId of ids) {
+        const record = accessControl.users[userId];
+        const role = getUserRole(userId);
+        const fromConfig = ADMIN_USER_IDS.has(userId) || !record ? ' (из конфигурации)' : '';
+        lines.push(`${formatUserName(userId, record)} — ${role ? ROLE_LABELS[role] : 'доступ закрыт'}${fromConfig}`);
+    }
+
+    const invites = Object.entries(accessControl.invites);
+    if (invites.length > 0) {
+        lines.push('', '🎟 Приглашения:');
+        for (const [token, invite] of invites) {
+            const expires = new Date(invite.expiresAt).toLocaleDateString('ru-RU');
+            lines.push(`${token} — ${ROLE_LABELS[invite.role]}, осталось ${invite.usesLeft}, до ${expires}`);
+        }
+    }
+
+    if (accessRequests.size > 0) {
+        lines.push('', '🙋 Запросы доступа (недавние):');
+        for (const [userId, request] of [...accessRequests.entries()].reverse()) {
+            lines.push(`${formatUserName(userId, request)} — /allow ${userId}`);
+        }
+    }
+    ctx.reply(lines.join('\n'));
+});
+
+bot.command('allow', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    const [target, role = 'user'] = getCommandArgs(ctx).split(/\s+/);
+    const userId = resolveUserArg(target);
+    if (!userId || !ROLE_LABELS[role]) {
+        return ctx.reply(`Использование: /allow <ID | @имя> [${ROLE_KEYS_HINT}]\n@имя можно указать только для пользователей, которые уже писали боту.`);
+    }
+    if (ADMIN_USER_IDS.has(userId)) {
+        return ctx.reply(`Пользователь ${userId} — администратор из конфигурации, его роль меняется только там.`);
+    }
+    try {
+        await setUserRole(userId, role, ctx.from.id, accessRequests.get(userId));
+    } catch (error) {
+        return replyAccessSaveFailed(ctx, error);
+    }
+    ctx.reply(`✅ Пользователю ${formatUserName(userId, accessControl.users[userId])} открыт доступ. Роль: ${ROLE_LABELS[role]}.`);
+});
+
+bot.command('deny', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    const userId = resolveUserArg(getCommandArgs(ctx).split(/\s+/)[0]);
+    if (!userId) {
+        return ctx.reply("Использование: /deny <ID | @имя>");
+    }
+    if (ADMIN_USER_IDS.has(userId)) {
+        return ctx.reply(`Пользователь ${userId} — администратор из конфигурации, его доступ меняется только там.`);
+    }
+    if (userId === ctx.from.id) {
+        return ctx.reply("Нельзя закрыть доступ самому себе.");
+    }
+    if (!hasAccess(userId)) {
+        return ctx.reply(`У пользователя ${userId} и так нет доступа.`);
+    }
+    try {
+        await setUserRole(userId, null, ctx.from.id);
+    } catch (error) {
+        return replyAccessSaveFailed(ctx, error);
+    }
+    ctx.reply(`🚫 Пользователю ${formatUserName(userId, accessControl.users[userId])} закрыт доступ. Его диалоги сохранены.`);
+});
+
+bot.command('promote', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    const [target, role] = getCommandArgs(ctx).split(/\s+/);
+    const userId = resolveUserArg(target);
+    if (!userId || !ROLE_LABELS[role]) {
+        return ctx.reply(`Использование: /promote <ID | @имя> <${ROLE_KEYS_HINT}>`);
+    }
+    if (ADMIN_USER_IDS.has(userId)) {
+        return ctx.reply(`Пользователь ${userId} — администратор из конфигурации, его роль меняется только там.`);
+    }
+    if (!hasAccess(userId)) {
+        return ctx.reply(`У пользователя ${userId} нет доступа. Откройте его командой /allow ${userId} ${role}.`);
+    }
+    if (userId === ctx.from.id && role !== 'admin') {
+        return ctx.reply("Нельзя понизить роль самому себе.");
+    }
+    try {
+        await setUserRole(userId, role, ctx.from.id);
+    } catch (error) {
+        return replyAccessSaveFailed(ctx, error);
+    }
+    ctx.reply(`✅ Роль пользователя ${formatUserName(userId, accessControl.users[userId])}: ${ROLE_LABELS[role]}.`);
+});
+
+bot.command('invite', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    const [action, rawValue] = getCommandArgs(ctx).split(/\s+/);
+    if (action === 'revoke') {
+        let revoked;
+        try {
+            revoked = await changeAccessControl((doc) => {
+                const exists = Boolean(doc.invites[rawValue]);
+                delete doc.invites[rawValue];
+                return exists;
+            });
+        } catch (error) {
+            return replyAccessSaveFailed(ctx, error);
+        }
+        if (!revoked) {
+            return ctx.reply("Приглашение не найдено. Список приглашений — в /users.");
+        }
+        return ctx.reply("🗑 Приглашение отозвано.");
+    }
+
+    const role = action || 'user';
+    const uses = rawValue ? parseInt(rawValue, 10) : 1;
+    if (!ROLE_LABELS[role] || !(uses >= 1 && uses <= MAX_INVITE_USES)) {
+        return ctx.reply(`Использование: /invite [${ROLE_KEYS_HINT}] [число использований, до ${MAX_INVITE_USES}]\n/invite revoke <код> — отозвать приглашение`);
+    }
+    let token;
+    try {
+        token = await createInvite(role, uses, ctx.from.id);
+    } catch (error) {
+        return replyAccessSaveFailed(ctx, error);
+    }
+    const days = INVITE_TTL_MS / (24 * 60 * 60 * 1000);
+    ctx.reply(`🎟 Приглашение (роль: ${ROLE_LABELS[role]}, использований: ${uses}, действует ${days} дн.):\nhttps://t.me/${ctx.botInfo.username}?start=${token}`);
+});
+
+// --- Usage Commands ---
+
+// Usage of every user who has state, for the admin view. Cached state is fresher than storage unless it is shared.
+async function loadAllUsage() {
+    const prefix = USER_KEY_PREFIX;
+    const entries = [];
+    for (const key of await storage.keys(prefix)) {
+        const userId = Number(key.substring(prefix.length));
+        const state = userState.has(userId) && !storage.shared ? userState.get(userId) : await storage.get(key);
+        entries.push([userId, state?.usage || {}]);
+    }
+    return entries;
+}
+
+bot.command('usage', async (ctx) => {
+    const userId = ctx.from.id;
+    const arg = getCommandArgs(ctx).split(/\s+/)[0];
+
+    if (!arg) {
+        return ctx.reply(`📈 Ваше использование (дни считаются по UTC):\n\n${formatUserUsage(userId, getUserState(userId).usage).join('\n')}`);
+    }
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+
+    if (arg === 'all') {
+        const day = getUsagePeriod('day');
+        const month = getUsagePeriod('month');
+        const rows = (await loadAllUsage())
+            .map(([id, usage]) => ({ id, today: sumUsage(usage, day), month: sumUsage(usage, month) }))
+            .filter(row => row.month.requests > 0)
+            .sort((a, b) => getUsageValue(b.month, 'tokens') - getUsageValue(a.month, 'tokens'));
+        if (rows.length === 0) {
+            return ctx.reply("В этом месяце запросов к моделям ещё не было.");
+        }
+        const lines = rows.map(row => `${formatUserName(row.id, accessControl.users[row.id])}: сегодня ${row.today.requests} запр. / ${getUsageValue(row.today, 'tokens')} ток., ` +
+            `за месяц ${row.month.requests} запр. / ${getUsageValue(row.month, 'tokens')} ток.`);
+        return ctx.reply(`📈 Использование за ${month} (UTC):\n\n${lines.join('\n')}`);
+    }
+
+    const targetId = resolveUserArg(arg);
+    if (!targetId) {
+        return ctx.reply("Использование: /usage — своё потребление\n/usage all — все пользователи\n/usage <ID | @имя> — конкретный пользователь");
+    }
+    const state = userState.has(targetId) && !storage.shared ? userState.get(targetId) : await storage.get(storageKeyForUser(targetId));
+    ctx.reply(`📈 Использование ${formatUserName(targetId, accessControl.users[targetId])} (UTC):\n\n${formatUserUsage(targetId, state?.usage).join('\n')}`);
+});
+
+bot.command('limits', async (ctx) => {
+    if (!requireAdmin(ctx)) {
+        return;
+    }
+    const [scope, target, limitKey, rawValue] = getCommandArgs(ctx).split(/\s+/);
+    const limitKeys = Object.keys(QUOTA_LIMITS).join(', ');
+
+    if (!scope) {
+        const formatLimits = (limits = {}) => Object.entries(limits)
+            .map(([key, value]) => `${QUOTA_LIMITS[key]?.label || key}: ${value}`).join(', ');
+        const lines = ['Лимиты ролей:'];
+        for (const role of Object.keys(ROLE_LABELS)) {
+            lines.push(`${ROLE_LABELS[role]} (${role}): ${formatLimits(quotas.roles[role]) || 'нет'}`);
+        }
+        const userLimits = Object.entries(quotas.users);
+        if (userLimits.length > 0) {
+            lines.push('', 'Лимиты пользователей:');
+            for (const [id, limits] of userLimits) {
+                lines.push(`${formatUserName(id, accessControl.users[id])}: ${formatLimits(limits)}`);
+            }
+        }
+        return ctx.reply(`${lines.join('\n')}\n\nКоманды:\n/limits role <роль> <лимит> <число | none>\n/limits user <ID | @имя> <лимит> <число | none>\n\nЛимиты: ${limitKeys}`);
+    }
+
+    const targetUserId = scope === 'user' ? resolveUserArg(target) : null;
+    let group;
+    let key;
+    if (scope === 'role' && ROLE_LABELS[target]) {
+        [group, key] = ['roles', target];
+    } else if (targetUserId) {
+        [group, key] = ['users', targetUserId];
+    } else {
+        return ctx.reply(`Использование: /limits role <${ROLE_KEYS_HINT}> <лимит> <число | none>\n/limits user <ID | @имя> <лимит> <число | none>`);
+    }
+    const value = Number(rawValue);
+    if (!QUOTA_LIMITS[limitKey] || (rawValue !== 'none' && !(Number.isInteger(value) && value >= 0))) {
+        return ctx.reply(`Укажите лимит (${limitKeys}) и целое число не меньше 0, или none, чтобы снять лимит.`);
+    }
+
+    try {
+        await changeQuotas((doc) => {
+            const limits = doc[group][key] = doc[group][key] || {};
+            if (rawValue === 'none') {
+                delete limits[limitKey];
+            } else {
+                limits[limitKey] = value;
+            }
+            // Drop empty entries so /limits stays readable
+            for (const entries of [doc.roles, doc.users]) {
+                for (const [entryKey, entryLimits] of Object.entries(entries)) {
+                    if (Object.keys(entryLimits).length === 0) {
+                        delete entries[entryKey];
+                    }
+                }
+            }
+        });
+    } catch (error) {
+        log.error('Не удалось сохранить лимиты использования', { error });
+        return ctx.reply(`⚠️ Лимиты не сохранены: ${error.message || error}. Попробуйте ещё раз.`);
+    }
+    log.info(`Администратор ${ctx.from.id} изменил лимиты использования: ${getCommandArgs(ctx)}`);
+    ctx.reply("✅ Лимиты использования обновлены.");
+});
+
+// --- Telegram Formatting ---
+
+// Telegram rejects messages longer than 4096 characters. Rendered HTML (tags included) is kept under this size,
+// which guarantees the visible text fits as well.
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeHtmlAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// Plain-text version of rendered HTML, used when Telegram still refuses to parse it
+function htmlToPlainText(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+// Telegram rejects the whole message if tags overlap, e.g. "<b>a <i>b</b> c</i>"
+function hasBalancedTags(html) {
+    const stack = [];
+    for (const [, closing, name] of html.matchAll(/<(\/?)(b|i|s|code|a)\b[^>]*>/g)) {
+        if (!closing) {
+            stack.push(name);
+        } else if (stack.pop() !== name) {
+            return false;
+        }
+    }
+    return stack.length === 0;
+}
+
+// Inline Markdown (bold, italic, strikethrough, code, links) of a single line -> Telegram HTML.
+// Markers that are not closed yet (e.g. in a half-streamed line) stay as literal characters.
+function renderInlineMarkdown(text) {
+    // Code spans and links are rendered first and hidden behind private-use placeholders, so emphasis rules don't touch them
+    const placeholders = [];
+    const hold = (html) => `\uE000${placeholders.push(html) - 1}\uE001`;
+    const held = text
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, label, url) =>
+            hold(`<a href="${escapeHtmlAttribute(url)}">${escapeHtml(label)}</a>`));
+
+    let html = escapeHtml(held)
+        .replace(/\*\*(?=\S)(.*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/~~(?=\S)(.*?\S)~~/g, '<s>$1</s>')
+        .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, '$1<i>$2</i>')
+        .replace(/(^|[^_\w])_(?=[^\s_])([^_]*?[^\s_])_(?![_\w])/g, '$1<i>$2</i>');
+    if (!hasBalancedTags(html)) {
+        // Overlapping emphasis: better to show the markers than to lose the message
+        html = escapeHtml(held);
+    }
+    return html.replace(/\uE000(\d+)\uE001/g, (match, index) => placeholders[index]);
+}
+
+// One line of regular text: headings, list bullets and rules, then inline formatting
+function renderMarkdownLine(line) {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+        return `<b>${renderInlineMarkdown(heading[1])}</b>`;
+    }
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        return '——————';
+    }
+    const bullet = line.match(/^(\s*)[*+-]\s+(.*)$/);
+    if (bullet) {
+        return `${bullet[1]}• ${renderInlineMarkdown(bullet[2])}`;
+    }
+    return renderInlineMarkdown(line);
+}
+
+// Split Markdown into blocks of the same kind: text, fenced code, tables and quotes.
+// A code fence that is not closed yet (streaming) simply runs to the end of the text.
+function parseMarkdownBlocks(markdown) {
+    const blocks = [];
+    let codeBlock = null;
+    for (const line of markdown.split('\n')) {
+        if (codeBlock) {
+            if (/^\s*```\s*$/.test(line)) {
+                codeBlock = null;
+            } else {
+                codeBlock.lines.push(line);
+            }
+            continue;
+        }
+        const fence = line.match(/^\s*```\s*([\w+#.-]*)/);
+        if (fence) {
+            codeBlock = { type: 'code', language: fence[1], lines: [] };
+            blocks.push(codeBlock);
+            continue;
+        }
+        const type = /^\s*\|.*\|\s*$/.test(line) ? 'table' : /^\s*>/.test(line) ? 'quote' : 'text';
+        const lastBlock = blocks[blocks.length - 1];
+        if (lastBlock && lastBlock.type === type) {
+            lastBlock.lines.push(line);
+        } else {
+            blocks.push({ type, lines: [line] });
+        }
+    }
+    return blocks;
+}
+
+// Wrapping tags and line renderer for each block type. Tables go to <pre> to keep the columns aligned.
+function getBlockFormat(block) {
+    switch (block.type) {
+        case 'code':
+            return block.language
+                ? { open: `<pre><code class="language-${escapeHtmlAttribute(block.language)}">`, close: '</code></pre>', renderLine: escapeHtml }
+                : { open: '<pre>', close: '</pre>', renderLine: escapeHtml };
+        case 'table':
+            return { open: '<pre>', close: '</pre>', renderLine: escapeHtml };
+        case 'quote':
+            return { open: '<blockquote>', close: '</blockquote>', renderLine: line => renderInlineMarkdown(line.replace(/^\s*>\s?/, '')) };
+        default:
+            return { open: '', close: '', renderLine: renderMarkdownLine };
+    }
+}
+
+// Render a raw line; a line too long for one message is cut (preferably at a space) into several rendered lines
+function renderLinePieces(line, renderLine, maxLength) {
+    const html = renderLine(line);
+    if (html.length <= maxLength || line.length < 2) {
+        return [html];
+    }
+    let cut = line.lastIndexOf(' ', Math.floor(line.length / 2));
+    if (cut <= 0) {
+        cut = Math.floor(line.length / 2);
+    }
+    return [
+        ...renderLinePieces(line.slice(0, cut), renderLine, maxLength),
+        ...renderLinePieces(line.slice(cut), renderLine, maxLength),
+    ];
+}
+
+// Convert Gemini Markdown into one or more Telegram HTML messages, each within `limit` characters.
+// Code blocks and quotes split between messages are closed in one and reopened in the next.
+function renderTelegramMessages(markdown, limit = TELEGRAM_MESSAGE_LIMIT) {
+    const messages = [];
+    let current = '';
+
+    for (const block of parseMarkdownBlocks(markdown)) {
+        const { open, close, renderLine } = getBlockFormat(block);
+        const maxLineLength = limit - open.length - close.length;
+        let body = [];
+        const compose = (lines) => `${current ? `${current}\n` : ''}${open}${lines.join('\n')}${close}`;
+
+        for (const line of block.lines) {
+            for (const piece of renderLinePieces(line, renderLine, maxLineLength)) {
+                if ((current || body.length > 0) && compose([...body, piece]).length > limit) {
+                    messages.push(body.length > 0 ? compose(body) : current);
+                    current = '';
+                    body = [];
+                }
+                body.push(piece);
+            }
+        }
+        if (body.length > 0) {
+            current = compose(body);
+        }
+    }
+    if (current) {
+        messages.push(current);
+    }
+    return messages.filter(message => htmlToPlainText(message).trim());
+}
+
+// Edit a message with rendered HTML, falling back to plain text if Telegram can't parse it.
+// `extra` is passed to Telegram as is (e.g. reply_markup).
+async function editHtmlMessage(ctx, messageId, html, extra = {}) {
+    try {
+        await ctx.telegram.editMessageText(ctx.chat.id, messageId, null, html, { ...extra, parse_mode: 'HTML' });
+    } catch (error) {
+        if (error.message?.includes('message is not modified')) {
+            return;
+        }
+        if (!error.message?.includes("can't parse entities")) {
+            throw error;
+        }
+        log.warn(`Telegram не принял HTML для сообщения ${messageId}, отправляю без форматирования: ${error.message}`);
+        await ctx.telegram.editMessageText(ctx.chat.id, messageId, null, htmlToPlainText(html), extra);
+    }
+}
+
+// Send a new message with rendered HTML, falling back to plain text if Telegram can't parse it
+async function sendHtmlMessage(ctx, html) {
+    try {
+        // ctx.reply keeps the message in the forum topic of the request
+        return await ctx.reply(html, { parse_mode: 'HTML' });
+    } catch (error) {
+        if (!error.message?.includes("can't parse entities")) {
+            throw error;
+        }
+        log.warn(`Telegram не принял HTML нового сообщения, отправляю без форматирования: ${error.message}`);
+        return ctx.reply(htmlToPlainText(html));
+    }
+}
+
+// --- Telegram Edit Queue ---
+
+// Telegram allows about 30 messages per second per bot overall and about one per second per chat.
+// All streamed edits go through per-chat queues (spaced by EDIT_THROTTLE_MS) and a shared token bucket.
+const GLOBAL_TELEGRAM_RATE_PER_SECOND = 25;
+const MAX_RATE_LIMIT_RETRIES = 5; // Retries of one task after 429, each after Telegram's retry_after
+
+// With `signal`, rejects with an AbortError as soon as it's aborted instead of waiting out `ms`
+const sleep = (ms, signal = null) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const globalTelegramBudget = { tokens: GLOBAL_TELEGRAM_RATE_PER_SECOND, updatedAt: Date.now() };
+
+// Wait for a slot in the global rate budget
+async function acquireTelegramBudget() {
+    for (;;) {
+        const now = Date.now();
+        const refill = ((now - globalTelegramBudget.updatedAt) / 1000) * GLOBAL_TELEGRAM_RATE_PER_SECOND;
+        globalTelegramBudget.tokens = Math.min(GLOBAL_TELEGRAM_RATE_PER_SECOND, globalTelegramBudget.tokens + refill);
+        globalTelegramBudget.updatedAt = now;
+        if (globalTelegramBudget.tokens >= 1) {
+            globalTelegramBudget.tokens -= 1;
+            return;
+        }
+        await sleep(Math.ceil(((1 - globalTelegramBudget.tokens) / GLOBAL_TELEGRAM_RATE_PER_SECOND) * 1000));
+    }
+}
+
+// retry_after of a Telegram 429 error in ms, or null for other errors
+function getRetryAfterMs(error) {
+    if (error?.response?.error_code !== 429) {
+        return null;
+    }
+    return (error.response.parameters?.retry_after ?? 1) * 1000;
+}
+
+// Map<chatId, { jobs: Map<key, { task, waiters, attempts }>, running: boolean, nextAllowedAt: number }>
+const chatQueues = new Map();
+
+// Queue `task` (an async function doing Telegram calls) for a chat. Tasks with the same key are coalesced:
+// if one is still waiting, it is replaced by the newer one, which is expected to send the newer state.
+// Tasks of a chat run one at a time and at most once per EDIT_THROTTLE_MS. On 429 the task is retried after retry_after.
+// Resolves once the task (or the one that replaced it) has run; rejects with its error otherwise.
+function enqueueChatTask(chatId, key, task) {
+    if (!chatQueues.has(chatId)) {
+        chatQueues.set(chatId, { jobs: new Map(), running: false, nextAllowedAt: 0 });
+    }
+    const queue = chatQueues.get(chatId);
+    return new Promise((resolve, reject) => {
+        const job = queue.jobs.get(key);
+        if (job) {
+            job.task = task;
+            job.waiters.push({ resolve, reject });
+        } else {
+            queue.jobs.set(key, { task, waiters: [{ resolve, reject }], attempts: 0 });
+        }
+        runChatQueue(chatId);
+    });
+}
+
+async function runChatQueue(chatId) {
+    const queue = chatQueues.get(chatId);
+    if (queue.running) {
+        return;
+    }
+    queue.running = true;
+    try {
+        while (queue.jobs.size > 0) {
+            const delay = queue.nextAllowedAt - Date.now();
+            if (delay > 0) {
+                await sleep(delay);
+            }
+            const [key, job] = queue.jobs.entries().next().value;
+            queue.jobs.delete(key); // Tasks queued from now on with this key will run after this one
+            try {
+                await job.task();
+                queue.nextAllowedAt = Date.now() + EDIT_THROTTLE_MS;
+                job.waiters.forEach(waiter => waiter.resolve());
+            } catch (error) {
+                const retryAfterMs = getRetryAfterMs(error);
+                if (retryAfterMs === null || job.attempts >= MAX_RATE_LIMIT_RETRIES) {
+                    job.waiters.forEach(waiter => waiter.reject(error));
+                    continue;
+                }
+                log.warn(`Ошибка 429 (Too Many Requests) в чате ${chatId}, повтор через ${retryAfterMs} мс.`);
+                incrementMetric('bot_telegram_rate_limited_total');
+                job.attempts++;
+                queue.nextAllowedAt = Date.now() + retryAfterMs;
+                const newerJob = queue.jobs.get(key);
+                if (newerJob) {
+                    // A newer state is already waiting, whoever waited for this one gets it instead
+                    newerJob.waiters.push(...job.waiters);
+                    newerJob.attempts = Math.max(newerJob.attempts, job.attempts);
+                } else {
+                    queue.jobs = new Map([[key, job], ...queue.jobs]); // Back to the front of the queue
+                }
+            }
+        }
+    } finally {
+        queue.running = false;
+        if (queue.jobs.size === 0) {
+            chatQueues.delete(chatId);
+        }
+    }
+}
+
+// --- Generation Control ---
+
+// Answers being generated right now, so the "Stop" button can abort them.
+// Map<"chatId:messageId", { abortController, signal, userId }>, messageId is the first message of the answer.
+const activeGenerations = new Map();
+const STOP_KEYBOARD = Markup.inlineKeyboard([Markup.button.callback('⏹ Стоп', 'stop_generation')]);
+
+function startGeneration(ctx, messageId) {
+    const abortController = new AbortController();
+    const generation = { abortController, signal: abortController.signal, userId: ctx.from.id };
+    activeGenerations.set(`${ctx.chat.id}:${messageId}`, generation);
+    return generation;
+}
+
+function finishGeneration(ctx, messageId) {
+    activeGenerations.delete(`${ctx.chat.id}:${messageId}`);
+}
+
+// Stopped by the user (as opposed to a failed request)
+function isGenerationStopped(generation, error) {
+    return Boolean(generation?.signal.aborted) || error?.name === 'AbortError';
+}
+
+bot.action('stop_generation', async (ctx) => {
+    const messageId = ctx.callbackQuery.message?.message_id;
+    const generation = activeGenerations.get(`${ctx.chat?.id}:${messageId}`);
+    if (!generation) {
+        return ctx.answerCbQuery("Генерация уже завершена.");
+    }
+    if (generation.userId !== ctx.from.id) {
+        return ctx.answerCbQuery("Остановить генерацию может только автор запроса.");
+    }
+    generation.abortController.abort();
+    log.info(`Пользователь ${ctx.from.id} остановил генерацию ответа ${messageId}.`);
+    await ctx.answerCbQuery("Генерация остановлена.");
+});
+
+// --- Streaming Function ---
+
+// The answer is rendered to Telegram HTML; once it outgrows one message it continues in new ones.
+// Updates go through the chat's edit queue, and the final text is always delivered once the stream ends.
+// `generation` (from startGeneration) shows the "Stop" button under the answer while it streams and lets the user abort it.
+// `footer` (Markdown) is shown under the answer but not returned, e.g. a note about the fallback model.
+// Chunks with `toolStatus` (see streamWithTools) replace the progress line shown under the text while it streams.
+// With `withAnswerButtons` the finished answer gets the regenerate/continue buttons (see Answer Controls).
+// Returns { text, messageIds }: the full answer text for the history and the messages it was sent in.
+async function streamAndEditResponse(ctx, stream, initialMessageId, generation = null, footer = '', withAnswerButtons = false) {
+    let fullResponseText = '';
+    let isStreaming = true;
+    let streamFailed = false;
+    let messageLost = false; // The user deleted the answer message
+    const messageIds = [initialMessageId]; // Messages holding the answer, in order
+    const lastSentChunks = ['...']; // Rendered HTML currently shown in each message
+    let toolStatus = '';
+    let isTruncated = false; // Cut off by the output token limit
+    const noKeyboard = { inline_keyboard: [] };
+    let keyboard = generation ? STOP_KEYBOARD.reply_markup : noKeyboard; // Wanted under the first message
+    let shownKeyboard = keyboard; // The placeholder is sent with the "Stop" button
+    const queueKey = `answer:${initialMessageId}`;
+
+    const getDisplayText = () => {
+        let text = fullResponseText.trim();
+        if (isStreaming && toolStatus) {
+            text += `\n\n${toolStatus}`;
+        }
+        if (isGenerationStopped(generation) && !messageLost) {
+            text += '\n\n_⏹ Генерация остановлена_';
+        }
+        if (streamFailed) {
+            text += '\n\n[Ошибка обработки стрима]';
+        }
+        if (footer && text) {
+            text += `\n\n${footer}`;
+        }
+        return text.trim();
+    };
+
+    // Bring the messages in line with the current text. Always reads the latest text, so coalesced runs lose nothing.
+    const syncMessages = async () => {
+        const chunks = renderTelegramMessages(getDisplayText());
+        for (let index = 0; index < chunks.length; index++) {
+            const isFirst = index === 0;
+            const keyboardChanged = isFirst && keyboard !== shownKeyboard;
+            // Only touch messages whose rendered text (or button) differs from what was sent last time
+            if (chunks[index] === lastSentChunks[index] && !keyboardChanged) {
+                continue;
+            }
+            await acquireTelegramBudget();
+            const messageId = messageIds[index];
+            if (messageId) {
+                const extra = isFirst ? { reply_markup: keyboard } : {};
+                await editHtmlMessage(ctx, messageId, chunks[index], extra);
+                log.debug(`Сообщение ${messageId} отредактировано.`);
+            } else {
+                const sentMessage = await sendHtmlMessage(ctx, chunks[index]);
+                messageIds.push(sentMessage.message_id);
+                log.debug(`Ответ продолжен в новом сообщении ${sentMessage.message_id}.`);
+            }
+            lastSentChunks[index] = chunks[index]; // Update last sent text on success
+            if (isFirst) {
+                shownKeyboard = keyboard;
+            }
+        }
+        // The text got shorter (e.g. the progress line went away): continuations past its end go. The first message stays.
+        while (messageIds.length > Math.max(chunks.length, 1)) {
+            await acquireTelegramBudget();
+            const messageId = messageIds.pop();
+            lastSentChunks.length = messageIds.length;
+            try {
+                await ctx.telegram.deleteMessage(ctx.chat.id, messageId);
+                log.debug(`Лишнее сообщение ${messageId} удалено.`);
+            } catch (error) {
+                log.debug(`Не удалось удалить лишнее сообщение ${messageId}`, { reason: error.message }); // Deleted by the user already
+            }
+        }
+    };
+
+    const handleSyncError = (error) => {
+        if (error.message?.includes('message to edit not found')) {
+            if (!messageLost) {
+                log.error(`Сообщение ${initialMessageId} для редактирования не найдено (возможно, удалено). Прекращение генерации.`);
+            }
+            messageLost = true;
+            generation?.abortController.abort(); // Nobody will see the rest of the answer
+        } else {
+            log.error(`Ошибка при обновлении ответа ${initialMessageId}`, { error });
+        }
+    };
+
+    try {
+        for await (const chunk of stream) {
+            if (isGenerationStopped(generation)) {
+                break;
+            }
+            const chunkText = chunk.text();
+            if (chunkText) {
+                fullResponseText += chunkText;
+            }
+            if (chunk.toolStatus !== undefined) {
+                toolStatus = chunk.toolStatus;
+            }
+            if (chunk.candidates?.[0]?.finishReason === 'MAX_TOKENS') {
+                isTruncated = true;
+            }
+            // Coalesced with an update that is still waiting in the queue
+            enqueueChatTask(ctx.chat.id, queueKey, syncMessages).catch(handleSyncError);
+        }
+    } catch (streamError) {
+        if (!isGenerationStopped(generation, streamError)) {
+            log.error("Ошибка во время стриминга ответа", { error: streamError });
+            streamFailed = true;
+        }
+    }
+
+    // Stream finished: deliver the final text (and replace the "Stop" button), waiting out rate limits if needed
+    isStreaming = false;
+    // An answer stopped by the user can be continued just like one cut off by the limit
+    keyboard = withAnswerButtons && fullResponseText.trim()
+        ? buildAnswerKeyboard(isTruncated || isGenerationStopped(generation)).reply_markup
+        : noKeyboard;
+    if (!messageLost) {
+        try {
+            await enqueueChatTask(ctx.chat.id, queueKey, syncMessages);
+        } catch (error) {
+            handleSyncError(error);
+        }
+    }
+
+    log.info(`Ответ ${initialMessageId} отправлен`, {
+        length: fullResponseText.length,
+        messages: messageIds.length,
+        truncated: isTruncated || undefined,
+        stopped: isGenerationStopped(generation) || undefined,
+        streamFailed: streamFailed || undefined,
+    });
+    // Return the full text, even if editing failed, for history
+    return { text: fullResponseText.trim(), messageIds };
+}
+
+
+// --- Reply Context ---
+
+// A reply to an earlier message brings it into the request: its text (or the quoted fragment) and its photo,
+// document or voice note. A reply to one of the bot's answers continues the conversation from that answer.
+// To find the answer, each conversation maps the Telegram message of an answer to its position: the number of
+// history entries up to and including it, counted from the very start of the conversation. historyOffset is how
+// many entries folding has removed from the front since, so the answer's current length is position - historyOffset.
+
+const MAX_QUOTE_LENGTH = 4000;
+const BRANCH_NAME_SUFFIX = ' (ветка)';
+const MAX_ANSWER_MESSAGES = 300; // Per conversation; replies to older answers are answered without their context
+
+// Remember the Telegram messages holding the answer just added to the history (every message of a long answer)
+function linkAnswerMessages(userId, conversationId, messageIds) {
+    const conversation = getConversation(userId, conversationId);
+    conversation.answerMessages = conversation.answerMessages || {};
+    for (const messageId of messageIds) {
+        conversation.answerMessages[messageId] = (conversation.historyOffset || 0) + conversation.history.length;
+    }
+    // Integer keys are listed in ascending order, and message IDs grow, so the oldest messages come first
+    const linked = Object.keys(conversation.answerMessages);
+    linked.slice(0, Math.max(0, linked.length - MAX_ANSWER_MESSAGES)).forEach(messageId => delete conversation.answerMessages[messageId]);
+    saveUserState(userId);
+}
+
+// Called after `removed` entries were folded off the front of the history; forgets answers that went into the summary
+function shiftAnswerMessages(conversation, removed) {
+    if (!conversation.answerMessages) {
+        return;
+    }
+    conversation.historyOffset = (conversation.historyOffset || 0) + removed;
+    const summaryLength = isSummaryContent(conversation.history[0]) ? 2 : 0;
+    for (const [messageId, position] of Object.entries(conversation.answerMessages)) {
+        if (position - conversation.historyOffset <= summaryLength) {
+            delete conversation.answerMessages[messageId];
+        }
+    }
+}
+
+// Find the conversation holding the answer sent in a Telegram message, the active one first.
+// Returns { conversationId, length } (history entries up to and including the answer) or null if it's unknown.
+function findAnswerInHistory(userId, messageId) {
+    const state = getUserState(userId);
+    const ids = [state.activeConversationId, ...Object.keys(state.conversations).filter(id => id !== state.activeConversationId)];
+    for (const conversationId of ids) {
+        const conversation = state.conversations[conversationId];
+        const position = conversation?.answerMessages?.[messageId];
+        if (position === undefined) {
+            continue;
+        }
+        const length = position - (conversation.historyOffset || 0);
+        return length > 0 && length <= conversation.history.length ? { conversationId, length } : null;
+    }
+    return null;
+}
+
+// Make the answer the end of the active conversation: switch to its conversation, or fork a branch ending
+// with it if the history has moved on since. Returns a note for the user, '' if nothing had to change.
+function continueFromAnswer(userId, { conversationId, length }) {
+    const state = getUserState(userId);
+    const source = state.conversations[conversationId];
+    if (length === source.history.length) {
+        if (state.activeConversationId === conversationId) {
+            return '';
+        }
+        switchUserConversation(userId, conversationId);
+        return `_🔀 Продолжаю диалог "${escapeMarkdown(source.name)}"._`;
+    }
+    const baseName = source.name.endsWith(BRANCH_NAME_SUFFIX) ? source.name.slice(0, -BRANCH_NAME_SUFFIX.length) : source.name;
+    const name = `${baseName.substring(0, MAX_CONVERSATION_NAME_LENGTH - BRANCH_NAME_SUFFIX.length)}${BRANCH_NAME_SUFFIX}`;
+    const branchId = createUserConversation(userId, name, source);
+    state.conversations[branchId].history = structuredClone(source.history.slice(0, length));
+    state.conversations[branchId].uploadedFiles = structuredClone(source.uploadedFiles);
+    saveUserState(userId);
+    return `_🌿 Продолжаю с выбранного ответа в новом диалоге "${escapeMarkdown(name)}", прежний диалог не изменился._`;
+}
+
+// The file attached to a replied message, if it's something the model can read
+function getReplyMedia(message) {
+    if (message.photo) {
+        const photo = message.photo[message.photo.length - 1];
+        return { fileId: photo.file_id, uniqueId: photo.file_unique_id, mimeType: 'image/jpeg', typeName: 'изображение', feature: 'files' };
+    }
+    if (message.document) {
+        return {
+            fileId: message.document.file_id, uniqueId: message.document.file_unique_id, mimeType: message.document.mime_type,
+            typeName: 'документ', fileName: `"${message.document.file_name || 'документ'}"`, feature: 'files',
+        };
+    }
+    if (message.voice) {
+        return { fileId: message.voice.file_id, uniqueId: message.voice.file_unique_id, mimeType: message.voice.mime_type || 'audio/ogg', typeName: 'голосовое сообщение', feature: 'voice' };
+    }
+    if (message.video) {
+        return { fileId: message.video.file_id, uniqueId: message.video.file_unique_id, mimeType: message.video.mime_type || 'video/mp4', typeName: 'видео', feature: 'video' };
+    }
+    if (message.video_note) {
+        return { fileId: message.video_note.file_id, uniqueId: message.video_note.file_unique_id, mimeType: 'video/mp4', typeName: 'видеосообщение', feature: 'video' };
+    }
+    return null;
+}
+
+// What a text message replies to: { quote: text to put before the user's message, media: file to attach or null,
+// note: Markdown note for the answer }. A reply to a known answer already switched the state to it by then.
+// A quoted document is downloaded here already, to detect its type and extract the text (see prepareDocument).
+async function getReplyContext(ctx, scope) {
+    const context = { quote: '', media: null, note: '' };
+    const replied = ctx.message?.reply_to_message;
+    // In forum topics every message "replies" to the service message that created the topic
+    if (!replied || replied.forum_topic_created || replied.message_id === ctx.message.message_thread_id) {
+        return context;
+    }
+    const fromBot = replied.from?.id === ctx.botInfo.id;
+    const author = fromBot ? 'бота' : [replied.from?.first_name, replied.from?.last_name].filter(Boolean).join(' ') || 'пользователя';
+    const selected = ctx.message.quote?.text;
+
+    const answer = fromBot && findAnswerInHistory(scope.stateId, replied.message_id);
+    if (answer) {
+        context.note = continueFromAnswer(scope.stateId, answer);
+        // The answer ends the history now, only a fragment selected by the user is worth repeating
+        if (selected) {
+            context.quote = `[Фрагмент ответа бота]\n«${selected.substring(0, MAX_QUOTE_LENGTH)}»`;
+        }
+        return context;
+    }
+
+    const lines = [];
+    const text = selected || replied.text || replied.caption;
+    if (text) {
+        lines.push(`«${text.substring(0, MAX_QUOTE_LENGTH)}»`);
+    }
+    const media = getReplyMedia(replied);
+    if (media) {
+        let reason = null;
+        if (!isGroupFeatureEnabled(ctx, media.feature)) {
+            reason = 'отключено в этом чате';
+        } else if (replied.document && !(await prepareReplyDocument(ctx, replied.document, media))) {
+            reason = 'не удалось прочитать файл';
+        } else if (!media.mimeType || !supportedMimeTypes.includes(media.mimeType) || !isFileTypeAllowed(scope.userId, media.mimeType)) {
+            reason = `тип ${media.mimeType || 'не определён'} недоступен`;
+        }
+        if (reason) {
+            lines.push(`[Не приложено (${media.typeName}): ${reason}]`);
+        } else {
+            lines.push(`[Приложено к запросу: ${media.typeName}]`);
+            context.media = media;
+        }
+    }
+    if (lines.length > 0) {
+        context.quote = `[В ответ на сообщение ${author}]\n${lines.join('\n')}`;
+    }
+    return context;
+}
+
+// Add the detected type, contents and extracted text of a quoted document to its media entry. False if it can't be read.
+async function prepareReplyDocument(ctx, document, media) {
+    try {
+        Object.assign(media, await prepareDocument(ctx, document));
+        return true;
+    } catch (error) {
+        log.error('Не удалось прочитать цитируемый документ', { fileName: document.file_name, error });
+        return false;
+    }
+}
+
+// Parts of the user turn for the request: the text, plus the quoted file downloaded from Telegram.
+// An uploaded file or extracted text is added to `historyEntry` as well (see buildFilePart).
+// Returns { parts, inlineFiles } as streamAnswer expects it.
+async function buildReplyRequestParts(ctx, text, replyContext, historyEntry, conversation, signal) {
+    const parts = [{ text }];
+    const inlineFiles = {};
+    if (replyContext.media) {
+        const { part, upload, keepInHistory } = await buildFilePart(ctx, replyContext.media, signal);
+        parts.push(part);
+        if (keepInHistory) {
+            historyEntry.parts.push(part);
+        } else {
+            const { buffer, ...file } = replyContext.media;
+            inlineFiles[1] = file;
+        }
+        if (upload) {
+            rememberUploadedFile(conversation, upload);
+        }
+    }
+    return { parts, inlineFiles };
+}
+
+// --- Albums and File Batches ---
+
+// Photos and documents of an album arrive as separate messages sharing a media_group_id. They are collected
+// until no new item came for MEDIA_GROUP_WAIT_MS and answered with one request, the captions joined into the prompt.
+// /batch collects files over several messages the same way, until the user asks a question about them.
+const MEDIA_GROUP_WAIT_MS = 1500;
+const MAX_FILES_PER_REQUEST = 10;
+const FILE_BATCH_TTL_MS = 15 * 60 * 1000;
+const MULTI_FILE_PROMPT = 'Проанализируй содержимое этих файлов.';
+
+// Map<"chatId:mediaGroupId", { items: Array<{ ctx, file, caption }>, timer }>
+const pendingMediaGroups = new Map();
+// Map<"chatId:userId", { files: Array<file>, captions: string[], expiresAt: number }>, kept in memory only
+const fileBatches = new Map();
+
+function getMediaGroupKey(ctx) {
+    return ctx.message?.media_group_id ? `${ctx.chat.id}:${ctx.message.media_group_id}` : null;
+}
+
+function getFileBatchKey(ctx) {
+    return `${ctx.chat.id}:${ctx.from.id}`;
+}
+
+// The user's /batch in this chat, if one is open
+function getFileBatch(ctx) {
+    const key = getFileBatchKey(ctx);
+    const batch = fileBatches.get(key);
+    if (batch && batch.expiresAt < Date.now()) {
+        fileBatches.delete(key);
+        return null;
+    }
+    return batch || null;
+}
+
+// In groups files are only answered when addressed to the bot (a mention in the caption or a reply to it),
+// or when they continue an album already addressed to it or the user's /batch,
+// and while the group admins haven't switched the feature off
+function shouldHandleGroupMedia(ctx, feature) {
+    if (!isGroupChat(ctx)) {
+        return true;
+    }
+    const isExpected = pendingMediaGroups.has(getMediaGroupKey(ctx)) || Boolean(getFileBatch(ctx));
+    if (!isExpected && !isAddressedToBot(ctx)) {
+        return false;
+    }
+    if (!isGroupFeatureEnabled(ctx, feature)) {
+        ctx.reply(`${GROUP_FEATURES[feature]} отключены в этом чате.`, getReplyExtra(ctx));
+        return false;
+    }
+    return true;
+}
+
+// Caption without the bot mention, so a bare "@bot" doesn't become the prompt
+function getMediaCaption(ctx) {
+    const caption = ctx.message.caption && stripBotMention(ctx, ctx.message.caption);
+    return caption || '';
+}
+
+// Entry point of the file listeners: album items wait for the rest of the album, single files go on right away
+async function receiveFile(ctx, file) {
+    const item = { ctx, file, caption: getMediaCaption(ctx) };
+    const key = getMediaGroupKey(ctx);
+    if (!key) {
+        return processFiles([item]);
+    }
+    const group = pendingMediaGroups.get(key) || { items: [] };
+    pendingMediaGroups.set(key, group);
+    group.items.push(item);
+    // Don't hold the update: the next album items may only be delivered after this handler returns
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => {
+        pendingMediaGroups.delete(key);
+        // Concurrent updates can arrive out of order
+        const items = group.items.sort((a, b) => a.ctx.message.message_id - b.ctx.message.message_id);
+        processFiles(items).catch((error) => {
+            log.error(`Ошибка при обработке альбома ${key}`, { error });
+        });
+    }, MEDIA_GROUP_WAIT_MS);
+}
+
+// Files of one message or album: into the open /batch, or straight to the model. Replies to the first message.
+async function processFiles(items) {
+    const ctx = items[0].ctx;
+    const batch = getFileBatch(ctx);
+    if (batch) {
+        return addFilesToBatch(ctx, batch, items);
+    }
+    const files = items.slice(0, MAX_FILES_PER_REQUEST).map(item => item.file);
+    if (items.length > files.length) {
+        await ctx.reply(`За один запрос я смотрю не больше ${MAX_FILES_PER_REQUEST} файлов, остальные пропущены.`, getReplyExtra(ctx));
+    }
+    const captions = items.map(item => item.caption).filter(Boolean);
+    const userPrompt = captions.join('\n') || (files.length === 1 ? files[0].defaultPrompt : MULTI_FILE_PROMPT);
+    await handleFile(ctx, files, userPrompt);
+}
+
+function addFilesToBatch(ctx, batch, items) {
+    const accepted = items.slice(0, MAX_FILES_PER_REQUEST - batch.files.length);
+    batch.files.push(...accepted.map(item => item.file));
+    batch.captions.push(...accepted.map(item => item.caption).filter(Boolean));
+    batch.expiresAt = Date.now() + FILE_BATCH_TTL_MS;
+    let text = `📎 В пакете файлов: ${batch.files.length} из ${MAX_FILES_PER_REQUEST}.`;
+    if (accepted.length < items.length) {
+        text += ` Не поместилось: ${items.length - accepted.length}.`;
+    }
+    text += ' Пришлите ещё файлы или задайте вопрос обо всех сразу. /batch cancel — отменить.';
+    return ctx.reply(text, getReplyExtra(ctx));
+}
+
+// The question that closes the user's /batch. Returns false if no batch is open and the message is an ordinary one.
+async function answerFileBatch(ctx, question) {
+    const batch = getFileBatch(ctx);
+    if (!batch) {
+        return false;
+    }
+    if (batch.files.length === 0) {
+        await ctx.reply("В пакете пока нет файлов. Пришлите их перед вопросом или отмените пакет: /batch cancel", getReplyExtra(ctx));
+        return true;
+    }
+    fileBatches.delete(getFileBatchKey(ctx));
+    await handleFile(ctx, batch.files, [...batch.captions, question].join('\n'));
+    return true;
+}
+
+// /batch - start collecting files for one question; /batch cancel - drop the collected files
+bot.command('batch', (ctx) => {
+    const key = getFileBatchKey(ctx);
+    if (['cancel', 'отмена'].includes(getCommandArgs(ctx).toLowerCase())) {
+        const cancelled = fileBatches.delete(key);
+        return ctx.reply(cancelled ? "🗑 Пакет файлов отменён." : "Пакет файлов не собирается.", getReplyExtra(ctx));
+    }
+    const batch = getFileBatch(ctx);
+    if (batch) {
+        return ctx.reply(`📎 Пакет уже собирается, файлов: ${batch.files.length} из ${MAX_FILES_PER_REQUEST}. Пришлите ещё или задайте вопрос. /batch cancel — отменить.`, getReplyExtra(ctx));
+    }
+    fileBatches.set(key, { files: [], captions: [], expiresAt: Date.now() + FILE_BATCH_TTL_MS });
+    ctx.reply(`📎 Присылайте файлы (до ${MAX_FILES_PER_REQUEST}), а затем задайте один вопрос обо всех сразу. /batch cancel — отменить.`, getReplyExtra(ctx));
+});
+
+// --- Image Generation ---
+
+// /image <prompt> draws with an image-output model (IMAGE_MODELS), /image in reply to a photo or as a photo caption edits it.
+// The prompt and the images go to the conversation's history like any other turn, so the next /image refines the last result.
+// Generated images are kept in the history as Gemini File API uploads, inline data is too big for the stored state.
+const IMAGE_CAPTION_LIMIT = 1024; // Telegram's limit for photo captions
+const IMAGE_COMMAND_PATTERN = /^\/image(?:@(\w+))?(?:\s+([\s\S]*))?$/i;
+
+// Key of the image model the conversation draws with (selected with its command, see below)
+function getImageModelKey(conversation) {
+    return conversation.imageModelKey || DEFAULT_IMAGE_MODEL_KEY;
+}
+
+// Image models take the user's generation and safety settings, but no system instruction
+function getImageModelInstance(userId, modelKey) {
+    const { generationConfig, safetySettings } = getEffectiveGenerationSettings(userId);
+    return genAI.getGenerativeModel({
+        model: IMAGE_MODELS[modelKey],
+        safetySettings,
+        generationConfig: { ...generationConfig, responseModalities: ['TEXT', 'IMAGE'] },
+    });
+}
+
+// Prompt of a photo caption like "/image make the sky pink", null if the caption isn't /image for this bot
+function getImageCaptionPrompt(ctx) {
+    const match = ctx.message.caption?.match(IMAGE_COMMAND_PATTERN);
+    if (!match || (match[1] && match[1].toLowerCase() !== ctx.botInfo.username.toLowerCase())) {
+        return null;
+    }
+    return (match[2] || '').trim();
+}
+
+// History part for a generated image: its File API upload, or a note if the upload failed
+async function storeGeneratedImage(conversation, buffer, mimeType, signal) {
+    try {
+        const upload = await uploadToFileApi(buffer, { mimeType, typeName: 'сгенерированное изображение' }, signal);
+        rememberUploadedFile(conversation, upload);
+        return { fileData: { mimeType: upload.mimeType, fileUri: upload.uri } };
+    } catch (error) {
+        log.error('Не удалось сохранить сгенерированное изображение в Gemini File API', { error });
+        return { text: '[Сгенерированное изображение, в истории не сохранилось]' };
+    }
+}
+
+// Draw an image for `prompt`, or edit `source` (an image file as returned by getReplyMedia) following it.
+// The images are sent as photos; a reply to one of them continues the conversation from it, like for text answers.
+async function handleImageRequest(ctx, prompt, source = null) {
+    const scope = getRequestScope(ctx);
+    const { userId, stateId } = scope;
+    if (Object.keys(IMAGE_MODELS).length === 0) {
+        return ctx.reply("Генерация изображений отключена в настройках бота.", getReplyExtra(ctx));
+    }
+    if (!isGroupFeatureEnabled(ctx, 'images')) {
+        return ctx.reply(`${GROUP_FEATURES.images} отключена в этом чате.`, getReplyExtra(ctx));
+    }
+    const conversationId = getUserState(stateId).activeConversationId;
+    const conversation = getConversation(stateId, conversationId);
+    const modelKey = getImageModelKey(conversation);
+    if (!isModelAllowed(userId, modelKey)) {
+        return ctx.reply(`⛔ Модель ${IMAGE_MODELS[modelKey]} недоступна для вашей роли (${ROLE_LABELS[getUserRole(userId)]}).`, getReplyExtra(ctx));
+    }
+    if (source && !isFileTypeAllowed(userId, source.mimeType)) {
+        return ctx.reply(`Извините, для вашей роли (${ROLE_LABELS[getUserRole(userId)]}) файлы типа ${source.mimeType} недоступны.`, getReplyExtra(ctx));
+    }
+    const quotaMessage = getQuotaExceededMessage(userId);
+    if (quotaMessage) {
+        log.info(`Пользователь ${userId} исчерпал лимит, запрос отклонён.`);
+        return ctx.reply(quotaMessage, getReplyExtra(ctx));
+    }
+
+    const text = formatGroupMessage(ctx, prompt);
+    dropExpiredFiles(stateId, conversationId);
+    addMessageToHistory(stateId, "user", source ? [{ text }, { text: '[Изображение для изменения]' }] : [{ text }], conversationId);
+    const historyEntry = conversation.history[conversation.history.length - 1];
+
+    let sentMessage;
+    let generation = null;
+    try {
+        sentMessage = await ctx.reply(source ? "🎨 Изменяю изображение..." : "🎨 Рисую...", { ...STOP_KEYBOARD, ...getReplyExtra(ctx) });
+        generation = startGeneration(ctx, sentMessage.message_id);
+
+        const requestContent = { role: 'user', parts: [{ text }] };
+        if (source) {
+            const { part, upload, keepInHistory } = await buildFilePart(ctx, source, generation.signal);
+            requestContent.parts.push(part);
+            if (keepInHistory) {
+                historyEntry.parts[1] = part;
+            }
+            if (upload) {
+                rememberUploadedFile(conversation, upload);
+            }
+        }
+
+        // The history is kept within the budget of the conversation's text model, as for any other request
+        const contextModelKey = getModelCandidates(conversation.currentModelKey, userId, scope.groupChatId)[0];
+        await fitHistoryToContext(scope, getConversationModel(stateId, conversation, contextModelKey), contextModelKey, requestContent, conversationId);
+        const result = await getImageModelInstance(stateId, modelKey).generateContent(
+            { contents: [...conversation.history.slice(0, -1), requestContent] }, { signal: generation.signal });
+        await recordUsage(userId, modelKey, result);
+
+        const responseParts = result.response.candidates?.[0]?.content?.parts || [];
+        const answerText = responseParts.map(part => part.text || '').join('').trim();
+        const images = responseParts.filter(part => part.inlineData?.mimeType?.startsWith('image/'));
+        if (images.length === 0) {
+            // Refusals and clarifying questions come as text only
+            if (!answerText) {
+                popFailedUserMessage(stateId, conversationId);
+            } else {
+                addMessageToHistory(stateId, "model", [{ text: answerText }], conversationId);
+                linkAnswerMessages(stateId, conversationId, [sentMessage.message_id]);
+            }
+            await ctx.telegram.editMessageText(ctx.chat.id, sentMessage.message_id, null, answerText || "Модель не вернула изображение. Попробуйте описать его иначе.");
+            return;
+        }
+
+        const caption = answerText.length > IMAGE_CAPTION_LIMIT ? `${answerText.substring(0, IMAGE_CAPTION_LIMIT - 1)}…` : answerText;
+        const photoMessageIds = [];
+        const modelParts = answerText ? [{ text: answerText }] : [];
+        for (const [index, image] of images.entries()) {
+            const buffer = Buffer.from(image.inlineData.data, 'base64');
+            const photoMessage = await ctx.replyWithPhoto({ source: buffer }, { caption: index === 0 && caption ? caption : undefined, ...getReplyExtra(ctx) });
+            photoMessageIds.push(photoMessage.message_id);
+            modelParts.push(await storeGeneratedImage(conversation, buffer, image.inlineData.mimeType, generation.signal));
+        }
+        addMessageToHistory(stateId, "model", modelParts, conversationId);
+        linkAnswerMessages(stateId, conversationId, photoMessageIds);
+        log.info(`Пользователь ${userId}: ${images.length} изображ. от модели ${IMAGE_MODELS[modelKey]}.`);
+        await ctx.telegram.deleteMessage(ctx.chat.id, sentMessage.message_id).catch((error) => {
+            log.error("Не удалось удалить сообщение о генерации изображения", { error });
+        });
+    } catch (error) {
+        const errorText = isGenerationStopped(generation, error)
+            ? "⏹ Генерация остановлена."
+            : `Не удалось ${source ? 'изменить' : 'нарисовать'} изображение. Модель: ${IMAGE_MODELS[modelKey]}. Ошибка: ${error.message || error}`;
+        if (!isGenerationStopped(generation, error)) {
+            log.error('Ошибка при генерации изображения', { error });
+        }
+        popFailedUserMessage(stateId, conversationId);
+        if (sentMessage) {
+            await ctx.telegram.editMessageText(ctx.chat.id, sentMessage.message_id, null, errorText).catch((editError) => {
+                log.error("Не удалось отредактировать сообщение для показа ошибки", { error: editError });
+            });
+        } else {
+            await ctx.reply(errorText, getReplyExtra(ctx));
+        }
+    } finally {
+        if (sentMessage) {
+            finishGeneration(ctx, sentMessage.message_id);
+        }
+    }
+}
+
+// /image <prompt> - draw; in reply to a photo (or an image file) - edit it
+bot.command('image', async (ctx) => {
+    const prompt = getCommandArgs(ctx);
+    const replied = ctx.message.reply_to_message;
+    const media = replied && getReplyMedia(replied);
+    if (!prompt) {
+        return ctx.reply("Опишите картинку после команды: /image <описание>. Чтобы изменить фото, ответьте на него командой /image <что изменить>.", getReplyExtra(ctx));
+    }
+    await handleImageRequest(ctx, prompt, media?.mimeType?.startsWith('image/') ? media : null);
+});
+
+// Image model commands, matched against the current IMAGE_MODELS like the model commands
+bot.command((command) => (IMAGE_MODELS[command] ? [command] : null), (ctx) => {
+    const userId = ctx.from.id;
+    const stateId = getStateId(ctx);
+    const modelKey = ctx.command;
+    if (!isModelAllowed(userId, modelKey)) {
+        return ctx.reply(`⛔ Модель ${IMAGE_MODELS[modelKey]} недоступна для вашей роли (${ROLE_LABELS[getUserRole(userId)]}).`);
+    }
+    getConversation(stateId).imageModelKey = modelKey;
+    saveUserState(stateId);
+    log.info(`Пользователь ${userId} выбрал модель для изображений: ${IMAGE_MODELS[modelKey]} (команда /${modelKey})`);
+    ctx.reply(`✅ Изображения в этом диалоге рисует модель: ${IMAGE_MODELS[modelKey]}`);
 });
 
-bot.command('help', (ctx) => {
-    const state = getUserState(ctx.from.id);
-    // Look up the current model ID using the stored key for display
-    const currentModelId = ALLOWED_MODELS[state.currentModelKey] || DEFAULT_MODEL_ID;
-    let helpText = `🤖 *Доступные команды:*\n\n`;
-    helpText += `/clear - Очистить историю диалога\n`;
-    helpText += `/help - Показать это сообщение\n\n`;
-    helpText += `*Выбор модели Gemini:*\n`;
-    MODEL_COMMANDS.forEach(cmd => {
-        const commandKey = cmd.substring(1); // e.g., "gemini15flash"
-        const modelId = ALLOWED_MODELS[commandKey] || 'N/A'; // Get the ID for display, fallback N/A
-        // Compare the stored key with the current command's key
-        const isCurrent = state.currentModelKey === commandKey;
-        helpText += `${cmd} - Переключиться на модель ${modelId}${isCurrent ? ' *(текущая)*' : ''}\n`;
-    });
-    helpText += `\nТекущая модель: *${currentModelId}*`; // Display the ID
+// --- Voice Messages ---
 
-    ctx.replyWithMarkdown(helpText);
+// Voice settings of a state (the user's, or the group's shared one), stored as `voice` next to `generation`:
+// { replies: also send answers as voice messages (/voice), transcribe: show voice notes as text before answering (/transcribe) }
+const TRANSCRIBE_PROMPT = 'Дословно расшифруй речь из этого аудио. Ответь только текстом расшифровки, без пояснений и комментариев. Если речи нет, ответь пустой строкой.';
+// Instead of the conversation's persona and settings, which are meant for answers, not for a verbatim transcript
+const TRANSCRIBE_MODEL_OPTIONS = {
+    systemInstruction: 'Ты расшифровываешь голосовые сообщения в текст.',
+    generationConfig: { temperature: 0 },
+};
+
+function getVoiceSettings(stateId) {
+    return getUserState(stateId).voice || {};
+}
+
+function setVoiceSetting(stateId, key, enabled) {
+    const state = getUserState(stateId);
+    state.voice = { ...state.voice, [key]: enabled };
+    saveUserState(stateId);
+}
+
+// In voice mode, read the final answer out as a voice message replying to it. Failures only cost the voice message.
+async function sendVoiceAnswer(ctx, answerText, answerMessageId) {
+    if (!getVoiceSettings(getStateId(ctx)).replies) {
+        return;
+    }
+    const text = getSpeechText(answerText);
+    if (!text) {
+        return;
+    }
+    try {
+        await ctx.sendChatAction('record_voice');
+        const audio = await ttsEngine.synthesize(text);
+        await ctx.replyWithVoice({ source: audio, filename: 'answer.ogg' }, {
+            reply_parameters: { message_id: answerMessageId, allow_sending_without_reply: true },
+        });
+        log.info(`Ответ ${answerMessageId} озвучен (${ttsEngine.name}, ${text.length} символов).`);
+    } catch (error) {
+        log.error(`Не удалось озвучить ответ ${answerMessageId}`, { error });
+        await ctx.reply(`🔇 Не удалось озвучить ответ: ${error.message || error}`, {
+            reply_parameters: { message_id: answerMessageId, allow_sending_without_reply: true },
+        }).catch(() => {});
+    }
+}
+
+// Transcript mode: the voice note is transcribed verbatim, shown to the user, and then answered like a text message,
+// so the history keeps the transcript instead of the audio
+async function transcribeVoiceMessage(ctx, file) {
+    const scope = getRequestScope(ctx);
+    const { userId, stateId } = scope;
+    if (!isFileTypeAllowed(userId, file.mimeType)) {
+        return ctx.reply(`Извините, для вашей роли (${ROLE_LABELS[getUserRole(userId)]}) файлы типа ${file.mimeType} недоступны.`, getReplyExtra(ctx));
+    }
+    const quotaMessage = getQuotaExceededMessage(userId);
+    if (quotaMessage) {
+        log.info(`Пользователь ${userId} исчерпал лимит, запрос отклонён.`);
+        return ctx.reply(quotaMessage, getReplyExtra(ctx));
+    }
+
+    let transcript;
+    try {
+        await ctx.sendChatAction('typing');
+        const { part } = await buildFilePart(ctx, file);
+        const { result, modelKey } = await generateWithFallback(scope, getConversation(stateId), null,
+            (model) => model.generateContent([{ text: TRANSCRIBE_PROMPT }, part]), TRANSCRIBE_MODEL_OPTIONS);
+        // The answer to the transcript is the request, the transcription only adds its tokens
+        await recordUsage(userId, modelKey, result, { countRequest: false });
+        transcript = result.response.text().trim();
+    } catch (error) {
+        log.error(`Не удалось расшифровать голосовое сообщение пользователя ${userId}`, { error });
+        return ctx.reply(`Не удалось расшифровать голосовое сообщение: ${error.message || error}`, getReplyExtra(ctx));
+    }
+    if (!transcript) {
+        return ctx.reply("Не удалось разобрать речь в голосовом сообщении.", getReplyExtra(ctx));
+    }
+
+    const shown = `📝 ${transcript}`;
+    await ctx.reply(shown.length > TELEGRAM_MESSAGE_LIMIT ? `${shown.substring(0, TELEGRAM_MESSAGE_LIMIT - 1)}…` : shown, getReplyExtra(ctx));
+    const caption = getMediaCaption(ctx);
+    await handleTextMessage(ctx, caption ? `${caption}\n${transcript}` : transcript);
+}
+
+// Toggle commands: "/voice" flips the setting, "/voice on|off" sets it
+function parseToggleArg(ctx, current) {
+    const arg = getCommandArgs(ctx).toLowerCase();
+    if (['on', 'вкл'].includes(arg)) {
+        return true;
+    }
+    if (['off', 'выкл'].includes(arg)) {
+        return false;
+    }
+    return arg ? null : !current;
+}
+
+bot.command('voice', (ctx) => {
+    const stateId = getStateId(ctx);
+    const enabled = parseToggleArg(ctx, Boolean(getVoiceSettings(stateId).replies));
+    if (enabled === null) {
+        return ctx.reply("Использование: /voice [on | off]");
+    }
+    setVoiceSetting(stateId, 'replies', enabled);
+    ctx.reply(enabled
+        ? "🔊 Голосовые ответы включены: каждый ответ придёт ещё и голосовым сообщением. /voice off — выключить."
+        : "🔇 Голосовые ответы выключены.");
 });
 
-// --- Model Switching Commands ---
-MODEL_COMMANDS.forEach(command => {
-    const commandKey = command.substring(1); // Get the key like "gemini15flash"
-    bot.command(commandKey, (ctx) => { // Register the command using the key
-        const userId = ctx.from.id;
-        const chosenModelId = setUserModel(userId, commandKey); // Pass the key directly
-        if (chosenModelId) {
-            ctx.reply(`✅ Модель успешно переключена на: ${chosenModelId}`);
+bot.command('transcribe', (ctx) => {
+    const stateId = getStateId(ctx);
+    const enabled = parseToggleArg(ctx, Boolean(getVoiceSettings(stateId).transcribe));
+    if (enabled === null) {
+        return ctx.reply("Использование: /transcribe [on | off]");
+    }
+    setVoiceSetting(stateId, 'transcribe', enabled);
+    ctx.reply(enabled
+        ? "📝 Расшифровка включена: голосовые сообщения сначала переводятся в текст, и я отвечаю на расшифровку. /transcribe off — выключить."
+        : "Расшифровка выключена: голосовые сообщения снова отправляются модели как аудио.");
+});
+
+// --- Inline Mode ---
+
+// "@bot question" in any chat: the answer of the user's current model, plus the answers of a few other models
+// the user may use, to choose from. Inline mode has to be enabled for the bot in @BotFather (/setinline).
+// Inline answers neither read nor change the conversation history: they are one-off questions asked in other chats.
+const INLINE_DEBOUNCE_MS = 800; // Telegram sends a query on every keystroke, only the last one gets an answer
+const INLINE_TIMEOUT_MS = 8000; // An inline query can only be answered for a few seconds
+const INLINE_ALTERNATIVES = 2; // Other models asked besides the current one
+const INLINE_MIN_QUERY_LENGTH = 3;
+const INLINE_CACHE_TTL_MS = 10 * 60 * 1000;
+const INLINE_CACHE_SIZE = 500;
+const INLINE_SYSTEM_INSTRUCTION = 'Ответ будет вставлен в переписку в другом чате. Отвечай по существу и кратко, без вступлений.';
+
+// Map<userId, timer> of queries waiting out the debounce
+const pendingInlineQueries = new Map();
+// Map<"modelKey:settings:query", { text, expiresAt }>, in insertion order, so the oldest entry goes first when
+// it's full. Answers don't use the persona or history, only the generation and safety settings, so users with
+// the same settings share them.
+const inlineAnswerCache = new Map();
+
+async function getInlineAnswer(userId, modelKey, query) {
+    const settings = getEffectiveGenerationSettings(userId);
+    const cacheKey = `${modelKey}:${JSON.stringify(settings)}:${query}`;
+    const cached = inlineAnswerCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.text;
+    }
+    const model = getModelInstance(modelKey, { systemInstruction: INLINE_SYSTEM_INSTRUCTION, ...settings });
+    const result = await model.generateContent({ contents: [{ role: 'user', parts: [{ text: query }] }] },
+        { signal: AbortSignal.timeout(INLINE_TIMEOUT_MS) });
+    await recordUsage(userId, modelKey, result);
+    const text = result.response.text().trim();
+    if (!text) {
+        throw new Error('пустой ответ модели');
+    }
+    inlineAnswerCache.delete(cacheKey);
+    inlineAnswerCache.set(cacheKey, { text, expiresAt: Date.now() + INLINE_CACHE_TTL_MS });
+    if (inlineAnswerCache.size > INLINE_CACHE_SIZE) {
+        inlineAnswerCache.delete(inlineAnswerCache.keys().next().value);
+    }
+    return text;
+}
+
+// InlineQueryResultArticle with the answer as the message to send. Longer answers are cut to one message.
+function buildInlineArticle(modelKey, text, isCurrent) {
+    const [html, ...rest] = renderTelegramMessages(text, TELEGRAM_MESSAGE_LIMIT - 2);
+    const description = htmlToPlainText(html).replace(/\s+/g, ' ').trim();
+    return {
+        type: 'article',
+        id: crypto.createHash('sha1').update(`${modelKey}:${text}`).digest('hex'),
+        title: isCurrent ? `✨ ${ALLOWED_MODELS[modelKey]}` : `Вариант: ${ALLOWED_MODELS[modelKey]}`,
+        description: description.length > 100 ? `${description.substring(0, 99)}…` : description,
+        input_message_content: {
+            message_text: rest.length > 0 ? `${html}\n…` : html,
+            parse_mode: 'HTML',
+            link_preview_options: { is_disabled: true },
+        },
+    };
+}
+
+// Without results Telegram shows the button above the (empty) list: hints and errors go there
+function answerInlineWithNote(ctx, text) {
+    return ctx.answerInlineQuery([], { cache_time: 0, is_personal: true, button: { text, start_parameter: 'inline' } });
+}
+
+async function answerInlineQuery(ctx) {
+    const userId = ctx.from.id;
+    const query = ctx.inlineQuery.query.trim();
+    if (getQuotaExceededMessage(userId)) {
+        return answerInlineWithNote(ctx, '⛔ Лимит запросов исчерпан, подробности в /usage');
+    }
+    const modelKey = getModelCandidates(getConversation(userId).currentModelKey, userId)[0];
+    if (!modelKey) {
+        return answerInlineWithNote(ctx, '⛔ Для вашей роли нет доступных моделей');
+    }
+    const alternatives = getAllowedModelKeys(userId)
+        .filter(key => key !== modelKey && isModelAvailable(key))
+        .slice(0, INLINE_ALTERNATIVES);
+    const modelKeys = [modelKey, ...alternatives];
+
+    const answers = await Promise.allSettled(modelKeys.map(key => getInlineAnswer(userId, key, query)));
+    const results = [];
+    answers.forEach((answer, index) => {
+        if (answer.status === 'fulfilled') {
+            results.push(buildInlineArticle(modelKeys[index], answer.value, index === 0));
         } else {
-             // Error trying to set the model (e.g., invalid ID from getModelInstance check)
-             const failedModelIdAttempt = ALLOWED_MODELS[commandKey] || commandKey; // Show what was attempted
-             ctx.reply(`⚠️ Не удалось переключиться на модель с ID "${failedModelIdAttempt}". Проверьте доступность модели или API ключ. Возвращаемся к ${DEFAULT_MODEL_ID}.`);
-             // Revert to default if setting failed
-             try {
-                const state = getUserState(userId);
-                state.currentModelKey = DEFAULT_MODEL_KEY;
-             } catch (stateError) {
-                console.error("Error reverting state to default after failed model switch:", stateError);
-             }
+            log.warn(`Инлайн-запрос пользователя ${userId}: модель ${ALLOWED_MODELS[modelKeys[index]]} не ответила (${answer.reason?.message || answer.reason}).`);
         }
     });
+    if (results.length === 0) {
+        return answerInlineWithNote(ctx, '⚠️ Модели не ответили, попробуйте ещё раз');
+    }
+    log.info(`Инлайн-запрос пользователя ${userId}: вариантов ответа ${results.length}.`);
+    // Our own cache already saves repeated requests, Telegram's would keep stale answers
+    await ctx.answerInlineQuery(results, { cache_time: 0, is_personal: true });
+}
+
+bot.on('inline_query', async (ctx) => {
+    const userId = ctx.from.id;
+    clearTimeout(pendingInlineQueries.get(userId));
+    pendingInlineQueries.delete(userId);
+    if (ctx.inlineQuery.query.trim().length < INLINE_MIN_QUERY_LENGTH) {
+        return answerInlineWithNote(ctx, '✍️ Напишите вопрос для Gemini');
+    }
+    // Don't hold the update: the next keystrokes are only delivered after this handler returns
+    pendingInlineQueries.set(userId, setTimeout(() => {
+        pendingInlineQueries.delete(userId);
+        answerInlineQuery(ctx).catch((error) => {
+            log.error(`Не удалось ответить на инлайн-запрос пользователя ${userId}`, { error });
+        });
+    }, INLINE_DEBOUNCE_MS));
 });
 
+// --- Scheduled Jobs ---
 
-// --- Streaming Function ---
-async function streamAndEditResponse(ctx, stream, initialMessageId) {
-    let fullResponseText = '';
-    let lastSentText = '...'; // Text in the sent message placeholder
-    let editTimeoutId = null;
-    let lastEditTime = 0;
-    let editAttemptScheduled = false; // Flag to track if an edit is pending
-
-    const editMessage = async (textToEdit) => {
-        editAttemptScheduled = false; // Mark attempt as happening/done
-        const cleanText = textToEdit.trim();
-        // Only edit if clean text is not empty and differs from the last sent text
-        if (cleanText && cleanText !== lastSentText) {
-            try {
-                await ctx.telegram.editMessageText(ctx.chat.id, initialMessageId, null, cleanText);
-                lastSentText = cleanText; // Update last sent text on success
-                lastEditTime = Date.now();
-                console.log(`Сообщение ${initialMessageId} отредактировано.`);
-            } catch (error) {
-                if (error.response && error.response.error_code === 429) {
-                    console.warn(`Ошибка 429 (Too Many Requests) при редактировании сообщения ${initialMessageId}. Текст будет обновлен позже.`);
-                    // Don't update lastSentText, let the next attempt send the fuller text
-                    // Reschedule the edit slightly later? Or rely on the next chunk/final edit.
-                    // For now, we'll rely on the next chunk triggering a new attempt.
-                    editAttemptScheduled = true; // Indicate we need to try again
-                } else if (error.message.includes('message is not modified')) {
-                     console.warn(`Сообщение ${initialMessageId} не изменено (API 400), пропуск редактирования.`);
-                     lastSentText = cleanText; // Assume it's sent to avoid re-trying the same text
-                     lastEditTime = Date.now();
-                } else if (error.message.includes('message to edit not found')) {
-                    console.error(`Сообщение ${initialMessageId} для редактирования не найдено (возможно, удалено). Прекращение редактирования.`);
-                    throw error; // Propagate error to stop the streaming loop for this message
-                } else {
-                    console.error(`Неизвестная ошибка при редактировании сообщения ${initialMessageId}:`, error);
-                    // Log error but potentially allow further edits
-                }
-            }
+// Questions the bot asks the model on a schedule, posting the fresh answer to the chat (and forum topic) they were made in:
+// /remind - once (in 2 hours, at 18:30, tomorrow at 9:00), /every - again and again (every weekday at 09:00, every 6 hours).
+// A job runs as its owner: their access, role, quotas and usage, on the model the conversation had when the job was made.
+// It is a one-off question: the conversation history is neither sent nor changed.
+// Times of day are in the owner's time zone (/timezone), kept in the user state as `timezone`.
+// Jobs are persisted under JOBS_KEY: { nextId: number, jobs: { [id]: Job } }
+// Job: { id, userId, chatId, threadId?, stateId, prompt, schedule, modelKey, nextRunAt, createdAt, lastRunAt? }
+// schedule: { kind: 'once' } | { kind: 'interval', intervalMs } | { kind: 'daily', days: [1-7, Monday is 1], hour, minute }
+const JOBS_KEY = 'jobs';
+const JOB_CHECK_INTERVAL_MS = 30 * 1000;
+const JOB_TIMEOUT_MS = 2 * 60 * 1000; // A hung request must not hold the jobs after it
+const MIN_JOB_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_JOBS_PER_USER = 20; // Admins aren't limited
+const MAX_JOB_PROMPT_LENGTH = 2000;
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const ALL_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+const WEEKDAY_NAMES = { 1: 'пн', 2: 'вт', 3: 'ср', 4: 'чт', 5: 'пт', 6: 'сб', 7: 'вс' };
+const WEEKDAY_ALIASES = {
+    пн: 1, вт: 2, ср: 3, чт: 4, пт: 5, сб: 6, вс: 7,
+    mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7,
+};
+const WEEKDAY_SETS = {
+    ежедневно: ALL_WEEKDAYS, день: ALL_WEEKDAYS, daily: ALL_WEEKDAYS, day: ALL_WEEKDAYS,
+    будни: [1, 2, 3, 4, 5], weekdays: [1, 2, 3, 4, 5], weekday: [1, 2, 3, 4, 5],
+    выходные: [6, 7], weekend: [6, 7], weekends: [6, 7],
+};
+// Units of "30м", "2ч", "1ч30м", and of "2 часа", "15 минут" written as two words
+const DURATION_UNIT_NAMES = {
+    [60 * 1000]: ['м', 'мин', 'минуту', 'минуты', 'минут', 'm', 'min', 'minute', 'minutes'],
+    [60 * 60 * 1000]: ['ч', 'час', 'часа', 'часов', 'h', 'hour', 'hours'],
+    [24 * 60 * 60 * 1000]: ['д', 'день', 'дня', 'дней', 'd', 'day', 'days'],
+    [7 * 24 * 60 * 60 * 1000]: ['н', 'нед', 'неделю', 'недели', 'недель', 'w', 'week', 'weeks'],
+};
+const DURATION_UNITS = Object.fromEntries(Object.entries(DURATION_UNIT_NAMES)
+    .flatMap(([size, names]) => names.map(name => [name, Number(size)])));
+const REMIND_USAGE = 'Использование: /remind <когда> <вопрос>\n' +
+    'Когда: через 2 часа (или 30м, 1д, 1ч30м), 18:30, завтра 9:00, 25.12 10:00 или 2025-12-25 10:00.\n' +
+    'Пример: /remind 2ч Какие последние новости о запуске Starship?';
+const EVERY_USAGE = 'Использование: /every <расписание> <вопрос>\n' +
+    'Расписание: 09:00 (каждый день), будни 09:00, выходные 10:00, пн,ср,пт 18:00, пн-пт 8:30 или 6ч (каждые 6 часов, не чаще раза в 15 минут).\n' +
+    'Пример: /every будни 09:00 Кратко перескажи главные новости технологий за сутки';
+
+let scheduledJobs = { nextId: 1, jobs: {} };
+let jobTimer = null;
+let isRunningJobs = false;
+
+function normalizeJobs(stored) {
+    return { nextId: stored?.nextId || 1, jobs: { ...stored?.jobs } };
+}
+
+async function loadJobs() {
+    scheduledJobs = normalizeJobs(await storage.get(JOBS_KEY));
+}
+
+// Like changeAccessControl: `change(doc)` runs on the latest stored jobs, so ids handed out, cancellations and runs
+// claimed on other instances aren't overwritten. Resolves to what `change` returned, rejects if the storage fails.
+async function changeJobs(change) {
+    let result;
+    scheduledJobs = await storage.update(JOBS_KEY, (stored) => {
+        const doc = normalizeJobs(stored);
+        result = change(doc);
+        return doc;
+    });
+    return result;
+}
+
+await loadJobs();
+
+// With shared storage another instance may have changed the jobs since the last check of runDueJobs,
+// so the commands read them again before showing them
+async function refreshSharedJobs() {
+    if (storage.shared) {
+        await loadJobs();
+    }
+}
+
+// Canonical name of an IANA time zone ("europe/moscow" -> "Europe/Moscow"), null if Intl doesn't know it
+function resolveTimeZone(name) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+function getUserTimezone(userId) {
+    return getUserState(userId).timezone || DEFAULT_TIMEZONE;
+}
+
+// Wall-clock date and time of an instant in a time zone
+function getZonedParts(time, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }).formatToParts(time).map(part => [part.type, Number(part.value)]));
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// Instant of a wall-clock time in a time zone. Days past the end of the month roll over (Date.UTC does that),
+// a time skipped by a daylight saving jump moves forward by the jump.
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+    const wallTime = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (time) => {
+        const parts = getZonedParts(time, timeZone);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+    };
+    // The offset at the wall time read as UTC is off by a day at most, the second pass settles it
+    return wallTime - offsetAt(wallTime - offsetAt(wallTime));
+}
+
+// "2ч", "30m", "1ч30м" -> milliseconds, null if it isn't a duration
+function parseDuration(word) {
+    const text = word.toLowerCase();
+    if (!/^(\d+[a-zа-яё]+)+$/.test(text)) {
+        return null;
+    }
+    let total = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+)([a-zа-яё]+)/g)) {
+        if (!DURATION_UNITS[unit]) {
+            return null;
+        }
+        total += Number(amount) * DURATION_UNITS[unit];
+    }
+    return total > 0 ? total : null;
+}
+
+// A duration at words[index], as one word ("2ч") or two ("2 часа"): { ms, used }, null if there is none
+function parseDurationWords(words, index) {
+    const single = parseDuration(words[index] || '');
+    if (single) {
+        return { ms: single, used: 1 };
+    }
+    const double = /^\d+$/.test(words[index] || '') ? parseDuration(`${words[index]}${words[index + 1] || ''}`) : null;
+    return double ? { ms: double, used: 2 } : null;
+}
+
+// "9:00", "18:30" -> { hour, minute }
+function parseTimeOfDay(word) {
+    const match = word.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+// "2025-12-25", "25.12", "25.12.2025" -> { year, month, day }; the year defaults to the current one in the zone
+function parseCalendarDate(word, timeZone) {
+    let match = word.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let date = match && { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+    if (!date) {
+        match = word.match(/^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?$/);
+        date = match && {
+            year: match[3] ? Number(match[3]) : getZonedParts(Date.now(), timeZone).year,
+            month: Number(match[2]),
+            day: Number(match[1]),
+        };
+    }
+    if (!date) {
+        return null;
+    }
+    // 31.02 would silently become 3 March
+    const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+    return check.getUTCMonth() === date.month - 1 && check.getUTCDate() === date.day ? date : null;
+}
+
+// "пн,ср,пт", "пн-пт", "будни" -> ISO weekdays, null if it isn't a set of days
+function parseWeekdays(word) {
+    const text = word.toLowerCase();
+    if (WEEKDAY_SETS[text]) {
+        return WEEKDAY_SETS[text];
+    }
+    const days = new Set();
+    for (const item of text.split(',')) {
+        const [first, last = first] = item.split('-').map(name => WEEKDAY_ALIASES[name]);
+        if (!first || !last || first > last) {
+            return null;
+        }
+        for (let day = first; day <= last; day++) {
+            days.add(day);
+        }
+    }
+    return [...days].sort((a, b) => a - b);
+}
+
+// When of /remind: { runAt, used } with the number of words it took, null if the words don't start with a time
+function parseReminderTime(words, timeZone, now = Date.now()) {
+    let used = 0;
+    if (['через', 'in'].includes(words[0]?.toLowerCase())) {
+        used++;
+    }
+    const duration = parseDurationWords(words, used);
+    if (duration) {
+        return { runAt: now + duration.ms, used: used + duration.used };
+    }
+    const today = getZonedParts(now, timeZone);
+    let date = { year: today.year, month: today.month, day: today.day };
+    let dateGiven = true;
+    const first = words[used]?.toLowerCase() || '';
+    if (first === 'завтра' || first === 'tomorrow') {
+        date.day++;
+        used++;
+    } else if (parseCalendarDate(first, timeZone)) {
+        date = parseCalendarDate(first, timeZone);
+        used++;
+    } else {
+        dateGiven = false;
+    }
+    const time = parseTimeOfDay(words[used] || '');
+    if (!time) {
+        return null;
+    }
+    let runAt = zonedTimeToUtc({ ...date, ...time }, timeZone);
+    if (!dateGiven && runAt <= now) {
+        runAt = zonedTimeToUtc({ ...date, day: date.day + 1, ...time }, timeZone); // 9:00 when it's already 10:00 means tomorrow
+    }
+    return { runAt, used: used + 1 };
+}
+
+// Schedule of /every: { schedule, used }, null if the words don't start with one
+function parseEverySchedule(words) {
+    const interval = parseDurationWords(words, 0);
+    if (interval) {
+        return { schedule: { kind: 'interval', intervalMs: interval.ms }, used: interval.used };
+    }
+    const days = parseWeekdays(words[0] || '');
+    const used = days ? 1 : 0;
+    const time = parseTimeOfDay(words[used] || '');
+    if (!time) {
+        return null;
+    }
+    return { schedule: { kind: 'daily', days: days || ALL_WEEKDAYS, ...time }, used: used + 1 };
+}
+
+// The next time of a daily schedule after `after`, in the given zone
+function getNextDailyRun(schedule, timeZone, after) {
+    const today = getZonedParts(after, timeZone);
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (!schedule.days.includes(date.getUTCDay() || 7)) {
+            continue;
+        }
+        const runAt = zonedTimeToUtc({
+            year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), hour: schedule.hour, minute: schedule.minute,
+        }, timeZone);
+        if (runAt > after) {
+            return runAt;
         }
-        // Only clear timeout ID if the edit wasn't rate-limited and needs rescheduling
-        if (!editAttemptScheduled) {
-            editTimeoutId = null;
+    }
+    return null;
+}
+
+// When the job runs after the run due at job.nextRunAt, null for one-off jobs.
+// Runs missed while the bot was down are not repeated: the job runs once and goes on from now.
+function getFollowingRun(job, now = Date.now()) {
+    if (job.schedule.kind === 'interval') {
+        const next = job.nextRunAt + job.schedule.intervalMs;
+        return next > now ? next : now + job.schedule.intervalMs;
+    }
+    if (job.schedule.kind === 'daily') {
+        return getNextDailyRun(job.schedule, getUserTimezone(job.userId), now);
+    }
+    return null;
+}
+
+// "2 ч 30 мин"
+function formatDuration(ms) {
+    const units = [['д', 24 * 60 * 60 * 1000], ['ч', 60 * 60 * 1000], ['мин', 60 * 1000]];
+    const parts = [];
+    let rest = ms;
+    for (const [label, size] of units) {
+        if (rest >= size) {
+            parts.push(`${Math.floor(rest / size)} ${label}`);
+            rest %= size;
+        }
+    }
+    return parts.join(' ') || '0 мин';
+}
+
+function describeSchedule(schedule) {
+    if (schedule.kind === 'interval') {
+        return `каждые ${formatDuration(schedule.intervalMs)}`;
+    }
+    if (schedule.kind === 'daily') {
+        const days = schedule.days.join(',');
+        const dayText = { '1,2,3,4,5,6,7': 'каждый день', '1,2,3,4,5': 'по будням', '6,7': 'по выходным' }[days] ||
+            schedule.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+        return `${dayText} в ${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`;
+    }
+    return 'однократно';
+}
+
+// "пн, 20 октября, 09:00" in the zone
+function formatJobTime(time, timeZone) {
+    return new Date(time).toLocaleString('ru-RU', { timeZone, weekday: 'short', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+}
+
+function shortenJobPrompt(prompt, length = 80) {
+    const text = prompt.replace(/\s+/g, ' ');
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+// Jobs posting to the chat, the next to run first
+function getChatJobs(chatId) {
+    return Object.values(scheduledJobs.jobs).filter(job => job.chatId === chatId).sort((a, b) => a.nextRunAt - b.nextRunAt);
+}
+
+// Text and cancel buttons of /jobs, times in the zone of the user looking at them
+function buildJobsMessage(chatId, userId) {
+    const jobs = getChatJobs(chatId);
+    if (jobs.length === 0) {
+        return { text: '🗓 Заданий по расписанию в этом чате нет. Создать: /remind или /every.', keyboard: Markup.inlineKeyboard([]) };
+    }
+    const timeZone = getUserTimezone(userId);
+    const lines = jobs.map(job =>
+        `№${job.id} · ${describeSchedule(job.schedule)} · ${ALLOWED_MODELS[job.modelKey] || DEFAULT_MODEL_ID}\n` +
+        `   Следующий запуск: ${formatJobTime(job.nextRunAt, timeZone)}\n` +
+        `   ${shortenJobPrompt(job.prompt)}`);
+    const buttons = jobs.map(job => Markup.button.callback(`❌ №${job.id}`, `job_cancel:${job.id}`));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 4) {
+        rows.push(buttons.slice(i, i + 4));
+    }
+    return {
+        text: `🗓 Задания по расписанию (время: ${timeZone}):\n\n${lines.join('\n\n')}\n\nКнопки ниже отменяют задания.`,
+        keyboard: Markup.inlineKeyboard(rows),
+    };
+}
+
+// Words at the start of the arguments taken by the schedule are cut off, the rest (line breaks included) is the question
+function dropWords(text, count) {
+    let rest = text;
+    for (let i = 0; i < count; i++) {
+        rest = rest.replace(/^\S+\s*/, '');
+    }
+    return rest.trim();
+}
+
+// Common part of /remind and /every: check the question and the user's limit, save the job and confirm it
+async function createJob(ctx, schedule, nextRunAt, prompt, usage) {
+    const userId = ctx.from.id;
+    if (!prompt) {
+        return ctx.reply(usage, getReplyExtra(ctx));
+    }
+    if (prompt.length > MAX_JOB_PROMPT_LENGTH) {
+        return ctx.reply(`Вопрос слишком длинный (${prompt.length} символов), максимум ${MAX_JOB_PROMPT_LENGTH}.`, getReplyExtra(ctx));
+    }
+    const stateId = getStateId(ctx);
+    let ownJobs = 0;
+    let job;
+    try {
+        // The limit is checked and the id taken on the stored jobs, in the same change that adds the job
+        job = await changeJobs((doc) => {
+            ownJobs = Object.values(doc.jobs).filter(item => item.userId === userId).length;
+            if (ownJobs >= MAX_JOBS_PER_USER && !isAdmin(userId)) {
+                return null;
+            }
+            const created = {
+                id: doc.nextId++,
+                userId,
+                chatId: ctx.chat.id,
+                stateId,
+                prompt,
+                schedule,
+                modelKey: getConversation(stateId).currentModelKey,
+                nextRunAt,
+                createdAt: Date.now(),
+            };
+            if (ctx.message?.is_topic_message) {
+                created.threadId = ctx.message.message_thread_id;
+            }
+            doc.jobs[created.id] = created;
+            return created;
+        });
+    } catch (error) {
+        log.error('Не удалось сохранить задание по расписанию', { error });
+        return ctx.reply(`⚠️ Задание не создано: ${error.message || error}. Попробуйте ещё раз.`, getReplyExtra(ctx));
+    }
+    if (!job) {
+        return ctx.reply(`У вас уже ${ownJobs} заданий, больше ${MAX_JOBS_PER_USER} создать нельзя. Отменить лишние — /jobs.`, getReplyExtra(ctx));
+    }
+    log.info(`Пользователь ${userId} создал задание №${job.id} в чате ${job.chatId}: ${describeSchedule(schedule)}, первый запуск ${new Date(nextRunAt).toISOString()}.`);
+    const timeZone = getUserTimezone(userId);
+    await ctx.reply(`✅ Задание №${job.id} создано: ${describeSchedule(schedule)}.\n` +
+        `Запуск: ${formatJobTime(nextRunAt, timeZone)} (${timeZone}), модель ${ALLOWED_MODELS[job.modelKey] || DEFAULT_MODEL_ID}.\n` +
+        `Список и отмена — /jobs, часовой пояс — /timezone.`, getReplyExtra(ctx));
+}
+
+// /remind <when> <question> - ask once later
+bot.command('remind', async (ctx) => {
+    const args = getCommandArgs(ctx);
+    const parsed = args ? parseReminderTime(args.split(/\s+/), getUserTimezone(ctx.from.id)) : null;
+    if (!parsed) {
+        return ctx.reply(REMIND_USAGE, getReplyExtra(ctx));
+    }
+    if (parsed.runAt <= Date.now()) {
+        return ctx.reply('Это время уже прошло. Укажите время в будущем.', getReplyExtra(ctx));
+    }
+    await createJob(ctx, { kind: 'once' }, parsed.runAt, dropWords(args, parsed.used), REMIND_USAGE);
+});
+
+// /every <schedule> <question> - ask on a schedule
+bot.command('every', async (ctx) => {
+    const args = getCommandArgs(ctx);
+    const parsed = args ? parseEverySchedule(args.split(/\s+/)) : null;
+    if (!parsed) {
+        return ctx.reply(EVERY_USAGE, getReplyExtra(ctx));
+    }
+    const { schedule } = parsed;
+    if (schedule.kind === 'interval' && schedule.intervalMs < MIN_JOB_INTERVAL_MS) {
+        return ctx.reply(`Слишком часто: задания можно запускать не чаще раза в ${formatDuration(MIN_JOB_INTERVAL_MS)}.`, getReplyExtra(ctx));
+    }
+    const now = Date.now();
+    const nextRunAt = schedule.kind === 'interval'
+        ? now + schedule.intervalMs
+        : getNextDailyRun(schedule, getUserTimezone(ctx.from.id), now);
+    await createJob(ctx, schedule, nextRunAt, dropWords(args, parsed.used), EVERY_USAGE);
+});
+
+// /jobs - the jobs of this chat, with buttons to cancel them
+bot.command('jobs', async (ctx) => {
+    await refreshSharedJobs();
+    const { text, keyboard } = buildJobsMessage(ctx.chat.id, ctx.from.id);
+    return ctx.reply(text, { ...keyboard, ...getReplyExtra(ctx) });
+});
+
+// Only the owner of a job cancels it, in groups chat admins too
+bot.action(/^job_cancel:(\d+)$/, async (ctx) => {
+    await refreshSharedJobs();
+    const job = scheduledJobs.jobs[ctx.match[1]];
+    if (!job || job.chatId !== ctx.chat.id) {
+        return ctx.answerCbQuery('Этого задания уже нет.');
+    }
+    if (job.userId !== ctx.from.id && !(isGroupChat(ctx) ? await isGroupAdmin(ctx) : isAdmin(ctx.from.id))) {
+        return ctx.answerCbQuery('Отменить задание может его автор или администратор группы.', { show_alert: true });
+    }
+    let cancelled;
+    try {
+        cancelled = await changeJobs((doc) => {
+            const exists = Boolean(doc.jobs[job.id]);
+            delete doc.jobs[job.id];
+            return exists;
+        });
+    } catch (error) {
+        log.error(`Не удалось отменить задание №${job.id}`, { error });
+        return ctx.answerCbQuery(`⚠️ Задание не отменено: ${error.message || error}`, { show_alert: true });
+    }
+    if (!cancelled) {
+        return ctx.answerCbQuery('Этого задания уже нет.'); // Cancelled on another instance meanwhile
+    }
+    log.info(`Пользователь ${ctx.from.id} отменил задание №${job.id} пользователя ${job.userId}.`);
+    await ctx.answerCbQuery(`Задание №${job.id} отменено`);
+    const { text, keyboard } = buildJobsMessage(ctx.chat.id, ctx.from.id);
+    await ctx.editMessageText(text, keyboard).catch((error) => {
+        log.error('Не удалось обновить список заданий', { error });
+    });
+});
+
+// /timezone [IANA zone | reset] - the zone of the user's times of day (/remind, /every) and of get_current_time
+bot.command('timezone', async (ctx) => {
+    const userId = ctx.from.id;
+    const state = getUserState(userId);
+    const arg = getCommandArgs(ctx);
+    if (!arg) {
+        const timeZone = getUserTimezone(userId);
+        return ctx.reply(`🕒 Ваш часовой пояс: ${timeZone}${state.timezone ? '' : ' (по умолчанию)'}, сейчас ${formatJobTime(Date.now(), timeZone)}.\n` +
+            'Изменить: /timezone Europe/Moscow (пояса IANA: Asia/Almaty, America/New_York, UTC...), сбросить: /timezone reset', getReplyExtra(ctx));
+    }
+    if (arg.toLowerCase() === 'reset') {
+        delete state.timezone;
+    } else {
+        const timeZone = resolveTimeZone(arg);
+        if (!timeZone) {
+            return ctx.reply(`Неизвестный часовой пояс "${arg}". Укажите пояс IANA, например Europe/Moscow или Asia/Yekaterinburg.`, getReplyExtra(ctx));
         }
-    };
+        state.timezone = timeZone;
+    }
+    saveUserState(userId);
 
+    // Jobs at a time of day follow the new zone, one-off reminders keep their moment
+    const now = Date.now();
+    const timeZone = getUserTimezone(userId);
+    log.info(`Пользователь ${userId} сменил часовой пояс на ${timeZone}.`);
+    let movedJobs;
     try {
-        for await (const chunk of stream) {
-            const chunkText = chunk.text();
-            if (chunkText) {
-                fullResponseText += chunkText;
+        movedJobs = await changeJobs((doc) => {
+            const dailyJobs = Object.values(doc.jobs).filter(job => job.userId === userId && job.schedule.kind === 'daily');
+            for (const job of dailyJobs) {
+                job.nextRunAt = getNextDailyRun(job.schedule, timeZone, now);
             }
+            return dailyJobs.length;
+        });
+    } catch (error) {
+        log.error(`Не удалось пересчитать время заданий пользователя ${userId}`, { error });
+        return ctx.reply(`✅ Часовой пояс: ${timeZone}, сейчас ${formatJobTime(now, timeZone)}.\n` +
+            `⚠️ Время запуска заданий не пересчитано: ${error.message || error}. Повторите команду.`, getReplyExtra(ctx));
+    }
+    await ctx.reply(`✅ Часовой пояс: ${timeZone}, сейчас ${formatJobTime(now, timeZone)}.` +
+        (movedJobs > 0 ? ` Время запуска заданий пересчитано (${movedJobs}).` : ''), getReplyExtra(ctx));
+});
 
-            // If an edit isn't already scheduled or pending retry, schedule one
-            if (!editAttemptScheduled) {
-                // Clear any previously scheduled timeout (e.g., if chunks arrive fast)
-                if (editTimeoutId) {
-                    clearTimeout(editTimeoutId);
-                }
+// Post to the job's chat and topic. Telegram errors are thrown, except HTML it refuses to parse, which is sent as plain text.
+async function sendJobMessage(job, html) {
+    const extra = { link_preview_options: { is_disabled: true }, ...(job.threadId ? { message_thread_id: job.threadId } : {}) };
+    await acquireTelegramBudget();
+    try {
+        return await bot.telegram.sendMessage(job.chatId, html, { ...extra, parse_mode: 'HTML' });
+    } catch (error) {
+        if (!error.message?.includes("can't parse entities")) {
+            throw error;
+        }
+        log.warn(`Telegram не принял HTML ответа задания №${job.id}, отправляю без форматирования: ${error.message}`);
+        return bot.telegram.sendMessage(job.chatId, htmlToPlainText(html), extra);
+    }
+}
 
-                const timeSinceLastEdit = Date.now() - lastEditTime;
-                const delay = Math.max(0, EDIT_THROTTLE_MS - timeSinceLastEdit);
-
-                editAttemptScheduled = true; // Mark that we are scheduling an attempt
-                editTimeoutId = setTimeout(() => {
-                    editMessage(fullResponseText).catch(err => {
-                        console.error("Ошибка в запланированном editMessage:", err);
-                        // If message not found, stream loop will break via propagated error
-                        // If other error, reset flag to allow next chunk to try again
-                        if (!err.message?.includes('message to edit not found')) {
-                           editAttemptScheduled = false; // Allow scheduling again
-                        }
-                    });
-                }, delay);
-            }
+// Ask the job's question on its model (or down the fallback chain), tools included. Resolves to the answer in Markdown.
+async function generateJobAnswer(job, scope) {
+    const conversation = { currentModelKey: job.modelKey };
+    const timeZone = getUserTimezone(job.userId);
+    // The model doesn't know when it is asked, and a scheduled question is usually about "today"
+    const systemInstruction = 'Это вопрос, который пользователь поставил по расписанию: ответь на него заново, по состоянию на сейчас. ' +
+        `Сейчас ${new Date().toLocaleString('ru-RU', { timeZone, dateStyle: 'full', timeStyle: 'short' })} (${timeZone}).`;
+    const signal = AbortSignal.timeout(JOB_TIMEOUT_MS);
+    const contents = [{ role: 'user', parts: [{ text: job.prompt }] }];
+    const { result: firstResult, modelKey, model } = await generateWithFallback(scope, conversation, signal,
+        (model) => model.generateContentStream({ contents }, { signal }), { tools: getToolDeclarations(), systemInstruction });
+    // Function calls are answered until the model replies with text; there is no chat, so the rounds go into `contents`
+    const result = streamWithTools(firstResult, (responseParts, response) => {
+        contents.push(response.candidates[0].content, { role: 'function', parts: responseParts });
+        return model.generateContentStream({ contents }, { signal });
+    }, { ctx: null, userId: job.userId, stateId: job.stateId, modelKey, signal });
+    let text = '';
+    try {
+        for await (const chunk of result.stream) {
+            text += chunk.text();
         }
+    } finally {
+        await recordUsage(job.userId, modelKey, result);
+    }
+    if (!text.trim()) {
+        throw new Error('пустой ответ модели');
+    }
+    return [text.trim(), getFallbackNote(scope, conversation, modelKey)].filter(Boolean).join('\n\n');
+}
 
-        // Stream finished. Handle final edit.
+// Run one due job. Resolves to false if the job has to go: its owner lost access, or the bot can't post to the chat.
+async function runJob(job) {
+    const scope = { userId: job.userId, stateId: job.stateId, groupChatId: job.chatId < 0 ? job.chatId : null };
+    if (!hasAccess(job.userId)) {
+        log.info(`Задание №${job.id} удалено: у пользователя ${job.userId} больше нет доступа.`);
+        return false;
+    }
+    await loadUserState(job.userId);
+    await loadUserState(job.stateId);
+    if (scope.groupChatId) {
+        await loadGroupSettings(scope.groupChatId);
+    }
+    const title = `${job.schedule.kind === 'once' ? '⏰ Напоминание' : '🔁 Задание'} №${job.id}`;
+    const header = `<b>${escapeHtml(title)}</b>\n<i>${escapeHtml(shortenJobPrompt(job.prompt, 200))}</i>\n\n`;
+    try {
+        const quotaMessage = getQuotaExceededMessage(job.userId);
+        if (quotaMessage) {
+            log.info(`Задание №${job.id} пропущено: лимит пользователя ${job.userId} исчерпан.`);
+            await sendJobMessage(job, `${header}${escapeHtml(quotaMessage)}`);
+            return true;
+        }
+        let answer;
+        try {
+            answer = await generateJobAnswer(job, scope);
+        } catch (error) {
+            log.error(`Задание №${job.id}: не удалось получить ответ модели`, { error });
+            incrementMetric('bot_errors_total', { source: 'job' });
+            await sendJobMessage(job, `${header}⚠️ Не удалось получить ответ модели: ${escapeHtml(error.message || String(error))}`);
+            return true;
+        }
+        const [first, ...rest] = renderTelegramMessages(answer, TELEGRAM_MESSAGE_LIMIT - header.length);
+        await sendJobMessage(job, header + first);
+        for (const html of rest) {
+            await sendJobMessage(job, html);
+        }
+        log.info(`Задание №${job.id} пользователя ${job.userId} выполнено.`);
+        return true;
+    } catch (error) {
+        // Blocked by the user, removed from the group, the group is gone
+        if (error.response?.error_code === 403 || /chat not found/i.test(error.message || '')) {
+            log.info(`Задание №${job.id} удалено: бот не может писать в чат ${job.chatId} (${error.message}).`);
+            return false;
+        }
+        log.error(`Задание №${job.id}: не удалось отправить ответ`, { error });
+        return true;
+    }
+}
 
-        // If an edit was scheduled but hasn't run yet, clear timeout and run immediately.
-        if (editTimeoutId) {
-            clearTimeout(editTimeoutId);
-            editTimeoutId = null;
-            console.log(`Выполнение финального редактирования для ${initialMessageId} после завершения стрима.`);
-            // Wait for the final edit to complete or fail
-            await editMessage(fullResponseText);
+// Move a due job on to its following run (one-off jobs are removed) before running it, so a slow answer or a restart
+// doesn't run it twice. The check and the move are one change of the stored jobs: of instances that saw the job due
+// at the same time, only one claims it. Resolves to the job as it was due, null if it isn't due anymore.
+function claimDueJob(id) {
+    return changeJobs((doc) => {
+        const job = doc.jobs[id];
+        const now = Date.now();
+        if (!job || job.nextRunAt > now) {
+            return null;
         }
-        // If the last attempt failed (e.g., 429) or text changed since last success, try one last time.
-        else if (fullResponseText.trim() && fullResponseText.trim() !== lastSentText) {
-            console.log(`Попытка финального редактирования (текст отличается) для ${initialMessageId}.`);
-            await editMessage(fullResponseText);
+        const nextRunAt = getFollowingRun(job, now);
+        if (nextRunAt === null) {
+            delete doc.jobs[id];
         } else {
-            console.log(`Финальное редактирование для ${initialMessageId} не требуется.`);
+            doc.jobs[id] = { ...job, nextRunAt, lastRunAt: now };
         }
+        return job;
+    });
+}
 
-    } catch (streamError) {
-        if (streamError.message.includes('message to edit not found')) {
-            // Already logged in editMessage, just stop.
-        } else {
-            console.error("Ошибка во время стриминга ответа:", streamError);
-            fullResponseText += "\n\n[Ошибка обработки стрима]";
-            try {
-                // Attempt to edit the message to show the stream error
-                await ctx.telegram.editMessageText(ctx.chat.id, initialMessageId, null, fullResponseText.trim());
-            } catch (editError) {
-                 if (!editError.message.includes('message to edit not found')) {
-                    console.error("Не удалось отредактировать сообщение для показа ошибки стрима:", editError);
-                 }
+// Called every JOB_CHECK_INTERVAL_MS. Due jobs run one at a time; never rejects.
+async function runDueJobs() {
+    if (isRunningJobs) {
+        return; // The previous check is still answering
+    }
+    isRunningJobs = true;
+    try {
+        if (storage.shared) {
+            // Admins and other instances may have changed them
+            await loadAccessControl();
+            await loadGlobalSettings();
+            await loadQuotas();
+            await loadJobs();
+        }
+        const dueIds = Object.values(scheduledJobs.jobs)
+            .filter(job => job.nextRunAt <= Date.now())
+            .sort((a, b) => a.nextRunAt - b.nextRunAt)
+            .map(job => job.id);
+        for (const id of dueIds) {
+            const dueJob = scheduledJobs.jobs[id]; // The latest stored version, every claim reads the jobs again
+            if (!dueJob) {
+                continue;
+            }
+            await loadUserState(dueJob.userId); // Daily jobs go on in the owner's time zone
+            const job = await claimDueJob(id);
+            if (!job) {
+                continue; // Another instance has run or cancelled it meanwhile
+            }
+            const logFields = { requestId: `job-${id}-${job.nextRunAt}`, userId: job.userId, chatId: job.chatId };
+            if (!(await withLogContext(logFields, () => runJob(job)))) {
+                await changeJobs((doc) => {
+                    delete doc.jobs[id];
+                });
             }
         }
+    } catch (error) {
+        log.error('Ошибка при запуске заданий по расписанию', { error });
+    } finally {
+        isRunningJobs = false;
     }
+}
 
-    // Return the full text, even if editing failed, for history
-    return fullResponseText.trim();
+function startJobScheduler() {
+    jobTimer = setInterval(runDueJobs, JOB_CHECK_INTERVAL_MS);
+    runDueJobs(); // Jobs that came due while the bot was down
 }
 
+function stopJobScheduler() {
+    clearInterval(jobTimer);
+}
 
 // --- Message Handlers ---
 
+// /ask <question> is the explicit way to talk to the bot in groups (works in private chats too)
+bot.command('ask', async (ctx) => {
+    const question = ctx.message.text.split(' ').slice(1).join(' ').trim();
+    if (!question) {
+        return ctx.reply("Напишите вопрос после команды: /ask <вопрос>", getReplyExtra(ctx));
+    }
+    await handleTextMessage(ctx, question);
+});
+
 bot.on('text', async (ctx) => {
-    const userId = ctx.from.id;
-    const userMessage = ctx.message.text;
+    let userMessage = ctx.message.text;
 
     // Ignore commands
     if (userMessage.startsWith('/')) {
+        const command = getMessageCommand(ctx);
+        // Commands for other bots in a group are none of our business
+        if (isGroupChat(ctx) && !command) {
+            return;
+        }
         // Check if it's NOT a model command (already handled) or other known commands
-        const knownCommands = ['/start', '/clear', '/help', ...MODEL_COMMANDS];
-        if (!knownCommands.includes(userMessage.split(' ')[0])) {
-             ctx.reply("Неизвестная команда. Используйте /help для списка команд.");
+        const knownCommands = [...BOT_COMMANDS, ...MODEL_COMMANDS, ...IMAGE_MODEL_COMMANDS].map(item => item.command || item.slice(1));
+        if (!knownCommands.includes(command)) {
+             ctx.reply("Неизвестная команда. Используйте /help для списка команд.", getReplyExtra(ctx));
+        }
+        return;
+    }
+
+    if (isGroupChat(ctx)) {
+        if (!isAddressedToBot(ctx)) {
+            return;
+        }
+        userMessage = stripBotMention(ctx, userMessage);
+        if (!userMessage) {
+            return ctx.reply("Слушаю! Напишите вопрос вместе с упоминанием или ответом на моё сообщение.", getReplyExtra(ctx));
         }
+    }
+
+    await handleTextMessage(ctx, userMessage);
+});
+
+async function handleTextMessage(ctx, userMessage) {
+    const scope = getRequestScope(ctx);
+    const { userId, stateId } = scope;
+
+    // The question about the files collected with /batch
+    if (await answerFileBatch(ctx, userMessage)) {
         return;
     }
 
+    const quotaMessage = getQuotaExceededMessage(userId);
+    if (quotaMessage) {
+        log.info(`Пользователь ${userId} исчерпал лимит, запрос отклонён.`);
+        return ctx.reply(quotaMessage, getReplyExtra(ctx));
+    }
+
+    // May switch the conversation, when replying to an earlier answer
+    const replyContext = await getReplyContext(ctx, scope);
+
+    // Remember the conversation, the user may switch threads while the answer is streaming
+    const conversationId = getUserState(stateId).activeConversationId;
+    const userCtxState = getConversation(stateId, conversationId);
+    const historyMessage = formatGroupMessage(ctx, replyContext.quote ? `${replyContext.quote}\n\n${userMessage}` : userMessage);
+    // A quoted file sent inline only goes into this request, the history keeps the note about it
+    dropExpiredFiles(stateId, conversationId);
+    addMessageToHistory(stateId, "user", [{ text: historyMessage }], conversationId);
+    const historyEntry = userCtxState.history[userCtxState.history.length - 1];
+    // Editing this message later asks the question again (see Answer Controls). The position (counted like the
+    // ones of answerMessages, see Reply Context) tells whether the question is still the last one.
+    userCtxState.lastQuestion = {
+        messageId: ctx.message.message_id,
+        text: userMessage,
+        position: (userCtxState.historyOffset || 0) + userCtxState.history.length,
+    };
 
-    const userCtxState = getUserState(userId);
-    addMessageToHistory(userId, "user", [{ text: userMessage }]);
+    await streamAnswer(ctx, scope, conversationId, {
+        buildRequest: (signal) => buildReplyRequestParts(ctx, historyMessage, replyContext, historyEntry, userCtxState, signal),
+        note: replyContext.note,
+    });
+}
 
+// Answer the user turn that ends the conversation's history: stream the answer into a new message and add it to the history.
+// Options:
+//   buildRequest(signal) - resolves to { parts, inlineFiles }: the parts to send for the user turn, and the files among
+//     them sent inline, by part index (the history doesn't keep those, see Answer Controls);
+//   modelKey - answer with this model this time instead of the conversation's one;
+//   note - Markdown shown under the answer;
+//   continuation - the history ends with a cut off answer instead, the new text is appended to it;
+//   onNoAnswer() - called if nothing was answered (error, stopped, empty answer) instead of the default
+//     clean-up: removing the user turn, or noting the empty answer in the history.
+// Returns the answer text, '' if there is none.
+async function streamAnswer(ctx, scope, conversationId, options) {
+    const { userId, stateId } = scope;
+    const userCtxState = getConversation(stateId, conversationId);
+    // A one-off model goes to generateWithFallback as the conversation's own, the conversation keeps its model
+    const requestState = options.modelKey ? { ...userCtxState, currentModelKey: options.modelKey } : userCtxState;
     let sentMessage;
+    let generation = null;
+    let answer = ''; // Set once the answer is in the history
     try {
-        sentMessage = await ctx.reply("..."); // Send placeholder message
+        sentMessage = await ctx.reply("...", { ...STOP_KEYBOARD, ...getReplyExtra(ctx) }); // Send placeholder message
         const messageId = sentMessage.message_id;
+        generation = startGeneration(ctx, messageId);
 
-        // Get the correct model instance based on user's current setting
-        const currentModel = getModelInstance(userCtxState.currentModelKey);
+        // Count tokens on the user's model, or the first available one in the fallback chain
+        const contextModelKey = getModelCandidates(requestState.currentModelKey, userId, scope.groupChatId)[0];
+        const currentModel = getConversationModel(stateId, userCtxState, contextModelKey);
 
-        // Start a chat session with history EXCLUDING the current user message
-        const chat = currentModel.startChat({
-            history: userCtxState.history.slice(0, -1),
-        });
+        // Fold old turns into a summary if the request would not fit the token budget.
+        // A continuation only adds a short prompt to a history that has just fit.
+        const { parts: requestParts, inlineFiles } = await options.buildRequest(generation.signal);
+        if (!options.continuation) {
+            await fitHistoryToContext(scope, currentModel, contextModelKey, { role: 'user', parts: requestParts }, conversationId);
+        }
 
-        // Send only the current user message to continue the chat
-        const result = await chat.sendMessageStream(userMessage);
+        // Start a chat session with history EXCLUDING the current user message,
+        // on the user's model or the next one in the fallback chain if it fails
+        let chat;
+        const { result: firstResult, modelKey } = await generateWithFallback(scope, requestState, generation.signal, (model) => {
+            chat = model.startChat({
+                history: options.continuation ? userCtxState.history : userCtxState.history.slice(0, -1),
+            });
+            // Send only the current user message to continue the chat
+            return chat.sendMessageStream(requestParts, { signal: generation.signal });
+        }, { tools: getToolDeclarations() });
+        // Function calls are answered in the same chat until the model replies with text
+        const result = streamWithTools(firstResult, (responseParts) => chat.sendMessageStream(responseParts, { signal: generation.signal }),
+            { ctx, userId, stateId, modelKey, signal: generation.signal });
 
         // Stream the response and edit the placeholder message
-        const finalResponseText = await streamAndEditResponse(ctx, result.stream, messageId);
+        const footer = [options.note, getFallbackNote(scope, requestState, modelKey)].filter(Boolean).join('\n');
+        const { text: finalResponseText, messageIds: answerMessageIds } = await streamAndEditResponse(ctx, result.stream, messageId, generation, footer, true);
+        await recordContextUsage(stateId, result, conversationId);
+        await recordUsage(userId, modelKey, result);
 
         // Add the final model response to history if it's not empty
         if (finalResponseText) {
-            addMessageToHistory(userId, "model", [{ text: finalResponseText }]);
+            if (options.continuation) {
+                userCtxState.history[userCtxState.history.length - 1].parts.push({ text: finalResponseText });
+                userCtxState.updatedAt = Date.now();
+            } else {
+                addMessageToHistory(stateId, "model", [{ text: finalResponseText }], conversationId);
+            }
+            linkAnswerMessages(stateId, conversationId, answerMessageIds);
+            rememberInlineFiles(ctx, messageId, inlineFiles);
+            answer = finalResponseText;
+            if (!isGenerationStopped(generation)) {
+                await sendVoiceAnswer(ctx, finalResponseText, messageId);
+            }
+        } else if (options.onNoAnswer) {
+            options.onNoAnswer();
+            if (!isGenerationStopped(generation)) {
+                await ctx.telegram.editMessageText(ctx.chat.id, messageId, null, "Не удалось получить ответ от модели.").catch((e) => {
+                    log.error("Не удалось изменить сообщение об ошибке (текст)", { error: e });
+                });
+            }
+        } else if (isGenerationStopped(generation)) {
+            // Stopped before the first words: forget the question, the message already says it was stopped
+            popFailedUserMessage(stateId, conversationId);
         } else {
-             console.warn("Получен пустой ответ от модели для текстового сообщения.");
-             addMessageToHistory(userId, "model", [{ text: "[Пустой ответ от модели]" }]);
+             log.warn("Получен пустой ответ от модели для текстового сообщения.");
+             addMessageToHistory(stateId, "model", [{ text: "[Пустой ответ от модели]" }], conversationId);
              try {
                  // Edit placeholder to indicate failure
                  await ctx.telegram.editMessageText(ctx.chat.id, messageId, null, "Не удалось получить ответ от модели.");
              } catch (e) {
                  if (!e.message?.includes('message to edit not found')) {
-                    console.error("Не удалось изменить сообщение об ошибке (текст):", e);
+                    log.error("Не удалось изменить сообщение об ошибке (текст)", { error: e });
                  }
              }
         }
 
     } catch (error) {
-        console.error("Ошибка при обработке текстового сообщения:", error);
-        const errorText = `Произошла ошибка при обработке вашего запроса. Модель: ${ALLOWED_MODELS[userCtxState.currentModelKey] || DEFAULT_MODEL_ID}. Ошибка: ${error.message || error}`;
-        // Remove the failed user message from history
-        if (userCtxState.history.length > 0 && userCtxState.history[userCtxState.history.length - 1].role === 'user') {
-            userCtxState.history.pop();
+        const errorText = isGenerationStopped(generation, error)
+            ? "⏹ Генерация остановлена."
+            : `Произошла ошибка при обработке вашего запроса. Модель: ${ALLOWED_MODELS[requestState.currentModelKey] || DEFAULT_MODEL_ID}. Ошибка: ${error.message || error}`;
+        if (!isGenerationStopped(generation, error)) {
+            log.error("Ошибка при обработке текстового сообщения", { error });
+            incrementMetric('bot_errors_total', { source: 'text' });
+        }
+        // Remove the failed user message from history, unless the answer made it there already
+        if (!answer && options.onNoAnswer) {
+            options.onNoAnswer();
+        } else if (!answer) {
+            popFailedUserMessage(stateId, conversationId);
         }
         if (sentMessage) {
             try {
                 await ctx.telegram.editMessageText(ctx.chat.id, sentMessage.message_id, null, errorText);
             } catch (editError) {
-                console.error("Не удалось отредактировать сообщение для показа ошибки:", editError);
+                log.error("Не удалось отредактировать сообщение для показа ошибки", { error: editError });
                 // Send as new message if editing failed (and original wasn't deleted)
                 if (!editError.message?.includes('message to edit not found')) {
-                    await ctx.reply(errorText);
+                    await ctx.reply(errorText, getReplyExtra(ctx));
                 }
             }
         } else {
-            await ctx.reply(errorText); // If sending placeholder failed
+            await ctx.reply(errorText, getReplyExtra(ctx)); // If sending placeholder failed
+        }
+    } finally {
+        if (sentMessage) {
+            finishGeneration(ctx, sentMessage.message_id);
+        }
+    }
+    return answer;
+}
+
+// --- Answer Controls ---
+
+// Buttons under finished text answers: "Заново" asks the question again and replaces the answer in the history,
+// "Другая модель" does the same with a model picked for this time only, "Продолжить" (under answers cut off by the
+// length limit or stopped) asks the model to go on and appends to the answer. Editing the last question asks it again.
+// Only the last answer of a conversation can be replaced or continued, later turns are built on the earlier ones.
+const CONTINUE_PROMPT = 'Продолжи свой предыдущий ответ ровно с того места, где он оборвался, без повторов и вступлений.';
+const MAX_INLINE_FILE_ENTRIES = 500;
+
+// Files sent inline with a question (see buildFilePart) are not in the history, only notes about them. To send them
+// again, their Telegram descriptors are kept by the answer: Map<"chatId:messageId", { [partIndex]: file }>.
+// Kept in memory only: after a restart a rerun goes without them.
+const answerInlineFiles = new Map();
+
+function rememberInlineFiles(ctx, messageId, inlineFiles) {
+    if (Object.keys(inlineFiles).length === 0) {
+        return;
+    }
+    answerInlineFiles.set(`${ctx.chat.id}:${messageId}`, inlineFiles);
+    if (answerInlineFiles.size > MAX_INLINE_FILE_ENTRIES) {
+        answerInlineFiles.delete(answerInlineFiles.keys().next().value);
+    }
+}
+
+// `truncated` adds the "Continue" button; the model picker carries the flag to restore the same buttons on "Back"
+function buildAnswerKeyboard(truncated) {
+    const flag = truncated ? 1 : 0;
+    const row = [
+        Markup.button.callback('🔄 Заново', 'answer_regen'),
+        Markup.button.callback('🔀 Другая модель', `answer_models:${flag}`),
+    ];
+    if (truncated) {
+        row.push(Markup.button.callback('▶️ Продолжить', 'answer_continue'));
+    }
+    return Markup.inlineKeyboard([row]);
+}
+
+function buildAnswerModelKeyboard(ctx, conversation, flag) {
+    const buttons = getAllowedModelKeys(ctx.from.id, getGroupChatId(ctx)).map(key => {
+        const marker = key === conversation.currentModelKey ? '✅ ' : '';
+        const unavailableNote = isModelAvailable(key) ? '' : ' ⚠️';
+        return [Markup.button.callback(`${marker}${ALLOWED_MODELS[key]}${unavailableNote}`, `answer_model:${key}`)];
+    });
+    buttons.push([Markup.button.callback('« Назад', `answer_back:${flag}`)]);
+    return Markup.inlineKeyboard(buttons);
+}
+
+// The conversation whose history ends with the answer in a Telegram message: { conversationId, conversation }, or null
+function findLastAnswer(stateId, messageId) {
+    const answer = findAnswerInHistory(stateId, messageId);
+    if (!answer) {
+        return null;
+    }
+    const conversation = getConversation(stateId, answer.conversationId);
+    const isLast = answer.length === conversation.history.length && conversation.history[answer.length - 1].role === 'model';
+    return isLast ? { conversationId: answer.conversationId, conversation } : null;
+}
+
+// Ask the last question of a conversation again. Its answer is taken out of the history; if no new answer comes,
+// the answer and the question are put back as they were, otherwise the old answer's messages lose their buttons.
+// `questionText` replaces the text of the question (an edited question), `modelKey` answers with another model this time.
+// Returns the new answer text, '' if there is none.
+async function rerunLastQuestion(ctx, scope, conversationId, { modelKey = null, questionText = null } = {}) {
+    const { stateId } = scope;
+    const conversation = getConversation(stateId, conversationId);
+    const position = (conversation.historyOffset || 0) + conversation.history.length;
+    const answerMessageIds = Object.keys(conversation.answerMessages || {})
+        .filter(messageId => conversation.answerMessages[messageId] === position);
+    const inlineFiles = answerMessageIds.map(messageId => answerInlineFiles.get(`${ctx.chat.id}:${messageId}`)).find(Boolean) || {};
+
+    const previousAnswer = conversation.history.pop();
+    answerMessageIds.forEach(messageId => delete conversation.answerMessages[messageId]);
+    const question = conversation.history[conversation.history.length - 1];
+    const previousQuestionParts = question.parts;
+    if (questionText !== null) {
+        question.parts = [{ text: questionText }, ...question.parts.slice(1)];
+    }
+    conversation.updatedAt = Date.now();
+    saveUserState(stateId);
+
+    const modelNote = modelKey && modelKey !== conversation.currentModelKey
+        ? `_🔀 Ответила модель ${ALLOWED_MODELS[modelKey]}, модель диалога не изменилась._`
+        : '';
+    const answer = await streamAnswer(ctx, scope, conversationId, {
+        modelKey,
+        note: modelNote,
+        buildRequest: async (signal) => {
+            const parts = [...question.parts];
+            for (const [index, file] of Object.entries(inlineFiles)) {
+                parts[index] = (await buildFilePart(ctx, file, signal)).part;
+            }
+            return { parts, inlineFiles };
+        },
+        onNoAnswer: () => {
+            question.parts = previousQuestionParts;
+            conversation.history.push(previousAnswer);
+            linkAnswerMessages(stateId, conversationId, answerMessageIds);
+            saveUserState(stateId);
+        },
+    });
+    if (answer) {
+        for (const messageId of answerMessageIds) {
+            await ctx.telegram.editMessageReplyMarkup(ctx.chat.id, Number(messageId), undefined, { inline_keyboard: [] }).catch(() => {
+                // Deleted by the user, or already without buttons
+            });
         }
     }
+    return answer;
+}
+
+// Checks shared by the answer buttons. Returns the answer found by findLastAnswer, or null after telling the user why not.
+async function getAnswerForAction(ctx, scope) {
+    const answer = findLastAnswer(scope.stateId, ctx.callbackQuery.message?.message_id);
+    if (!answer) {
+        await ctx.answerCbQuery("Это уже не последний ответ в диалоге: заново получить или продолжить можно только последний.", { show_alert: true });
+        return null;
+    }
+    const quotaMessage = getQuotaExceededMessage(scope.userId);
+    if (quotaMessage) {
+        log.info(`Пользователь ${scope.userId} исчерпал лимит, запрос отклонён.`);
+        await ctx.answerCbQuery();
+        await ctx.reply(quotaMessage);
+        return null;
+    }
+    return answer;
+}
+
+bot.action('answer_regen', async (ctx) => {
+    const scope = getRequestScope(ctx);
+    const answer = await getAnswerForAction(ctx, scope);
+    if (!answer) {
+        return;
+    }
+    await ctx.answerCbQuery("Отвечаю заново...");
+    log.info(`Пользователь ${scope.userId} запросил ответ заново.`, { conversation: answer.conversation.name });
+    await rerunLastQuestion(ctx, scope, answer.conversationId);
+});
+
+bot.action(/^answer_models:([01])$/, async (ctx) => {
+    const scope = getRequestScope(ctx);
+    const answer = findLastAnswer(scope.stateId, ctx.callbackQuery.message?.message_id);
+    if (!answer) {
+        return ctx.answerCbQuery("Это уже не последний ответ в диалоге: заново получить можно только последний.", { show_alert: true });
+    }
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(buildAnswerModelKeyboard(ctx, answer.conversation, ctx.match[1]).reply_markup);
+});
+
+bot.action(/^answer_back:([01])$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup(buildAnswerKeyboard(ctx.match[1] === '1').reply_markup);
+});
+
+bot.action(/^answer_model:(\w+)$/, async (ctx) => {
+    const scope = getRequestScope(ctx);
+    const modelKey = ctx.match[1];
+    if (!getAllowedModelKeys(scope.userId, scope.groupChatId).includes(modelKey)) {
+        return ctx.answerCbQuery("Эта модель вам недоступна.", { show_alert: true });
+    }
+    const answer = await getAnswerForAction(ctx, scope);
+    if (!answer) {
+        return;
+    }
+    await ctx.answerCbQuery(`Спрашиваю ${ALLOWED_MODELS[modelKey]}...`);
+    log.info(`Пользователь ${scope.userId} запросил ответ модели ${ALLOWED_MODELS[modelKey]}.`, { conversation: answer.conversation.name });
+    await rerunLastQuestion(ctx, scope, answer.conversationId, { modelKey });
+});
+
+bot.action('answer_continue', async (ctx) => {
+    const scope = getRequestScope(ctx);
+    const answer = await getAnswerForAction(ctx, scope);
+    if (!answer) {
+        return;
+    }
+    await ctx.answerCbQuery("Продолжаю...");
+    // The answer goes on in a new message, which gets its own "Continue" if needed
+    await ctx.editMessageReplyMarkup(buildAnswerKeyboard(false).reply_markup).catch((error) => {
+        log.error("Не удалось убрать кнопку «Продолжить»", { error });
+    });
+    log.info(`Пользователь ${scope.userId} попросил продолжить ответ.`, { conversation: answer.conversation.name });
+    await streamAnswer(ctx, scope, answer.conversationId, {
+        continuation: true,
+        buildRequest: async () => ({ parts: [{ text: CONTINUE_PROMPT }], inlineFiles: {} }),
+        onNoAnswer: () => {}, // The answer stays as it was
+    });
+});
+
+// Editing the last question (its answer already finished) asks it again, replacing the question and the answer in
+// the history. Edits of older messages change nothing: the conversation has moved on from them.
+bot.on('edited_message', async (ctx) => {
+    const message = ctx.editedMessage;
+    if (!message.text || message.text.startsWith('/')) {
+        return;
+    }
+    const scope = getRequestScope(ctx);
+    const state = getUserState(scope.stateId);
+    const conversationId = Object.keys(state.conversations)
+        .find(id => state.conversations[id].lastQuestion?.messageId === message.message_id);
+    if (!conversationId) {
+        return;
+    }
+    const conversation = state.conversations[conversationId];
+    const { history, lastQuestion } = conversation;
+    const questionIndex = lastQuestion.position - (conversation.historyOffset || 0) - 1;
+    if (questionIndex < 0 || questionIndex !== history.length - 2 || history[history.length - 1].role !== 'model') {
+        return; // Still being answered, folded away, or followed by newer turns
+    }
+    const text = isGroupChat(ctx) ? stripBotMention(ctx, message.text) : message.text;
+    if (!text || text === lastQuestion.text) {
+        return;
+    }
+    const quotaMessage = getQuotaExceededMessage(scope.userId);
+    if (quotaMessage) {
+        log.info(`Пользователь ${scope.userId} исчерпал лимит, запрос отклонён.`);
+        return ctx.reply(quotaMessage, getReplyExtra(ctx));
+    }
+    // The stored question may carry a quote and the author's name before the text, only the text is replaced
+    const previousText = history[history.length - 2].parts[0]?.text || '';
+    const questionText = previousText.endsWith(lastQuestion.text)
+        ? `${previousText.slice(0, previousText.length - lastQuestion.text.length)}${text}`
+        : formatGroupMessage(ctx, text);
+    log.info(`Пользователь ${scope.userId} изменил вопрос ${message.message_id}, отвечаю заново.`, { conversation: conversation.name });
+    if (await rerunLastQuestion(ctx, scope, conversationId, { questionText })) {
+        lastQuestion.text = text;
+        saveUserState(scope.stateId);
+    }
 });
 
 // --- File Handlers ---
@@ -426,135 +6857,459 @@ async function getFileBuffer(ctx, fileId) {
     return Buffer.from(arrayBuffer);
 }
 
-// General file handler function
-async function handleFile(ctx, fileId, mimeType, userPrompt, fileTypeName, fileName = '') {
-    const userId = ctx.from.id;
-    const userCtxState = getUserState(userId);
+// Telegram doesn't let bots download files over 20 MB, so they are refused before anything else.
+// Returns true after telling the user.
+async function rejectTooLargeFile(ctx, media, typeName) {
+    if (!(media.file_size > TELEGRAM_DOWNLOAD_LIMIT_BYTES)) {
+        return false;
+    }
+    const sizeMb = (media.file_size / 1024 / 1024).toFixed(1);
+    log.info(`Файл ${media.file_unique_id} (${media.file_size} байт) больше предела загрузки Telegram.`);
+    await ctx.reply(`Не могу открыть ${typeName}: файл весит ${sizeMb} МБ, а Telegram даёт ботам скачивать только файлы до 20 МБ. Сожмите или обрежьте его и пришлите снова.`, getReplyExtra(ctx));
+    return true;
+}
+
+// General file handler function: one request with the prompt and all `files`
+// ({ fileId, mimeType, typeName, fileName }, as built by the listeners below), answered with one reply
+async function handleFile(ctx, files, userPrompt) {
+    const scope = getRequestScope(ctx);
+    const { userId, stateId } = scope;
+    const deniedFile = files.find(file => !isFileTypeAllowed(userId, file.mimeType));
+    if (deniedFile) {
+        log.info(`Пользователю ${userId} (роль ${getUserRole(userId)}) не разрешены файлы типа ${deniedFile.mimeType}.`);
+        return ctx.reply(`Извините, для вашей роли (${ROLE_LABELS[getUserRole(userId)]}) файлы типа ${deniedFile.mimeType} недоступны.`, getReplyExtra(ctx));
+    }
+    // How the files are called in the status and error messages
+    const fileTypeName = files.length === 1 ? files[0].typeName : 'файлы';
+    const fileName = files.length === 1 ? files[0].fileName : `(${files.length})`;
+    const quotaMessage = getQuotaExceededMessage(userId);
+    if (quotaMessage) {
+        log.info(`Пользователь ${userId} исчерпал лимит, запрос отклонён.`);
+        return ctx.reply(quotaMessage, getReplyExtra(ctx));
+    }
+    log.info(`Пользователь ${userId} прислал ${fileTypeName}`, { mimeTypes: files.map(file => file.mimeType), fileName });
+    const conversationId = getUserState(stateId).activeConversationId;
+    const userCtxState = getConversation(stateId, conversationId);
+    userPrompt = formatGroupMessage(ctx, userPrompt);
     let sentMessage;
 
     // Add user request (prompt + placeholder for file data) to history FIRST
     // The actual file data will be sent in the API request, not stored in history map
-    const placeholderPart = { text: `[${fileTypeName} ${fileName || ''} received, processing...]` }; // Ensure fileName exists
-    addMessageToHistory(userId, "user", [{ text: userPrompt }, placeholderPart]);
+    dropExpiredFiles(stateId, conversationId);
+    const placeholderParts = files.map(file => ({ text: `[${file.typeName} ${file.fileName || ''} received, processing...]` })); // Ensure fileName exists
+    addMessageToHistory(stateId, "user", [{ text: userPrompt }, ...placeholderParts], conversationId);
+    const historyEntry = userCtxState.history[userCtxState.history.length - 1];
 
+    let generation = null;
     try {
-        sentMessage = await ctx.reply(`Анализирую ${fileTypeName} ${fileName}...`);
+        sentMessage = await ctx.reply(`Анализирую ${fileTypeName} ${fileName}...`, { ...STOP_KEYBOARD, ...getReplyExtra(ctx) });
         const messageId = sentMessage.message_id;
+        generation = startGeneration(ctx, messageId);
 
-        // Download the file content
-        const buffer = await getFileBuffer(ctx, fileId);
-        const filePart = {
-            inlineData: { data: buffer.toString("base64"), mimeType: mimeType }
-        };
+        // Download the file contents (or reuse their uploads), in the order the user sent them. Uploaded files
+        // and extracted texts replace their placeholders in the history, so follow-up questions see them.
+        const fileParts = [];
+        const inlineFiles = {}; // Files sent inline, to send them again on a rerun (see Answer Controls)
+        for (const [index, file] of files.entries()) {
+            const { part, upload, keepInHistory } = await buildFilePart(ctx, file, generation.signal);
+            fileParts.push(part);
+            if (keepInHistory) {
+                historyEntry.parts[index + 1] = part;
+                saveUserState(stateId);
+            } else {
+                const { buffer, ...descriptor } = file;
+                inlineFiles[index + 1] = descriptor;
+            }
+            if (upload) {
+                rememberUploadedFile(userCtxState, upload);
+            }
+        }
 
-        // Get the correct model instance
-        const currentModel = getModelInstance(userCtxState.currentModelKey);
+        // Count tokens on the user's model, or the first available one in the fallback chain
+        const contextModelKey = getModelCandidates(userCtxState.currentModelKey, userId, scope.groupChatId)[0];
+        const currentModel = getConversationModel(stateId, userCtxState, contextModelKey);
 
         // Prepare the request content for generateContentStream
-        // Send the entire history including the user prompt + the actual file part
-        const currentRequestContent = { role: 'user', parts: [{ text: userPrompt }, filePart] };
+        // Send the entire history including the user prompt + the actual file parts
+        const currentRequestContent = { role: 'user', parts: [{ text: userPrompt }, ...fileParts] };
+        await fitHistoryToContext(scope, currentModel, contextModelKey, currentRequestContent, conversationId);
         const requestContent = {
              // History excluding the placeholder message we added
              contents: [...userCtxState.history.slice(0, -1), currentRequestContent]
         };
 
-        // Call generateContentStream
-        const result = await currentModel.generateContentStream(requestContent);
+        // Call generateContentStream, falling back to other models if the user's one fails
+        const { result: firstResult, modelKey, model } = await generateWithFallback(scope, userCtxState, generation.signal,
+            (model) => model.generateContentStream(requestContent, { signal: generation.signal }), { tools: getToolDeclarations() });
+        // Function calls and their results extend the request round by round
+        const result = streamWithTools(firstResult, (responseParts, response) => {
+            requestContent.contents.push(response.candidates[0].content, { role: 'function', parts: responseParts });
+            return model.generateContentStream(requestContent, { signal: generation.signal });
+        }, { ctx, userId, stateId, modelKey, signal: generation.signal });
 
         // Stream the response and edit the message
-        const finalResponseText = await streamAndEditResponse(ctx, result.stream, messageId);
+        const { text: finalResponseText, messageIds: answerMessageIds } = await streamAndEditResponse(ctx, result.stream, messageId,
+            generation, getFallbackNote(scope, userCtxState, modelKey), true);
+        await recordContextUsage(stateId, result, conversationId);
+        await recordUsage(userId, modelKey, result);
 
         // Add successful model response to history
         if (finalResponseText) {
-            addMessageToHistory(userId, "model", [{ text: finalResponseText }]);
+            addMessageToHistory(stateId, "model", [{ text: finalResponseText }], conversationId);
+            linkAnswerMessages(stateId, conversationId, answerMessageIds);
+            rememberInlineFiles(ctx, messageId, inlineFiles);
+            if (!isGenerationStopped(generation)) {
+                await sendVoiceAnswer(ctx, finalResponseText, messageId);
+            }
+        } else if (isGenerationStopped(generation)) {
+            popFailedUserMessage(stateId, conversationId);
         } else {
-            console.warn(`Получен пустой ответ от модели для ${fileTypeName} ${fileName}.`);
-            addMessageToHistory(userId, "model", [{ text: "[Пустой ответ от модели]" }]);
+            log.warn(`Получен пустой ответ от модели для ${fileTypeName}.`, { fileName });
+            addMessageToHistory(stateId, "model", [{ text: "[Пустой ответ от модели]" }], conversationId);
             try {
                 await ctx.telegram.editMessageText(ctx.chat.id, messageId, null, `Не удалось проанализировать ${fileTypeName} ${fileName}.`);
             } catch (e) {
                  if (!e.message?.includes('message to edit not found')) {
-                     console.error(`Не удалось изменить сообщение об ошибке (${fileTypeName}):`, e);
+                     log.error(`Не удалось изменить сообщение об ошибке (${fileTypeName})`, { error: e });
                  }
             }
         }
 
     } catch (error) {
-        console.error(`Ошибка при обработке ${fileTypeName} ${fileName}:`, error);
-        const errorText = `Произошла ошибка при обработке ${fileTypeName} ${fileName}. Модель: ${ALLOWED_MODELS[userCtxState.currentModelKey] || DEFAULT_MODEL_ID}. Ошибка: ${error.message || error}`;
-        // Remove the failed user message (with placeholder) from history
-        if (userCtxState.history.length > 0 && userCtxState.history[userCtxState.history.length - 1].role === 'user') {
-            userCtxState.history.pop();
+        const errorText = isGenerationStopped(generation, error)
+            ? "⏹ Генерация остановлена."
+            : `Произошла ошибка при обработке ${fileTypeName} ${fileName}. Модель: ${ALLOWED_MODELS[userCtxState.currentModelKey] || DEFAULT_MODEL_ID}. Ошибка: ${error.message || error}`;
+        if (!isGenerationStopped(generation, error)) {
+            log.error(`Ошибка при обработке ${fileTypeName}`, { fileName, error });
+            incrementMetric('bot_errors_total', { source: 'file' });
         }
+        // Remove the failed user message (with placeholder) from history
+        popFailedUserMessage(stateId, conversationId);
          if (sentMessage) {
             try {
                 await ctx.telegram.editMessageText(ctx.chat.id, sentMessage.message_id, null, errorText);
             } catch (editError) {
-                 console.error("Не удалось отредактировать сообщение для показа ошибки:", editError);
+                 log.error("Не удалось отредактировать сообщение для показа ошибки", { error: editError });
                  if (!editError.message?.includes('message to edit not found')) {
-                    await ctx.reply(errorText);
+                    await ctx.reply(errorText, getReplyExtra(ctx));
                  }
             }
         } else {
-            await ctx.reply(errorText); // If sending placeholder failed
+            await ctx.reply(errorText, getReplyExtra(ctx)); // If sending placeholder failed
+        }
+    } finally {
+        if (sentMessage) {
+            finishGeneration(ctx, sentMessage.message_id);
         }
     }
 }
 
 // Specific file type listeners
 bot.on('photo', async (ctx) => {
+    // A single photo captioned "/image <what to change>" is edited instead of analyzed (see Image Generation)
+    const imagePrompt = ctx.message.media_group_id ? null : getImageCaptionPrompt(ctx);
+    if (imagePrompt !== null) {
+        if (!imagePrompt) {
+            return ctx.reply("Напишите в подписи, что изменить: /image <что изменить>.", getReplyExtra(ctx));
+        }
+        return handleImageRequest(ctx, imagePrompt, getReplyMedia(ctx.message));
+    }
+    if (!shouldHandleGroupMedia(ctx, 'files')) return;
     // Use the highest resolution photo
-    const fileId = ctx.message.photo[ctx.message.photo.length - 1].file_id;
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
     const mimeType = 'image/jpeg'; // Assume JPEG for Telegram photos
-    const userPrompt = ctx.message.caption || " ";
-    await handleFile(ctx, fileId, mimeType, userPrompt, "изображение");
-});
-
-// List of supported MIME types for documents (adjust as needed)
-const supportedMimeTypes = [
-    'text/plain', 'application/pdf', 'image/png', 'image/jpeg', 'text/csv',
-    'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // doc, docx
-    'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // xls, xlsx
-    // Add video/audio types if needed and supported by the Gemini model
-    'audio/mpeg', 'audio/ogg', 'audio/wav', // Common audio formats
-    // 'video/mp4', 'video/quicktime', // Common video formats - uncomment if needed
-];
+    await receiveFile(ctx, { fileId: photo.file_id, uniqueId: photo.file_unique_id, mimeType, typeName: "изображение", fileName: '', defaultPrompt: " " });
+});
 
 bot.on('document', async (ctx) => {
-    const fileId = ctx.message.document.file_id;
-    const mimeType = ctx.message.document.mime_type;
+    // A file captioned "/import" is a conversation to restore (see Export and Import)
+    if (isImportCaption(ctx)) {
+        return handleImportDocument(ctx, ctx.message.document);
+    }
+    if (!shouldHandleGroupMedia(ctx, 'files')) return;
+    if (await rejectTooLargeFile(ctx, ctx.message.document, 'документ')) return;
+    const { file_id: fileId, file_unique_id: uniqueId } = ctx.message.document;
     const fileName = ctx.message.document.file_name || 'документ';
 
-    if (!mimeType || !supportedMimeTypes.includes(mimeType)) {
-        console.log(`Попытка загрузить неподдерживаемый тип документа: ${mimeType} (${fileName})`);
-        return ctx.reply(`Извините, я не поддерживаю файлы (${fileName}) с MIME-типом: ${mimeType || 'не определен'}. Поддерживаемые типы: ${supportedMimeTypes.join(', ')}`);
+    // Telegram's MIME type is a guess by the sender's app, the contents tell the real one
+    let document;
+    try {
+        document = await prepareDocument(ctx, ctx.message.document);
+    } catch (error) {
+        log.error('Не удалось прочитать документ', { fileName, error });
+        return ctx.reply(`Не удалось прочитать файл (${fileName}): ${error.message || error}`, getReplyExtra(ctx));
+    }
+    const { mimeType, buffer, text } = document;
+
+    if (LEGACY_OFFICE_MIME_TYPES.includes(mimeType)) {
+        return ctx.reply(`Старые форматы Word и Excel (${fileName}) я не читаю. Сохраните файл как DOCX, XLSX или PDF и пришлите снова.`, getReplyExtra(ctx));
+    }
+    if (!supportedMimeTypes.includes(mimeType)) {
+        log.info(`Попытка загрузить неподдерживаемый тип документа: ${mimeType}`, { fileName });
+        return ctx.reply(`Извините, я не поддерживаю файлы (${fileName}) с MIME-типом: ${mimeType}. Поддерживаемые типы: ${supportedMimeTypes.join(', ')}`, getReplyExtra(ctx));
     }
 
-    const userPrompt = ctx.message.caption || `Проанализируй содержимое файла "${fileName}".`;
-    await handleFile(ctx, fileId, mimeType, userPrompt, "документ", `"${fileName}"`);
+    const defaultPrompt = `Проанализируй содержимое файла "${fileName}".`;
+    await receiveFile(ctx, { fileId, uniqueId, mimeType, typeName: "документ", fileName: `"${fileName}"`, defaultPrompt, buffer, text });
 });
 
 bot.on('voice', async (ctx) => {
-    const fileId = ctx.message.voice.file_id;
+    if (!shouldHandleGroupMedia(ctx, 'voice')) return;
+    const { file_id: fileId, file_unique_id: uniqueId } = ctx.message.voice;
     // Telegram voice messages are often opus in ogg container
     const mimeType = ctx.message.voice.mime_type || 'audio/ogg';
-    const userPrompt = " "; // Changed prompt to be more specific
-    await handleFile(ctx, fileId, mimeType, userPrompt, "голосовое сообщение");
+    const file = { fileId, uniqueId, mimeType, typeName: "голосовое сообщение", fileName: '', defaultPrompt: " " };
+    // A voice note collected into /batch stays audio
+    if (getVoiceSettings(getStateId(ctx)).transcribe && !getFileBatch(ctx)) {
+        return transcribeVoiceMessage(ctx, file);
+    }
+    await receiveFile(ctx, file);
+});
+
+// Videos are usually large enough to go through the Gemini File API (see buildFilePart)
+bot.on('video', async (ctx) => {
+    if (!shouldHandleGroupMedia(ctx, 'video')) return;
+    if (await rejectTooLargeFile(ctx, ctx.message.video, 'видео')) return;
+    const { file_id: fileId, file_unique_id: uniqueId } = ctx.message.video;
+    const mimeType = ctx.message.video.mime_type || 'video/mp4';
+    const fileName = ctx.message.video.file_name ? `"${ctx.message.video.file_name}"` : '';
+
+    if (!supportedMimeTypes.includes(mimeType)) {
+        log.info(`Попытка загрузить неподдерживаемый тип видео: ${mimeType}`);
+        return ctx.reply(`Извините, я не поддерживаю видео с MIME-типом: ${mimeType}. Поддерживаемые типы: ${supportedMimeTypes.join(', ')}`, getReplyExtra(ctx));
+    }
+
+    await receiveFile(ctx, { fileId, uniqueId, mimeType, typeName: "видео", fileName, defaultPrompt: "Опиши, что происходит на видео." });
+});
+
+bot.on('video_note', async (ctx) => {
+    if (!shouldHandleGroupMedia(ctx, 'video')) return;
+    if (await rejectTooLargeFile(ctx, ctx.message.video_note, 'видеосообщение')) return;
+    const { file_id: fileId, file_unique_id: uniqueId } = ctx.message.video_note;
+    const mimeType = 'video/mp4'; // Video notes are always MP4
+    if (!supportedMimeTypes.includes(mimeType)) {
+        return ctx.reply(`Извините, видеосообщения (${mimeType}) отключены в настройках бота.`, getReplyExtra(ctx));
+    }
+    await receiveFile(ctx, { fileId, uniqueId, mimeType, typeName: "видеосообщение", fileName: '', defaultPrompt: " " });
 });
 
+// --- HTTP Server ---
+
+// Optional built-in HTTP server for deployments behind a reverse proxy: the Telegram webhook, /healthz and /metrics.
+// It runs when WEBHOOK_URL or HTTP_PORT is set. With WEBHOOK_URL the bot registers it as its webhook on start and gets updates
+// there instead of long polling; Telegram sends WEBHOOK_SECRET in a header, requests without it are refused.
+// Without WEBHOOK_URL the bot polls as usual (removing a webhook left from an earlier run) and the server only has /healthz and /metrics.
+const WEBHOOK_URL = process.env.WEBHOOK_URL || '';
+// Stable across restarts, so updates Telegram already queued for the webhook are still accepted
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || crypto.createHash('sha256').update(`webhook:${process.env.BOT_TOKEN}`).digest('hex');
+const HTTP_PORT = Number(process.env.HTTP_PORT) || (WEBHOOK_URL ? 8080 : 0);
+// Only the local proxy reaches the server by default: /healthz and /metrics tell a lot about the bot.
+// Set HTTP_HOST=0.0.0.0 when the proxy is on another host (or container), and METRICS_TOKEN to keep /metrics private.
+const HTTP_HOST = process.env.HTTP_HOST || '127.0.0.1';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const WEBHOOK_MAX_BODY_BYTES = 1024 * 1024;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const HEALTH_CACHE_MS = 10 * 1000; // Probes may come every second, Telegram and Gemini are asked at most this often
+
+let webhookPath = null;
+if (WEBHOOK_URL) {
+    try {
+        webhookPath = new URL(WEBHOOK_URL).pathname;
+    } catch (error) {
+        log.error(`WEBHOOK_URL не является ссылкой (${WEBHOOK_URL}), бот не запущен.`);
+        process.exit(1);
+    }
+}
+if (!/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+    log.error('WEBHOOK_SECRET должен состоять из латинских букв, цифр, "_" и "-" (до 256 символов), бот не запущен.');
+    process.exit(1);
+}
+
+let httpServer = null;
+let healthCache = null; // { checkedAt, promise }
+
+function sendHttpResponse(res, status, body, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+async function readRequestBody(req, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new Error(`тело запроса больше ${maxBytes} байт`);
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Constant-time comparison, the hashes make the lengths equal
+function isSecretEqual(token, secret) {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(token), hash(secret));
+}
+
+function isWebhookSecretValid(token) {
+    return isSecretEqual(token, WEBHOOK_SECRET);
+}
+
+// With METRICS_TOKEN, /metrics wants "Authorization: Bearer <token>" (Prometheus: authorization.credentials)
+function isMetricsRequestAllowed(req) {
+    return !METRICS_TOKEN || isSecretEqual(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`);
+}
+
+async function handleWebhookRequest(req, res) {
+    if (req.method !== 'POST') {
+        return sendHttpResponse(res, 405, 'Method Not Allowed');
+    }
+    if (!isWebhookSecretValid(req.headers['x-telegram-bot-api-secret-token'] || '')) {
+        log.warn(`Запрос к вебхуку без верного секрета с адреса ${req.socket.remoteAddress}.`);
+        return sendHttpResponse(res, 401, 'Unauthorized');
+    }
+    let update;
+    try {
+        update = JSON.parse(await readRequestBody(req, WEBHOOK_MAX_BODY_BYTES));
+    } catch (error) {
+        log.warn('Вебхук получил некорректный запрос', { reason: error.message });
+        return sendHttpResponse(res, 400, 'Bad Request');
+    }
+    if (!isPlainObject(update) || !Number.isInteger(update.update_id)) {
+        return sendHttpResponse(res, 400, 'Bad Request');
+    }
+    // Answer at once: a streamed answer takes longer than Telegram waits, and it would send the update again.
+    // Without a response object Telegraf makes every call through the API, so ctx.reply returns the sent message as in polling.
+    sendHttpResponse(res, 200, 'OK');
+    bot.handleUpdate(update).catch((error) => handleCriticalError(error, 'webhookUpdate')); // Like an error in polling
+}
+
+// Run a check with a time limit: { ok, latencyMs, ...what it returned } or { ok: false, latencyMs, error }
+async function runHealthCheck(check) {
+    const startedAt = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`нет ответа за ${HEALTH_CHECK_TIMEOUT_MS} мс`)), HEALTH_CHECK_TIMEOUT_MS);
+    });
+    try {
+        const details = await Promise.race([check(), timeout]);
+        return { ok: true, latencyMs: Date.now() - startedAt, ...details };
+    } catch (error) {
+        return { ok: false, latencyMs: Date.now() - startedAt, error: error.message || String(error) };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Is Telegram reachable (and in webhook mode, does it deliver to us), is Gemini reachable with our key
+function getHealth() {
+    if (healthCache && Date.now() - healthCache.checkedAt < HEALTH_CACHE_MS) {
+        return healthCache.promise;
+    }
+    const promise = Promise.all([
+        runHealthCheck(async () => {
+            if (!WEBHOOK_URL) {
+                await bot.telegram.getMe();
+                return {};
+            }
+            const info = await bot.telegram.getWebhookInfo();
+            if (info.url !== WEBHOOK_URL) {
+                throw new Error(`вебхук ${WEBHOOK_URL} не зарегистрирован в Telegram`);
+            }
+            return { pendingUpdates: info.pending_update_count, lastError: info.last_error_message };
+        }),
+        // countTokens is free and checks the key and the model
+        runHealthCheck(async () => {
+            await genAI.getGenerativeModel({ model: DEFAULT_MODEL_ID }).countTokens('ping');
+            return { model: DEFAULT_MODEL_ID };
+        }),
+    ]).then(([telegram, gemini]) => ({
+        status: telegram.ok && gemini.ok ? 'ok' : 'error',
+        mode: WEBHOOK_URL ? 'webhook' : 'polling',
+        uptimeSeconds: Math.round((Date.now() - processStartedAt) / 1000),
+        telegram,
+        gemini,
+        unavailableModels: Object.keys(ALLOWED_MODELS).filter(key => !isModelAvailable(key)),
+    }));
+    healthCache = { checkedAt: Date.now(), promise };
+    return promise;
+}
+
+async function handleHttpRequest(req, res) {
+    try {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (webhookPath && pathname === webhookPath) {
+            return await handleWebhookRequest(req, res);
+        }
+        if (pathname === '/healthz') {
+            const health = await getHealth();
+            return sendHttpResponse(res, health.status === 'ok' ? 200 : 503, JSON.stringify(health), 'application/json');
+        }
+        if (pathname === '/metrics') {
+            if (!isMetricsRequestAllowed(req)) {
+                return sendHttpResponse(res, 401, 'Unauthorized');
+            }
+            return sendHttpResponse(res, 200, renderMetrics(), 'text/plain; version=0.0.4; charset=utf-8');
+        }
+        sendHttpResponse(res, 404, 'Not Found');
+    } catch (error) {
+        log.error(`Ошибка HTTP-сервера (${req.method} ${req.url})`, { error });
+        if (!res.headersSent) {
+            sendHttpResponse(res, 500, 'Internal Server Error');
+        }
+    }
+}
+
+function startHttpServer() {
+    if (!HTTP_PORT) {
+        return Promise.resolve();
+    }
+    httpServer = http.createServer(handleHttpRequest);
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(HTTP_PORT, HTTP_HOST, () => {
+            log.info(`HTTP-сервер слушает ${HTTP_HOST}:${HTTP_PORT}: /healthz, /metrics${webhookPath ? `, вебхук ${webhookPath}` : ''}.`);
+            resolve();
+        });
+    });
+}
+
+// In webhook mode bot.launch() isn't used: it would start Telegraf's own server, which holds Telegram's request
+// until the update is handled (see handleWebhookRequest). Polling mode resolves when the bot stops.
+async function launchBot() {
+    await startHttpServer();
+    if (!WEBHOOK_URL) {
+        return bot.launch();
+    }
+    bot.botInfo = await bot.telegram.getMe();
+    // Not fatal: updates POSTed by hand still work (e.g. testing locally), and /healthz reports the webhook as missing
+    await bot.telegram.setWebhook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET }).catch((error) => {
+        log.error(`Не удалось зарегистрировать вебхук ${WEBHOOK_URL}`, { error });
+    });
+}
+
+// The webhook stays registered: Telegram keeps the updates until the bot is back
+function stopBot(reason) {
+    httpServer?.close();
+    if (!WEBHOOK_URL) {
+        bot.stop(reason);
+    }
+}
+
 // --- Error Handling and Restart Logic ---
 
 let consecutiveCrashCount = 0;
 const MAX_CONSECUTIVE_CRASHES = 5;
 let lastCrashTime = 0;
 
-const handleCriticalError = (error, origin) => {
-    console.error(`\n====================================`);
-    console.error(`CRITICAL ERROR DETECTED (${origin})`);
-    console.error(`Time: ${new Date().toISOString()}`);
-    console.error(error.stack || error);
-    console.error(`====================================\n`);
+// Flush and close the storage backend. Never rejects, it is called on the way out.
+const closeStorage = () => storage.close().catch((error) => {
+    log.error('Ошибка при закрытии хранилища', { error });
+});
 
+const handleCriticalError = (error, origin) => {
+    incrementMetric('bot_errors_total', { source: 'critical' });
 
     const now = Date.now();
     // Reset counter if the last crash was more than a minute ago
@@ -565,66 +7320,102 @@ const handleCriticalError = (error, origin) => {
     lastCrashTime = now;
     consecutiveCrashCount++;
 
-    console.error(`Consecutive crash count: ${consecutiveCrashCount}/${MAX_CONSECUTIVE_CRASHES}`);
+    log.error(`Критическая ошибка (${origin}), подряд: ${consecutiveCrashCount}/${MAX_CONSECUTIVE_CRASHES}`, { origin, error, crashCount: consecutiveCrashCount });
 
     if (consecutiveCrashCount >= MAX_CONSECUTIVE_CRASHES) {
-        console.error(`Max consecutive crash limit reached. Forcing shutdown (exit code 0). PM2 should NOT restart.`);
+        log.error('Достигнут предел критических ошибок подряд, завершаю работу с кодом 0 (PM2 не перезапустит бота).');
         // Attempt graceful stop, then exit with 0
-        bot.stop('CRITICAL_ERROR_LIMIT');
+        stopBot('CRITICAL_ERROR_LIMIT');
+        closeStorage();
         setTimeout(() => process.exit(0), 1500);
     } else {
-        console.error('Attempting graceful shutdown for restart (exit code 1). PM2 should restart.');
+        log.error('Останавливаю бота для перезапуска, код выхода 1 (PM2 перезапустит бота).');
         // Attempt graceful stop, then exit with 1
-        bot.stop('CRITICAL_ERROR_RESTART');
+        stopBot('CRITICAL_ERROR_RESTART');
+        closeStorage(); // Flush pending state so the restarted process picks it up
         setTimeout(() => process.exit(1), 1500); // Give time for stop signal
     }
 };
 
 // Catch unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise);
     handleCriticalError(reason instanceof Error ? reason : new Error(String(reason)), 'unhandledRejection');
 });
 
 // Catch uncaught exceptions
 process.on('uncaughtException', (err, origin) => {
-    console.error('Uncaught Exception:', origin);
     handleCriticalError(err, origin);
 });
 
 
-// --- Bot Launch ---
-bot.launch().then(() => {
-    console.log('------------------------------------');
-    console.log('Бот успешно запущен!');
-    // --- >>>> START MULTI-USER CHANGE <<<< ---
-    // Display resolved user IDs at launch
-    if (allowedUserIdsSet.size > 0) {
-        console.log(`Разрешенные пользователи (ID): ${[...allowedUserIdsSet].join(', ')}`);
-    } else {
-         console.warn("ПРЕДУПРЕЖДЕНИЕ: Список разрешенных пользователей (ALLOWED_USER_IDS в .env) пуст!");
+// --- Configuration Reload ---
+
+let isReloadingConfig = false;
+
+// Re-read CONFIG_FILE and apply it if valid. An invalid or missing file keeps the current configuration.
+// User state is untouched: conversations on a removed model fall back to the default one (see getModelInstance).
+async function reloadConfig(reason) {
+    if (isReloadingConfig) {
+        return;
+    }
+    isReloadingConfig = true;
+    try {
+        const { config, errors, missing } = await loadConfig(CONFIG_FILE);
+        if (missing) {
+            log.warn(`Файл конфигурации ${CONFIG_FILE} не найден (${reason}), оставлена текущая конфигурация.`);
+            return;
+        }
+        if (!config) {
+            log.error(`Ошибка в файле конфигурации ${CONFIG_FILE} (${reason}), оставлена текущая конфигурация:`);
+            logConfigErrors(errors);
+            return;
+        }
+        applyConfig(config);
+        log.info(`Конфигурация перечитана (${reason}): моделей ${MODEL_COMMANDS.length}, по умолчанию ${DEFAULT_MODEL_ID}, разрешенных пользователей ${allowedUserIdsSet.size}.`);
+        await registerBotCommands();
+    } finally {
+        isReloadingConfig = false;
+    }
+}
+
+process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+// Polling instead of fs.watch: editors often replace the file, which breaks inotify watches
+fs.watchFile(CONFIG_FILE, { interval: CONFIG_WATCH_INTERVAL_MS }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+        reloadConfig('файл изменён');
     }
-    // --- >>>> END MULTI-USER CHANGE <<<< ---
-    console.log(`Модель по умолчанию: ${DEFAULT_MODEL_ID} (ключ: ${DEFAULT_MODEL_KEY})`);
-    console.log(`Доступные модели (команды):`);
-    MODEL_COMMANDS.forEach(cmd => {
-        const key = cmd.substring(1);
-        console.log(`  ${cmd} -> ${ALLOWED_MODELS[key] || 'N/A'}`); // Added fallback for safety
+}).unref();
+
+
+// --- Bot Launch ---
+registerBotCommands(); // Doesn't need polling, and bot.launch() only settles when the bot stops
+startJobScheduler(); // Posts with bot.telegram, which works before launch too
+launchBot().then(() => {
+    // One entry with the resolved settings, so a JSON log keeps them together
+    log.info('Бот успешно запущен, ожидание сообщений.', {
+        admins: [...ADMIN_USER_IDS],
+        allowedUsers: [...allowedUserIdsSet],
+        grantedRoles: Object.keys(accessControl.users).length,
+        config: `${CONFIG_FILE}${fs.existsSync(CONFIG_FILE) ? '' : ' (не найдена, настройки по умолчанию)'}`,
+        updates: WEBHOOK_URL ? `вебхук ${WEBHOOK_URL}` : 'long polling',
+        storage: `${storage.name}${storage.name === 'json' ? ` (${STORAGE_FILE})` : ''}`,
+        defaultModel: `${DEFAULT_MODEL_ID} (ключ: ${DEFAULT_MODEL_KEY})`,
+        models: Object.fromEntries(MODEL_COMMANDS.map(cmd => [cmd, ALLOWED_MODELS[cmd.substring(1)] || 'N/A'])),
     });
-    console.log('Ожидание сообщений...');
-    console.log('------------------------------------');
     consecutiveCrashCount = 0; // Reset crash count on successful launch
 }).catch(err => {
-    console.error('Критическая ошибка при запуске бота:', err);
+    log.error('Критическая ошибка при запуске бота', { error: err });
     handleCriticalError(err, 'botLaunch'); // Trigger restart logic if launch fails
 });
 
 // --- Graceful Shutdown Signals ---
-const gracefulStop = (signal) => {
-     console.log(`\nПолучен сигнал ${signal}. Останавливаю бота...`);
+const gracefulStop = async (signal) => {
+     log.info(`Получен сигнал ${signal}. Останавливаю бота...`);
      // pm2 sends SIGINT, nodemon sends SIGUSR2, etc.
-     bot.stop(signal);
-     console.log('Бот остановлен.');
+     stopJobScheduler();
+     stopBot(signal);
+     await closeStorage();
+     log.info('Бот остановлен.');
      process.exit(0); // Exit cleanly
 };
 
@@ -632,7 +7423,7 @@ process.once('SIGINT', () => gracefulStop('SIGINT'));
 process.once('SIGTERM', () => gracefulStop('SIGTERM'));
 process.once('SIGUSR2', () => gracefulStop('SIGUSR2')); // Often used by nodemon
 
-console.log("--- Инициализация бота завершена. Запускаю... ---");
+log.info("--- Инициализация бота завершена. Запускаю... ---");
 
 /*
 --- Использование с PM2 для авто-рестарта ---
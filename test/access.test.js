@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+test('a single-use invite grants its role once', async () => {
+    const bot = await startBot();
+    try {
+        await bot.post(textMessage(1, '/invite guest 1'));
+        const invite = await bot.waitFor(() => bot.sent('sendMessage').find(message => message.text?.startsWith('🎟')));
+        const token = invite.text.match(/start=([\w-]+)/)[1];
+        await bot.post(textMessage(55, `/start ${token}`));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.chat_id === 55 && message.text?.startsWith('✅ Доступ открыт')));
+        await bot.post(textMessage(56, `/start ${token}`));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.chat_id === 56 && message.text?.startsWith('Приглашение недействительно')));
+
+        const state = await bot.waitFor(() => bot.readState().access?.users?.[55] && bot.readState());
+        assert.equal(state.access.users[55].role, 'guest');
+        assert.deepEqual(state.access.invites, {});
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('/limits changes one limit and keeps the others', async () => {
+    const bot = await startBot();
+    try {
+        await bot.post(textMessage(1, '/limits role guest dailyRequests 5'));
+        await bot.post(textMessage(1, '/limits role user dailyTokens 1000'));
+        await bot.post(textMessage(1, '/limits role user dailyTokens none'));
+        await bot.post(textMessage(1, '/limits role user monthlyRequests 300'));
+        await bot.waitFor(() => bot.sent('sendMessage').filter(message => message.text === '✅ Лимиты использования обновлены.').length === 4);
+        const state = await bot.waitFor(() => bot.readState().quotas?.roles?.user?.monthlyRequests && bot.readState());
+        assert.deepEqual(state.quotas.roles, { guest: { dailyRequests: 5 }, user: { monthlyRequests: 300 } });
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('/defaults changes one setting and keeps the others', async () => {
+    const bot = await startBot();
+    try {
+        await bot.post(textMessage(1, '/defaults set temperature 0.5'));
+        await bot.post(textMessage(1, '/defaults limit topK 40'));
+        await bot.post(textMessage(1, '/defaults safety hate BLOCK_ONLY_HIGH'));
+        await bot.post(textMessage(1, '/defaults set topP 0.9'));
+        await bot.post(textMessage(1, '/defaults unset temperature'));
+        await bot.waitFor(() => bot.sent('sendMessage').filter(message => message.text === '✅ Глобальные настройки генерации обновлены.').length === 5);
+        const settings = await bot.waitFor(() => {
+            const stored = bot.readState()['settings:global'];
+            return stored?.defaults.topP && !('temperature' in stored.defaults) && stored;
+        });
+        assert.deepEqual(settings, { defaults: { topP: 0.9, safety: { hate: 'BLOCK_ONLY_HIGH' } }, limits: { topK: 40 } });
+    } finally {
+        await bot.stop();
+    }
+});
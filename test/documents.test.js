@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot } from './helpers/bot.js';
+import { createZip } from './helpers/zip.js';
+
+const MB = 1024 * 1024;
+
+// Sent as application/octet-stream, as many apps do: the bot has to tell the type from the contents
+function documentMessage(userId, fileId, messageId) {
+    return {
+        message: {
+            message_id: messageId,
+            from: { id: userId, is_bot: false, first_name: 'Test' },
+            chat: { id: userId, type: 'private' },
+            date: Math.floor(Date.now() / 1000),
+            document: { file_id: fileId, file_unique_id: `u-${fileId}`, file_name: fileId, mime_type: 'application/octet-stream' },
+        },
+    };
+}
+
+// What the model got for the document: the extracted text, or the file part
+async function sendDocument(bot, fileId, messageId) {
+    const before = bot.geminiRequests().length;
+    await bot.post(documentMessage(1, fileId, messageId));
+    const request = await bot.waitFor(() => bot.geminiRequests()[before]);
+    const parts = request.request.contents?.at(-1).parts || request.request.message;
+    return parts.find(part => part.text?.startsWith('Содержимое файла') || part.inlineData);
+}
+
+// An ISO media file ("ftyp" box) with the given brand
+function isoMedia(brand) {
+    const box = Buffer.alloc(32);
+    box.writeUInt32BE(32, 0);
+    box.write(`ftyp${brand}`, 4, 'latin1');
+    return box;
+}
+
+test('DOCX and XLSX are recognized by their contents and converted to text', async () => {
+    const docx = createZip([
+        { name: '[Content_Types].xml', data: '<Types/>' },
+        { name: 'word/document.xml', data: '<w:document><w:body><w:p><w:r><w:t>Отчёт &amp; итоги</w:t></w:r></w:p>' +
+            '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>A1</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>B1</w:t></w:r></w:p></w:tc></w:tr></w:tbl></w:body></w:document>' },
+    ]);
+    const xlsx = createZip([
+        { name: 'xl/workbook.xml', data: '<workbook><sheets><sheet name="Данные" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+        { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>' },
+        { name: 'xl/sharedStrings.xml', data: '<sst><si><t>Имя</t></si><si><t>Анна</t></si></sst>' },
+        { name: 'xl/worksheets/sheet1.xml', data: '<worksheet><sheetData>' +
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Возраст</t></is></c></row>' +
+            '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="C2"><v>30</v></c></row></sheetData></worksheet>' },
+    ]);
+    const bot = await startBot({ files: { 'report.bin': docx, 'table.bin': xlsx } });
+    try {
+        const docxPart = await sendDocument(bot, 'report.bin', 1);
+        assert.equal(docxPart.text, 'Содержимое файла "report.bin":\nОтчёт & итоги\nA1\tB1');
+        const xlsxPart = await sendDocument(bot, 'table.bin', 2);
+        assert.equal(xlsxPart.text, 'Содержимое файла "table.bin":\n## Лист "Данные"\nИмя\t\tВозраст\nАнна\t\t30');
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('HEIF and AVIF images are told apart from MP4 videos in the same container', async () => {
+    const bot = await startBot({ files: { 'photo.heic': isoMedia('heic'), 'photo.avif': isoMedia('avif'), 'clip.mp4': isoMedia('isom') } });
+    try {
+        const videoPart = await sendDocument(bot, 'clip.mp4', 1);
+        assert.equal(videoPart.inlineData.mimeType, 'video/mp4');
+        await bot.post(documentMessage(1, 'photo.heic', 2));
+        await bot.post(documentMessage(1, 'photo.avif', 3));
+        const refusals = await bot.waitFor(() => {
+            const replies = bot.sent('sendMessage').filter(message => message.text?.startsWith('Извините, я не поддерживаю'));
+            return replies.length === 2 && replies;
+        });
+        assert.deepEqual(refusals.map(message => message.text.match(/MIME-типом: ([\w/]+)/)[1]).sort(), ['image/avif', 'image/heic']);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('an archive that lies about its size is unpacked no further than the entry limit', async () => {
+    // 16 MB of zeros deflate to a few KB; the headers claim 100 bytes
+    const bomb = createZip([
+        { name: 'bomb.txt', data: Buffer.alloc(16 * MB, 0x20), size: 100 },
+        { name: 'readme.txt', data: 'Обычный файл' },
+    ]);
+    const bot = await startBot({ files: { 'bomb.zip': bomb } });
+    try {
+        const { text } = await sendDocument(bot, 'bomb.zip', 1);
+        assert.match(text, /- bomb\.txt \(100 байт\)/);
+        assert.match(text, /=== bomb\.txt ===\n\[Не удалось прочитать: .+\]/);
+        assert.match(text, /=== readme\.txt ===\nОбычный файл/);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('archives are listed up to 500 entries and unpacked up to 200 entries, 5 MB an entry and 20 MB in total', async () => {
+    const many = createZip(Array.from({ length: 520 }, (_, index) => ({ name: `notes/${String(index).padStart(3, '0')}.txt`, data: `заметка ${index}` })));
+    const large = createZip([
+        { name: 'big.txt', data: Buffer.alloc(6 * MB, 0x61) }, // Over the entry limit, only listed
+        // Binary data is read and counted, but not shown
+        ...Array.from({ length: 5 }, (_, index) => ({ name: `blob-${index}.txt`, data: Buffer.alloc(4 * MB) })),
+        { name: 'last.txt', data: 'после 20 МБ' },
+    ]);
+    const bot = await startBot({ files: { 'many.zip': many, 'large.zip': large } });
+    try {
+        const { text: manyText } = await sendDocument(bot, 'many.zip', 1);
+        assert.match(manyText, /файлов: 520/);
+        assert.match(manyText, /- notes\/499\.txt/);
+        assert.doesNotMatch(manyText, /- notes\/500\.txt/);
+        assert.match(manyText, /- … и ещё 20/);
+        assert.equal(manyText.match(/^=== notes\//gm).length, 200);
+        assert.match(manyText, /\[Остальные файлы архива не прочитаны: превышен предел на распаковку\]$/);
+
+        const { text: largeText } = await sendDocument(bot, 'large.zip', 2);
+        assert.match(largeText, /- big\.txt \(6291456 байт\)/);
+        assert.doesNotMatch(largeText, /=== big\.txt ===/);
+        assert.doesNotMatch(largeText, /после 20 МБ/);
+        assert.match(largeText, /\[Остальные файлы архива не прочитаны: превышен предел на распаковку\]$/);
+    } finally {
+        await bot.stop();
+    }
+});
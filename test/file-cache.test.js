@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot } from './helpers/bot.js';
+
+function videoMessage(userId, fileId, { uniqueId = `u-${fileId}`, fileSize = 64 } = {}) {
+    return {
+        message: {
+            message_id: 700,
+            from: { id: userId, is_bot: false, first_name: 'Test' },
+            chat: { id: userId, type: 'private' },
+            date: Math.floor(Date.now() / 1000),
+            video: { file_id: fileId, file_unique_id: uniqueId, duration: 1, width: 1, height: 1, mime_type: 'video/mp4', file_size: fileSize },
+        },
+    };
+}
+
+// fileData parts of the user turns sent to the model
+const videoRequests = (bot) => bot.geminiRequests()
+    .map(({ request }) => (request.contents?.at(-1).parts || request.message || []).find(part => part.fileData))
+    .filter(Boolean);
+
+test('an uploaded file is cached by file_unique_id and not downloaded again', async () => {
+    const bot = await startBot({ env: { FILE_API_THRESHOLD_BYTES: '10' }, files: { 'clip.mp4': Buffer.alloc(64, 1) } });
+    try {
+        await bot.post(videoMessage(1, 'clip.mp4'));
+        await bot.waitFor(() => videoRequests(bot).length === 1);
+        // Another file_id of the same file (e.g. forwarded) is recognized by its file_unique_id
+        await bot.post(videoMessage(1, 'forwarded-clip.mp4', { uniqueId: 'u-clip.mp4' }));
+        await bot.waitFor(() => videoRequests(bot).length === 2);
+
+        const [first, second] = videoRequests(bot);
+        assert.match(first.fileData.fileUri, /\/v1beta\/files\/fake-1$/);
+        assert.equal(second.fileData.fileUri, first.fileData.fileUri);
+        assert.deepEqual(bot.sent('getFile').map(call => call.file_id), ['clip.mp4']);
+        await bot.waitFor(() => bot.readState()['file:u-clip.mp4']?.expiresAt > Date.now());
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('expired cache entries are removed at startup and uploaded again', async () => {
+    const expired = { name: 'files/old', uri: 'https://generativelanguage.googleapis.com/v1beta/files/old', mimeType: 'video/mp4', expiresAt: Date.now() - 1000 };
+    const bot = await startBot({
+        env: { FILE_API_THRESHOLD_BYTES: '10' },
+        files: { 'clip.mp4': Buffer.alloc(64, 1) },
+        state: { 'file:u-clip.mp4': expired, 'file:u-forgotten': expired },
+    });
+    try {
+        await bot.waitFor(() => !bot.readState()['file:u-forgotten']);
+        await bot.post(videoMessage(1, 'clip.mp4'));
+        await bot.waitFor(() => videoRequests(bot).length === 1);
+        assert.notEqual(videoRequests(bot)[0].fileData.fileUri, expired.uri);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('files over the 20 MB Bot API limit are refused without downloading', async () => {
+    const bot = await startBot();
+    try {
+        await bot.post(videoMessage(1, 'huge.mp4', { fileSize: 25 * 1024 * 1024 }));
+        const reply = await bot.waitFor(() => bot.sent('sendMessage').find(message => message.text.includes('20 МБ')));
+        assert.match(reply.text, /25\.0 МБ/);
+        assert.equal(bot.sent('getFile').length, 0);
+        assert.equal(bot.geminiRequests().length, 0);
+    } finally {
+        await bot.stop();
+    }
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+test('"Stop" ends the wait between retries of a failing model at once', async () => {
+    const bot = await startBot({ env: { FAKE_GEMINI_STATUS: '503' } });
+    try {
+        await bot.post(textMessage(1, 'Привет'));
+        const placeholder = await bot.waitFor(() => bot.calls.find(call => call.method === 'sendMessage' && call.payload.text === '...'));
+        await bot.waitFor(() => bot.geminiRequests().length === 1);
+        // The first retry waits a second
+        const stoppedAt = Date.now();
+        await bot.post({
+            callback_query: {
+                id: 'stop-1',
+                from: { id: 1, is_bot: false, first_name: 'Test' },
+                message: { message_id: placeholder.result.message_id, chat: { id: 1, type: 'private' }, date: 0, text: '...' },
+                chat_instance: '1',
+                data: 'stop_generation',
+            },
+        });
+        await bot.waitFor(() => bot.sent('answerCallbackQuery').some(answer => answer.text === 'Генерация остановлена.'));
+        await bot.waitFor(() => bot.output.some(line => line.includes('остановил генерацию')));
+        await bot.waitFor(() => bot.sent('editMessageText').some(message => message.message_id === placeholder.result.message_id));
+        assert.ok(Date.now() - stoppedAt < 900, 'бот дождался конца паузы перед повтором');
+        assert.equal(bot.geminiRequests().length, 1, 'запрос повторён после остановки');
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('history summaries get their own output budget, not the user\'s maxOutputTokens, and add only their tokens to the usage', async () => {
+    const bot = await startBot({ env: { HISTORY_TOKEN_BUDGET: '300' } });
+    try {
+        await bot.post(textMessage(1, '/settings maxOutputTokens 16'));
+        const isSummary = request => request.request.contents?.at(-1).parts[0].text.startsWith('Кратко перескажи');
+        for (let turn = 1; !bot.geminiRequests().some(isSummary); turn++) {
+            assert.ok(turn <= 8, 'история не была свёрнута');
+            await bot.post(textMessage(1, `Вопрос ${turn}: ${'длинный текст '.repeat(10)}`, { messageId: turn }));
+            await bot.waitFor(() => bot.sent('editMessageText').filter(message => message.text?.includes('Ответ модели')).length === turn);
+        }
+        const summary = bot.geminiRequests().find(isSummary);
+        assert.equal(summary.request.generationConfig.maxOutputTokens, 8192);
+        const answer = bot.geminiRequests().findLast(request => request.request.message);
+        assert.equal(answer.generationConfig.maxOutputTokens, 16);
+
+        // Each request of the fake reports 5 output tokens; the summaries aren't requests the user made
+        const answers = bot.geminiRequests().filter(request => request.request.message).length;
+        const summaries = bot.geminiRequests().filter(isSummary).length;
+        const usage = await bot.waitFor(() => {
+            const days = Object.values(bot.readState()['user:1']?.usage || {});
+            return days[0]?.outputTokens === 5 * (answers + summaries) && days[0];
+        });
+        assert.equal(usage.requests, answers);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('in groups a history summary is counted to the member who asked, not to the group', async () => {
+    const bot = await startBot({ env: { HISTORY_TOKEN_BUDGET: '300' } });
+    const chat = { id: -100123, type: 'supergroup', title: 'Группа' };
+    try {
+        const isSummary = request => request.request.contents?.at(-1).parts[0].text.startsWith('Кратко перескажи');
+        for (let turn = 1; !bot.geminiRequests().some(isSummary); turn++) {
+            assert.ok(turn <= 8, 'история не была свёрнута');
+            await bot.post(textMessage(1, `/ask Вопрос ${turn}: ${'длинный текст '.repeat(10)}`, { messageId: turn, chat }));
+            await bot.waitFor(() => bot.sent('editMessageText').filter(message => message.text?.includes('Ответ модели')).length === turn);
+        }
+        const answers = bot.geminiRequests().filter(request => request.request.message).length;
+        const summaries = bot.geminiRequests().filter(isSummary).length;
+        const state = await bot.waitFor(() => {
+            const current = bot.readState();
+            return Object.values(current['user:1']?.usage || {})[0]?.outputTokens === 5 * (answers + summaries) && current;
+        });
+        assert.ok(state['chat:-100123'].conversations);
+        assert.equal(state['chat:-100123'].usage, undefined);
+    } finally {
+        await bot.stop();
+    }
+});
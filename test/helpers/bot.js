@@ -0,0 +1,150 @@
+// Runs index.js in webhook mode against the fake APIs of fake-apis.js. Updates are POSTed to the webhook,
+// the calls the bot makes are read back from its stdout.
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+const WEBHOOK_SECRET = 'test-secret';
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start the bot with `env` on top of the test defaults, or `env(dir)` for settings with paths in the bot's
+// temporary directory. `files` ({ name: Buffer | string }) are what Telegram serves for file_id `name`,
+// `state` is the JSON storage the bot starts with.
+export async function startBot({ env = {}, files = {}, state = null } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gemini-bot-test-'));
+    const filesDir = path.join(dir, 'files');
+    fs.mkdirSync(filesDir);
+    for (const [name, contents] of Object.entries(files)) {
+        fs.writeFileSync(path.join(filesDir, name), contents);
+    }
+    if (state) {
+        fs.writeFileSync(path.join(dir, 'state.json'), JSON.stringify(state));
+    }
+    const port = await getFreePort();
+    const child = spawn(process.execPath, ['--import', './test/helpers/fake-apis.js', 'index.js'], {
+        cwd: ROOT,
+        env: {
+            PATH: process.env.PATH,
+            BOT_TOKEN: '1:test',
+            API_KEY: 'test',
+            ADMIN_USER_IDS: '1',
+            CONFIG_FILE: path.join(dir, 'config.json'),
+            STORAGE_FILE: path.join(dir, 'state.json'),
+            WEBHOOK_URL: 'https://bot.example.com/telegram',
+            WEBHOOK_SECRET,
+            HTTP_PORT: String(port),
+            HTTP_HOST: '127.0.0.1',
+            FAKE_FILES_DIR: filesDir,
+            ...(typeof env === 'function' ? env(dir) : env),
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    const calls = [];
+    const output = [];
+    let buffered = '';
+    child.stdout.on('data', (data) => {
+        buffered += data;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            output.push(line);
+            if (line.startsWith('{"fake"')) {
+                calls.push(JSON.parse(line));
+            }
+        }
+    });
+    child.stderr.on('data', data => output.push(String(data)));
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    let nextUpdateId = 1;
+
+    const bot = {
+        dir,
+        baseUrl,
+        calls,
+        output,
+        // Telegram calls of `method`, e.g. bot.sent('sendMessage')
+        sent: (method) => calls.filter(call => call.fake === 'telegram' && call.method === method).map(call => call.payload),
+        geminiRequests: () => calls.filter(call => call.fake === 'gemini').map(call => call.payload),
+        fetch: (urlPath, options) => fetch(`${baseUrl}${urlPath}`, options),
+        post: (update, secret = WEBHOOK_SECRET) => fetch(`${baseUrl}/telegram`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...(secret ? { 'x-telegram-bot-api-secret-token': secret } : {}) },
+            body: JSON.stringify({ update_id: nextUpdateId++, ...update }),
+        }),
+        // The JSON storage as last flushed, empty before the first flush
+        readState: () => {
+            const statePath = path.join(dir, 'state.json');
+            return fs.existsSync(statePath) ? JSON.parse(fs.readFileSync(statePath, 'utf8')) : {};
+        },
+        async waitFor(check, timeoutMs = 5000) {
+            const deadline = Date.now() + timeoutMs;
+            while (Date.now() < deadline) {
+                const result = check();
+                if (result) {
+                    return result;
+                }
+                await sleep(50);
+            }
+            throw new Error(`Не дождались условия за ${timeoutMs} мс. Вывод бота:\n${output.join('\n')}`);
+        },
+        async stop() {
+            if (child.exitCode === null) {
+                child.kill('SIGTERM');
+                await Promise.race([exited, sleep(5000).then(() => child.kill('SIGKILL'))]);
+            }
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+
+    // Ready once the HTTP server answers
+    const deadline = Date.now() + 10000;
+    for (;;) {
+        if (child.exitCode !== null) {
+            throw new Error(`Бот завершился при запуске:\n${output.join('\n')}`);
+        }
+        try {
+            await fetch(`${baseUrl}/metrics`);
+            break;
+        } catch (error) {
+            if (Date.now() > deadline) {
+                await bot.stop();
+                throw new Error(`Бот не запустился:\n${output.join('\n')}`);
+            }
+            await sleep(100);
+        }
+    }
+    return bot;
+}
+
+// A text message from `userId`, in a private chat unless `chat` is given
+export function textMessage(userId, text, { username = `user${userId}`, messageId = Date.now() % 100000, chat = { id: userId, type: 'private' } } = {}) {
+    return {
+        message: {
+            message_id: messageId,
+            from: { id: userId, is_bot: false, first_name: 'Test', username },
+            chat,
+            date: Math.floor(Date.now() / 1000),
+            text,
+            ...(text.startsWith('/') ? { entities: [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }] } : {}),
+        },
+    };
+}
@@ -0,0 +1,164 @@
+// Preloaded into the bot process by startBot (see bot.js): answers Telegram Bot API, Gemini (the File API included)
+// and, through module-hooks.js, Text-to-Speech calls locally.
+// Every call is printed to stdout as a JSON line with a "fake" key, for the tests to inspect.
+import http from 'http';
+import fs from 'fs';
+import { register } from 'module';
+import path from 'path';
+import { Telegram } from 'telegraf';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { GoogleAIFileManager } from '@google/generative-ai/server';
+
+const FILES_DIR = process.env.FAKE_FILES_DIR;
+const REPLY = process.env.FAKE_GEMINI_REPLY || 'Ответ модели';
+// With FAKE_GEMINI_STATUS every Gemini request fails with this HTTP status, e.g. 503 to make the bot retry
+const FAILURE_STATUS = Number(process.env.FAKE_GEMINI_STATUS) || 0;
+// What getWebhookInfo reports as registered, the bot's own WEBHOOK_URL unless FAKE_REGISTERED_WEBHOOK is set
+const REGISTERED_WEBHOOK = process.env.FAKE_REGISTERED_WEBHOOK ?? process.env.WEBHOOK_URL ?? '';
+
+// With FAKE_NOW (an ISO time) the bot's clock starts at that moment and runs on from there; timers are not affected
+const CLOCK_OFFSET = process.env.FAKE_NOW ? Date.parse(process.env.FAKE_NOW) - Date.now() : 0;
+if (CLOCK_OFFSET) {
+    const RealDate = Date;
+    globalThis.Date = class extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [RealDate.now() + CLOCK_OFFSET]));
+        }
+
+        static now() {
+            return RealDate.now() + CLOCK_OFFSET;
+        }
+    };
+}
+
+// The bot's node-fetch is fake-fetch.js, with FAKE_REDIS its "redis" package is fake-redis.js (STORAGE_BACKEND=redis)
+register('./module-hooks.js', { parentURL: import.meta.url, data: { botUrl: new URL('../../index.js', import.meta.url).href } });
+
+export function report(fake, method, payload, result) {
+    const line = JSON.stringify({ fake, method, payload, result }, (key, value) => (Buffer.isBuffer(value) || key === 'source' ? '[данные]' : value));
+    process.stdout.write(`${line}\n`);
+}
+
+// Files "uploaded to Telegram" are served from FAKE_FILES_DIR, file_id is the file name
+const fileServer = http.createServer((req, res) => {
+    const filePath = path.join(FILES_DIR || '.', path.basename(decodeURIComponent(req.url)));
+    if (!FILES_DIR || !fs.existsSync(filePath)) {
+        res.writeHead(404).end();
+        return;
+    }
+    res.end(fs.readFileSync(filePath));
+});
+const fileServerReady = new Promise(resolve => fileServer.listen(0, '127.0.0.1', resolve));
+fileServer.unref();
+
+let nextMessageId = 1000;
+
+Telegram.prototype.callApi = async function (method, payload = {}) {
+    if (method === 'getUpdates') {
+        return new Promise(resolve => setTimeout(() => resolve([]), 1000));
+    }
+    const result = answerTelegram(method, payload);
+    report('telegram', method, payload, result);
+    return result;
+};
+
+function answerTelegram(method, payload) {
+    switch (method) {
+        case 'getMe':
+            return { id: 999, is_bot: true, first_name: 'Bot', username: 'test_bot' };
+        case 'getWebhookInfo':
+            return { url: REGISTERED_WEBHOOK, pending_update_count: 0 };
+        case 'getFile': {
+            const size = FILES_DIR && fs.existsSync(path.join(FILES_DIR, payload.file_id))
+                ? fs.statSync(path.join(FILES_DIR, payload.file_id)).size
+                : 0;
+            return { file_id: payload.file_id, file_unique_id: `u-${payload.file_id}`, file_size: size, file_path: payload.file_id };
+        }
+        case 'sendMessage': case 'sendPhoto': case 'sendVoice': case 'sendDocument':
+            return { message_id: ++nextMessageId, chat: { id: payload.chat_id }, date: 0, text: payload.text };
+        default:
+            return true;
+    }
+}
+
+// As the real one, asks getFile first, so the tests see each download
+Telegram.prototype.getFileLink = async function (fileId) {
+    const file = await this.getFile(fileId);
+    await fileServerReady;
+    return new URL(`http://127.0.0.1:${fileServer.address().port}/${encodeURIComponent(file.file_path)}`);
+};
+
+function failIfAsked() {
+    if (FAILURE_STATUS) {
+        const error = new Error(`[${FAILURE_STATUS}] Модель перегружена`);
+        error.status = FAILURE_STATUS;
+        throw error;
+    }
+}
+
+function createResponse(text) {
+    return {
+        text: () => text,
+        functionCalls: () => undefined,
+        candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+    };
+}
+
+function createStream(text) {
+    return {
+        stream: (async function* () {
+            yield createResponse(text);
+        })(),
+        response: Promise.resolve(createResponse(text)),
+    };
+}
+
+GoogleGenerativeAI.prototype.getGenerativeModel = function (params) {
+    const model = params.model;
+    const describe = (request) => ({ model, systemInstruction: params.systemInstruction ?? null, generationConfig: params.generationConfig ?? null, request });
+    return {
+        model,
+        countTokens: async (request) => ({ totalTokens: Math.ceil(JSON.stringify(request).length / 4) }),
+        generateContent: async (request) => {
+            report('gemini', 'generateContent', describe(request));
+            failIfAsked();
+            return { response: createResponse(REPLY) };
+        },
+        generateContentStream: async (request) => {
+            report('gemini', 'generateContentStream', describe(request));
+            failIfAsked();
+            return createStream(REPLY);
+        },
+        startChat: (chat) => ({
+            sendMessageStream: async (message) => {
+                report('gemini', 'sendMessageStream', describe({ history: chat.history, message }));
+                failIfAsked();
+                return createStream(REPLY);
+            },
+        }),
+    };
+};
+
+// Uploads are kept in memory, active at once and for 48 hours, as Gemini keeps them
+const uploadedFiles = new Map(); // Map<name, file>
+
+GoogleAIFileManager.prototype.uploadFile = async function (buffer, { mimeType, displayName }) {
+    const name = `files/fake-${uploadedFiles.size + 1}`;
+    const file = {
+        name, displayName, mimeType, uri: `https://generativelanguage.googleapis.com/v1beta/${name}`, sizeBytes: String(buffer.length),
+        state: 'ACTIVE', expirationTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+    };
+    uploadedFiles.set(name, file);
+    report('gemini-files', 'uploadFile', { mimeType, displayName, size: buffer.length }, file);
+    return { file };
+};
+
+GoogleAIFileManager.prototype.getFile = async function (name) {
+    if (!uploadedFiles.has(name)) {
+        const error = new Error(`[404] File ${name} not found`);
+        error.status = 404;
+        throw error;
+    }
+    return uploadedFiles.get(name);
+};
@@ -0,0 +1,78 @@
+// The bot's node-fetch (see module-hooks.js). Google Cloud Text-to-Speech is answered locally with silence about
+// as long as the text would take to read, reported as a "tts" call; every other request goes to the real node-fetch.
+import crypto from 'crypto';
+import fetch, { Response } from 'node-fetch';
+import { report } from './fake-apis.js';
+
+export * from 'node-fetch';
+
+const GOOGLE_TTS_URL = 'https://texttospeech.googleapis.com/v1/text:synthesize';
+
+// CRC-32 of Ogg pages: polynomial 0x04C11DB7, no reflection, zero initial value
+const OGG_CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index << 24;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+    return crc >>> 0;
+});
+
+function createOggPage(packets, { granule, serial, sequence, flags }) {
+    const lacing = packets.flatMap(packet => [...Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255]);
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'ascii');
+    header.writeUInt8(flags, 5);
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence, 18);
+    header.writeUInt8(lacing.length, 26);
+    Buffer.from(lacing).copy(header, 27);
+    const page = Buffer.concat([header, ...packets]);
+    let crc = 0;
+    for (const byte of page) {
+        crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+    }
+    page.writeUInt32LE(crc, 22);
+    return page;
+}
+
+// Mono OGG/Opus of `durationMs` silence: 20 ms Opus packets that decode to silence
+function createSilentOggOpus(durationMs) {
+    const serial = crypto.randomInt(0x7fffffff);
+    const preSkip = 312;
+    const opusHead = Buffer.alloc(19);
+    opusHead.write('OpusHead', 0, 'ascii');
+    opusHead.writeUInt8(1, 8); // Version
+    opusHead.writeUInt8(1, 9); // Channels
+    opusHead.writeUInt16LE(preSkip, 10);
+    opusHead.writeUInt32LE(48000, 12); // Input sample rate
+    const vendor = Buffer.from('gemini-bot');
+    const opusTags = Buffer.concat([Buffer.from('OpusTags'), Buffer.alloc(4), vendor, Buffer.alloc(4)]);
+    opusTags.writeUInt32LE(vendor.length, 8);
+
+    const pages = [
+        createOggPage([opusHead], { granule: 0, serial, sequence: 0, flags: 0x02 }),
+        createOggPage([opusTags], { granule: 0, serial, sequence: 1, flags: 0 }),
+    ];
+    const packetCount = Math.max(1, Math.round(durationMs / 20));
+    const silence = Buffer.from([0xf8, 0xff, 0xfe]);
+    for (let written = 0; written < packetCount;) {
+        const count = Math.min(50, packetCount - written);
+        written += count;
+        pages.push(createOggPage(Array(count).fill(silence), {
+            granule: preSkip + written * 960, serial, sequence: pages.length, flags: written === packetCount ? 0x04 : 0,
+        }));
+    }
+    return Buffer.concat(pages);
+}
+
+export default async function fakeFetch(url, options = {}) {
+    if (!String(url).startsWith(GOOGLE_TTS_URL)) {
+        return fetch(url, options);
+    }
+    const request = JSON.parse(options.body);
+    report('tts', 'synthesize', request);
+    // About 15 characters a second, as a person would read it
+    const audio = createSilentOggOpus(Math.min(60000, Math.max(1000, request.input.text.length * 1000 / 15)));
+    return new Response(JSON.stringify({ audioContent: audio.toString('base64') }), { headers: { 'content-type': 'application/json' } });
+}
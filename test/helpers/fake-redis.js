@@ -0,0 +1,99 @@
+// In-process stand-in for the "redis" package (see module-hooks.js), with the commands the bot uses.
+// FAKE_REDIS is the major version to imitate: 4 rejects a failed EXEC with WatchError and scans key by key,
+// 5 resolves it to null and scans in batches. With FAKE_REDIS_CONFLICT ({ key, value, times = 1 }) the first `times`
+// transactions writing `key` fail as if another instance had stored `value` there after WATCH.
+// Every EXEC is reported as a "redis" call: { key, value } that was to be written, result "OK" or null if it failed.
+import { report } from './fake-apis.js';
+
+const VERSION = Number(process.env.FAKE_REDIS) || 4;
+const conflict = process.env.FAKE_REDIS_CONFLICT ? { times: 1, ...JSON.parse(process.env.FAKE_REDIS_CONFLICT) } : null;
+
+const data = new Map(); // Map<key, string>, shared by all clients as one server
+const versions = new Map(); // Map<key, number>, bumped by every write, for WATCH
+
+function write(key, value) {
+    if (value === null) {
+        data.delete(key);
+    } else {
+        data.set(key, value);
+    }
+    versions.set(key, (versions.get(key) || 0) + 1);
+}
+
+export class WatchError extends Error {
+    constructor(message = 'One (or more) of the watched keys has been changed') {
+        super(message);
+    }
+}
+
+function createFakeClient() {
+    let watched = new Map(); // Map<key, version at WATCH>
+    return {
+        on() {},
+        async connect() {},
+        duplicate: () => createFakeClient(),
+        async get(key) {
+            return data.get(key) ?? null;
+        },
+        async set(key, value) {
+            write(key, value);
+            return 'OK';
+        },
+        async del(key) {
+            const existed = data.has(key);
+            write(key, null);
+            return existed ? 1 : 0;
+        },
+        async *scanIterator({ MATCH }) {
+            const prefix = MATCH.replace(/\*$/, '');
+            const keys = [...data.keys()].filter(key => key.startsWith(prefix));
+            if (VERSION >= 5) {
+                yield keys;
+            } else {
+                yield* keys;
+            }
+        },
+        async watch(key) {
+            watched.set(key, versions.get(key) || 0);
+        },
+        async unwatch() {
+            watched = new Map();
+        },
+        multi() {
+            const sets = [];
+            const transaction = {
+                set(key, value) {
+                    sets.push([key, value]);
+                    return transaction;
+                },
+                async exec() {
+                    for (const [key] of sets) {
+                        if (conflict?.key === key && conflict.times > 0) {
+                            conflict.times--;
+                            write(key, JSON.stringify(conflict.value));
+                        }
+                    }
+                    const changed = [...watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+                    watched = new Map();
+                    for (const [key, value] of sets) {
+                        report('redis', 'exec', { key, value: JSON.parse(value) }, changed ? null : 'OK');
+                    }
+                    if (changed) {
+                        if (VERSION >= 5) {
+                            return null;
+                        }
+                        throw new WatchError();
+                    }
+                    sets.forEach(([key, value]) => write(key, value));
+                    return sets.map(() => 'OK');
+                },
+            };
+            return transaction;
+        },
+        async quit() {},
+    };
+}
+
+export function createClient() {
+    return createFakeClient();
+}
@@ -0,0 +1,19 @@
+// Module hooks registered by fake-apis.js. Only imports of the bot itself (index.js) are redirected:
+// 'node-fetch' to fake-fetch.js, and with FAKE_REDIS 'redis' to fake-redis.js.
+let botUrl;
+
+export async function initialize(data) {
+    botUrl = data.botUrl;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+    if (context.parentURL === botUrl) {
+        if (specifier === 'node-fetch') {
+            return { url: new URL('./fake-fetch.js', import.meta.url).href, shortCircuit: true };
+        }
+        if (specifier === 'redis' && process.env.FAKE_REDIS) {
+            return { url: new URL('./fake-redis.js', import.meta.url).href, shortCircuit: true };
+        }
+    }
+    return nextResolve(specifier, context);
+}
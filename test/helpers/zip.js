@@ -0,0 +1,49 @@
+// Builds ZIP archives for the document tests. `entries` are { name, data, method?, size? }: data is a Buffer or a string,
+// method 'deflate' (default) or 'store', and `size` overrides the uncompressed size written to the headers,
+// for archives that lie about it.
+import zlib from 'zlib';
+
+export function createZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    for (const { name, data, method = 'deflate', size } of entries) {
+        const content = Buffer.from(data);
+        const compressed = method === 'store' ? content : zlib.deflateRawSync(content);
+        const methodCode = method === 'store' ? 0 : 8;
+        const nameBytes = Buffer.from(name);
+        const crc = zlib.crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // Version needed
+        local.writeUInt16LE(methodCode, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(size ?? content.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        localParts.push(local, nameBytes, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // Version made by
+        central.writeUInt16LE(20, 6); // Version needed
+        central.writeUInt16LE(methodCode, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(size ?? content.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot } from './helpers/bot.js';
+
+test('/import replaces inline data with a note instead of keeping it in the stored history', async () => {
+    const exported = {
+        format: 'gemini-telegram-bot/conversation',
+        version: 1,
+        conversation: { name: 'С картинкой' },
+        history: [
+            { role: 'user', parts: [{ text: 'Что на фото?' }, { inlineData: { mimeType: 'image/png', data: 'A'.repeat(4000) } }] },
+            { role: 'model', parts: [{ text: 'Кот.' }] },
+        ],
+    };
+    const bot = await startBot({ files: { 'export.json': JSON.stringify(exported) } });
+    try {
+        await bot.post({
+            message: {
+                message_id: 10,
+                from: { id: 1, is_bot: false, first_name: 'Test' },
+                chat: { id: 1, type: 'private' },
+                date: Math.floor(Date.now() / 1000),
+                document: { file_id: 'export.json', file_unique_id: 'u-export', file_name: 'export.json', mime_type: 'application/json', file_size: 100 },
+                caption: '/import',
+                caption_entities: [{ type: 'bot_command', offset: 0, length: 7 }],
+            },
+        });
+        const [reply] = await bot.waitFor(() => bot.sent('sendMessage').filter(message => message.text?.startsWith('📥')).length
+            && bot.sent('sendMessage').filter(message => message.text?.startsWith('📥')));
+        assert.match(reply.text, /вложений, заменённых пометкой: 1/);
+
+        const conversation = await bot.waitFor(() => {
+            const state = bot.readState()['user:1'];
+            return state?.conversations?.[state.activeConversationId]?.name === 'С картинкой' && state.conversations[state.activeConversationId];
+        });
+        assert.deepEqual(conversation.history[0].parts, [{ text: 'Что на фото?' }, { text: '[Вложение image/png (3000 байт) не импортировано]' }]);
+    } finally {
+        await bot.stop();
+    }
+});
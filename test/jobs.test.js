@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Stored jobs by their question
+function jobsByPrompt(state) {
+    return Object.fromEntries(Object.values(state.jobs?.jobs || {}).map(job => [job.prompt, job]));
+}
+
+// Saturday 28 March 2026, 13:00 in Berlin; clocks go from 02:00 to 03:00 on Sunday night
+test('/remind and /every turn times of day into instants across the spring DST jump and refuse impossible dates', async () => {
+    const bot = await startBot({ env: { FAKE_NOW: '2026-03-28T12:00:00Z' } });
+    try {
+        await bot.post(textMessage(1, '/timezone Europe/Berlin'));
+        await bot.post(textMessage(1, '/remind завтра 2:30 В пропущенный час'));
+        await bot.post(textMessage(1, '/remind 9:00 Уже прошло сегодня'));
+        await bot.post(textMessage(1, '/every пн-пт 8:30 По будням'));
+        await bot.post(textMessage(1, '/every сб,вс 12:00 По выходным'));
+        await bot.post(textMessage(1, '/remind 31.02 10:00 Такого дня нет'));
+        await bot.post(textMessage(1, '/every пт-пн 9:00 Диапазон наоборот'));
+        await bot.waitFor(() => bot.sent('sendMessage').filter(message => message.text?.startsWith('✅ Задание')).length === 4);
+        const usages = await bot.waitFor(() => {
+            const replies = bot.sent('sendMessage').filter(message => message.text?.startsWith('Использование:'));
+            return replies.length === 2 && replies;
+        });
+        assert.deepEqual(usages.map(message => message.text.split(' ')[1]), ['/remind', '/every']);
+
+        const jobs = jobsByPrompt(await bot.waitFor(() => Object.keys(bot.readState().jobs?.jobs || {}).length === 4 && bot.readState()));
+        // 02:30 doesn't exist that night, the reminder moves forward by the jump: 03:30 CEST
+        assert.equal(jobs['В пропущенный час'].nextRunAt, Date.parse('2026-03-29T01:30:00Z'));
+        // 9:00 has passed today, so it means tomorrow, already in summer time
+        assert.equal(jobs['Уже прошло сегодня'].nextRunAt, Date.parse('2026-03-29T07:00:00Z'));
+        assert.deepEqual(jobs['По будням'].schedule, { kind: 'daily', days: [1, 2, 3, 4, 5], hour: 8, minute: 30 });
+        assert.equal(jobs['По будням'].nextRunAt, Date.parse('2026-03-30T06:30:00Z'));
+        // 12:00 today has passed, Sunday's is in summer time
+        assert.equal(jobs['По выходным'].nextRunAt, Date.parse('2026-03-29T10:00:00Z'));
+    } finally {
+        await bot.stop();
+    }
+});
+
+// Saturday 24 October 2026, 14:00 in Berlin; clocks go from 03:00 back to 02:00 on Sunday night
+test('jobs missed while the bot was down run once and go on from now, daily ones across the autumn DST change', async () => {
+    const now = Date.parse('2026-10-24T12:00:00Z');
+    const job = (id, prompt, schedule, nextRunAt) =>
+        ({ id, userId: 1, chatId: 1, stateId: 1, prompt, schedule, modelKey: 'gemini20flash', nextRunAt, createdAt: now - 48 * HOUR });
+    const bot = await startBot({
+        env: { FAKE_NOW: new Date(now).toISOString(), DEFAULT_TIMEZONE: 'Europe/Berlin' },
+        state: {
+            jobs: {
+                nextId: 4,
+                jobs: {
+                    1: job(1, 'Пропущено пять раз', { kind: 'interval', intervalMs: HOUR }, now - 5.5 * HOUR),
+                    2: job(2, 'Только что', { kind: 'interval', intervalMs: HOUR }, now - 10 * 60 * 1000),
+                    3: job(3, 'Каждое утро', { kind: 'daily', days: [1, 2, 3, 4, 5, 6, 7], hour: 9, minute: 0 }, Date.parse('2026-10-24T07:00:00Z')),
+                },
+            },
+        },
+    });
+    try {
+        const isJobAnswer = message => /^<b>🔁 Задание №\d<\/b>/.test(message.text || '');
+        await bot.waitFor(() => bot.sent('sendMessage').filter(isJobAnswer).length === 3);
+        const jobs = jobsByPrompt(await bot.waitFor(() => bot.readState().jobs?.jobs?.[3]?.lastRunAt && bot.readState()));
+
+        // The missed runs aren't made up for: the next one is an interval from now
+        const next = jobs['Пропущено пять раз'].nextRunAt - now;
+        assert.ok(next > HOUR && next < HOUR + 60 * 1000, `следующий запуск через ${next} мс`);
+        // A run that is only a little late keeps the job's rhythm
+        assert.equal(jobs['Только что'].nextRunAt, now + 50 * 60 * 1000);
+        // Tomorrow's 9:00 is already in winter time
+        assert.equal(jobs['Каждое утро'].nextRunAt, Date.parse('2026-10-25T08:00:00Z'));
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+        assert.equal(bot.sent('sendMessage').filter(isJobAnswer).length, 3);
+    } finally {
+        await bot.stop();
+    }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startBot, textMessage } from './helpers/bot.js';
+
+function readLogRecords(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith('bot.log'))
+        .flatMap(name => fs.readFileSync(path.join(dir, name), 'utf8').split('\n').filter(Boolean))
+        .map(line => JSON.parse(line));
+}
+
+test('LOG_REDACT keeps usernames, names and message texts out of the log, LOG_FILE is rotated', async () => {
+    const redacted = await startBot({
+        env: (dir) => ({
+            LOG_REDACT: 'true',
+            LOG_LEVEL: 'debug',
+            LOG_FILE: path.join(dir, 'logs', 'bot.log'),
+            LOG_FILE_MAX_BYTES: '2000',
+            LOG_FILE_MAX_FILES: '2',
+        }),
+    });
+    const logDir = path.join(redacted.dir, 'logs');
+    try {
+        await redacted.post(textMessage(1, '/new Секретный проект', { username: 'secret_admin' }));
+        await redacted.post(textMessage(1, 'Секретный вопрос про проект', { username: 'secret_admin' }));
+        await redacted.post(textMessage(77, 'Пустите меня', { username: 'secret_stranger' }));
+        await redacted.waitFor(() => redacted.sent('sendMessage').some(message => message.chat_id === 77));
+        await redacted.waitFor(() => readLogRecords(logDir).some(record => record.msg.startsWith('Ответ')));
+
+        const files = fs.readdirSync(logDir).sort();
+        assert.ok(files.includes('bot.log.1'), `лог не ротирован: ${files}`);
+        assert.ok(files.length <= 3, `старых файлов больше LOG_FILE_MAX_FILES: ${files}`);
+
+        const records = readLogRecords(logDir);
+        const serialized = JSON.stringify(records);
+        for (const secret of ['secret_admin', 'secret_stranger', 'Секретный', 'Пустите меня']) {
+            assert.ok(!serialized.includes(secret), `в логе есть "${secret}"`);
+        }
+        assert.ok(records.some(record => record.username === '[скрыто]'));
+        assert.ok(records.some(record => record.conversation === '[скрыто]'));
+        // Entries of one update share its request ID
+        const answered = records.find(record => record.msg.startsWith('Ответ'));
+        assert.match(answered.requestId, /^upd-\d+$/);
+        assert.ok(records.some(record => record.requestId === answered.requestId && record.msg.startsWith('Запрос к модели')));
+    } finally {
+        await redacted.stop();
+    }
+});
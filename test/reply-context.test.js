@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+test('every message of a long answer is linked to its place in the history', async () => {
+    const bot = await startBot({ env: { FAKE_GEMINI_REPLY: 'Длинный ответ. '.repeat(600) } });
+    try {
+        await bot.post(textMessage(1, 'Расскажи подробно'));
+        const conversation = await bot.waitFor(() => {
+            const state = bot.readState()['user:1'];
+            const active = state?.conversations?.[state.activeConversationId];
+            return Object.keys(active?.answerMessages || {}).length >= 2 && active;
+        });
+        // The placeholder and every continuation, all at the position of the answer
+        const sent = bot.sent('sendMessage');
+        assert.equal(Object.keys(conversation.answerMessages).length, sent.length);
+        assert.ok(Object.values(conversation.answerMessages).every(position => position === 2));
+    } finally {
+        await bot.stop();
+    }
+});
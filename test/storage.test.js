@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+// STORAGE_BACKEND=redis against the in-process fake of helpers/fake-redis.js
+function startRedisBot(version, conflict) {
+    return startBot({ env: { STORAGE_BACKEND: 'redis', FAKE_REDIS: String(version), FAKE_REDIS_CONFLICT: JSON.stringify(conflict) } });
+}
+
+const execs = (bot, key) => bot.calls.filter(call => call.fake === 'redis' && call.payload.key === key);
+
+test('a role change that loses the race on redis@4 (WatchError) is applied again to the other instance\'s document', async () => {
+    const otherUser = { role: 'user', updatedBy: 1, updatedAt: 0 };
+    const bot = await startRedisBot(4, { key: 'gemini-bot:access', value: { users: { 77: otherUser }, invites: {} } });
+    try {
+        await bot.post(textMessage(1, '/allow 55 guest'));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.text?.startsWith('✅ Пользователю 55 открыт доступ')));
+        const [failed, committed, ...rest] = execs(bot, 'gemini-bot:access');
+        assert.equal(failed.result, null);
+        assert.equal(committed.result, 'OK');
+        assert.equal(rest.length, 0);
+        assert.deepEqual(committed.payload.value.users[77], otherUser);
+        assert.equal(committed.payload.value.users[55].role, 'guest');
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('a limit change that loses the race on redis@5 (EXEC resolves to null) is applied again to the other instance\'s document', async () => {
+    const bot = await startRedisBot(5, { key: 'gemini-bot:quotas', value: { roles: { guest: { dailyRequests: 1 } }, users: {} } });
+    try {
+        await bot.post(textMessage(1, '/limits role user dailyRequests 5'));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.text === '✅ Лимиты использования обновлены.'));
+        const results = execs(bot, 'gemini-bot:quotas').map(call => call.result);
+        assert.deepEqual(results, [null, 'OK']);
+        assert.deepEqual(execs(bot, 'gemini-bot:quotas')[1].payload.value.roles, { guest: { dailyRequests: 1 }, user: { dailyRequests: 5 } });
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('a change that keeps losing the race is reported to the admin, not confirmed', async () => {
+    const bot = await startRedisBot(4, { key: 'gemini-bot:access', value: { users: {}, invites: {} }, times: 100 });
+    try {
+        await bot.post(textMessage(1, '/allow 55 guest'));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.text?.startsWith('⚠️ Изменение не сохранено')));
+        assert.equal(execs(bot, 'gemini-bot:access').length, 10);
+        assert.ok(execs(bot, 'gemini-bot:access').every(call => call.result === null));
+        assert.ok(!bot.sent('sendMessage').some(message => message.text?.startsWith('✅')));
+    } finally {
+        await bot.stop();
+    }
+});
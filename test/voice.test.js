@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+function voiceMessage(userId, fileId) {
+    return {
+        message: {
+            message_id: 500,
+            from: { id: userId, is_bot: false, first_name: 'Test' },
+            chat: { id: userId, type: 'private' },
+            date: Math.floor(Date.now() / 1000),
+            voice: { file_id: fileId, file_unique_id: `u-${fileId}`, duration: 2, mime_type: 'audio/ogg' },
+        },
+    };
+}
+
+test('/voice sends each answer as a voice message too', async () => {
+    const bot = await startBot();
+    try {
+        await bot.post(textMessage(1, '/voice on'));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.text?.startsWith('🔊')));
+        await bot.post(textMessage(1, 'Расскажи сказку'));
+        const [voice] = await bot.waitFor(() => bot.sent('sendVoice').length && bot.sent('sendVoice'));
+        const answer = bot.sent('sendMessage').find(message => message.text === '...');
+        assert.equal(voice.chat_id, 1);
+        assert.equal(voice.voice.filename, 'answer.ogg');
+        assert.ok(voice.reply_parameters.message_id > 0, 'голосовое сообщение не отвечает на ответ');
+        assert.ok(answer, 'не было сообщения с ответом');
+        const [speech] = bot.calls.filter(call => call.fake === 'tts').map(call => call.payload);
+        assert.equal(speech.input.text, 'Ответ модели');
+        assert.equal(speech.audioConfig.audioEncoding, 'OGG_OPUS');
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('/transcribe shows the transcript of a voice note and answers it as text, counted as one request', async () => {
+    const bot = await startBot({ files: { 'note.ogg': Buffer.from('OggS-voice-note') } });
+    try {
+        await bot.post(textMessage(1, '/transcribe on'));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.text?.startsWith('📝 Расшифровка включена')));
+        await bot.post(voiceMessage(1, 'note.ogg'));
+        await bot.waitFor(() => bot.sent('sendMessage').some(message => message.text === '📝 Ответ модели'));
+        await bot.waitFor(() => bot.geminiRequests().some(request => request.request.message?.[0]?.text === 'Ответ модели'));
+
+        const [transcription] = bot.geminiRequests();
+        const [prompt, audio] = transcription.request;
+        assert.match(prompt.text, /Дословно расшифруй/);
+        assert.equal(audio.inlineData.mimeType, 'audio/ogg');
+        assert.equal(transcription.systemInstruction, 'Ты расшифровываешь голосовые сообщения в текст.');
+        assert.equal(transcription.generationConfig.temperature, 0);
+
+        // One voice note is one request against the limits, the transcription only adds its tokens
+        const usage = await bot.waitFor(() => {
+            const days = Object.values(bot.readState()['user:1']?.usage || {});
+            return days.length === 1 && days[0].outputTokens === 10 && days[0];
+        });
+        assert.equal(usage.requests, 1);
+    } finally {
+        await bot.stop();
+    }
+});
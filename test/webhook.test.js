@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBot, textMessage } from './helpers/bot.js';
+
+test('webhook accepts only POSTs of valid JSON with the secret and answers the update', async () => {
+    const bot = await startBot();
+    try {
+        assert.equal((await bot.post(textMessage(1, 'Привет'), null)).status, 401);
+        assert.equal((await bot.post(textMessage(1, 'Привет'), 'wrong-secret')).status, 401);
+        assert.equal((await bot.fetch('/telegram')).status, 405);
+        const broken = await bot.fetch('/telegram', {
+            method: 'POST',
+            headers: { 'x-telegram-bot-api-secret-token': 'test-secret' },
+            body: '{"update_id":',
+        });
+        assert.equal(broken.status, 400);
+        assert.equal(bot.geminiRequests().length, 0, 'отклонённые запросы дошли до модели');
+
+        const accepted = await bot.post(textMessage(1, 'Привет'));
+        assert.equal(accepted.status, 200);
+        await bot.waitFor(() => bot.sent('editMessageText').some(message => message.text?.includes('Ответ модели')));
+        assert.ok(bot.sent('setWebhook').some(call => call.url === 'https://bot.example.com/telegram' && call.secret_token === 'test-secret'));
+
+        const metrics = await (await bot.fetch('/metrics')).text();
+        assert.match(metrics, /^bot_updates_total\{type="message"\} 1$/m);
+        assert.match(metrics, /^bot_model_requests_total\{model_key="[^"]+",status="ok"\} 1$/m);
+        assert.equal((await bot.fetch('/unknown')).status, 404);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('/healthz reports 200 when Telegram and Gemini answer', async () => {
+    const bot = await startBot();
+    try {
+        const response = await bot.fetch('/healthz');
+        const health = await response.json();
+        assert.equal(response.status, 200);
+        assert.equal(health.status, 'ok');
+        assert.equal(health.mode, 'webhook');
+        assert.equal(health.telegram.ok, true);
+        assert.equal(health.gemini.ok, true);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('/healthz reports 503 when the webhook is not registered', async () => {
+    const bot = await startBot({ env: { FAKE_REGISTERED_WEBHOOK: '' } });
+    try {
+        const response = await bot.fetch('/healthz');
+        const health = await response.json();
+        assert.equal(response.status, 503);
+        assert.equal(health.status, 'error');
+        assert.equal(health.telegram.ok, false);
+        assert.match(health.telegram.error, /не зарегистрирован/);
+    } finally {
+        await bot.stop();
+    }
+});
+
+test('the server listens on 127.0.0.1 by default, METRICS_TOKEN guards /metrics', async () => {
+    const bot = await startBot({ env: { HTTP_HOST: '', METRICS_TOKEN: 'metrics-token' } });
+    try {
+        assert.ok(bot.output.some(line => line.includes('HTTP-сервер слушает 127.0.0.1:')), 'сервер слушает не только 127.0.0.1');
+        assert.equal((await bot.fetch('/metrics')).status, 401);
+        assert.equal((await bot.fetch('/metrics', { headers: { authorization: 'Bearer wrong' } })).status, 401);
+        const metrics = await bot.fetch('/metrics', { headers: { authorization: 'Bearer metrics-token' } });
+        assert.equal(metrics.status, 200);
+        assert.match(await metrics.text(), /^# TYPE bot_updates_total counter$/m);
+        assert.equal((await bot.fetch('/healthz')).status, 200);
+    } finally {
+        await bot.stop();
+    }
+});